@@ -0,0 +1,448 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { io } = require('socket.io-client');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+/*
+ * Headless agent: a Node process that serves `localhost:performFetch` in place of a browser tab.
+ *
+ * It connects with the same handshake auth as the browser plus `auth.agent = <name>`, performs
+ * each request with Node's HTTP client and answers with `localhost:fetchComplete` or
+ * `localhost:fetchError`. Browser sessions of the same user target it with `agent: '<name>'`
+ * on a request. Targets outside the agent's own allowlist are refused before any connection
+ * is made, whatever the relay's target policy allows.
+ */
+
+// Agent configuration
+const agentConfig = {
+  relayUrl: process.env.AGENT_RELAY_URL || 'http://localhost:8080',
+  name: process.env.AGENT_NAME || os.hostname(),
+  token: process.env.AGENT_TOKEN || null,
+  tokenFile: process.env.AGENT_TOKEN_FILE || null,
+  allowlist: process.env.AGENT_ALLOWLIST || 'localhost,127.0.0.1,[::1]',
+  requestTimeoutMs: parseInt(process.env.AGENT_REQUEST_TIMEOUT_SECONDS || '30') * 1000,
+  maxResponseBytes: parseInt(process.env.AGENT_MAX_RESPONSE_BYTES || String(10 * 1024 * 1024)),
+  reconnectMinMs: parseInt(process.env.AGENT_RECONNECT_MIN_MS || '1000'),
+  reconnectMaxMs: parseInt(process.env.AGENT_RECONNECT_MAX_MS || '30000')
+};
+
+// Handshake rejections that retrying cannot fix (unless the token file may be rotated)
+const AUTH_FAILURES = [
+  'AUTH_NOT_CONFIGURED',
+  'AUTH_TOKEN_MISSING',
+  'AUTH_TOKEN_EXPIRED',
+  'AUTH_TOKEN_NOT_ACTIVE',
+  'AUTH_TOKEN_INVALID',
+  'AUTH_AUDIENCE_INVALID',
+  'AUTH_ISSUER_INVALID',
+  'AUTH_UNKNOWN_KEY',
+  'AUTH_USER_CLAIM_MISSING'
+];
+
+const FATAL_HANDSHAKE_ERRORS = ['AGENT_NAME_INVALID', 'ORIGIN_NOT_ALLOWED'];
+
+// Failures the agent reports as relay error codes; transport codes (ECONNREFUSED, ...) are sent
+// as `cause`, so the relay still treats them as network errors that a retry policy may retry
+const RELAY_ERROR_CODES = ['REQUEST_TIMEOUT', 'RESPONSE_TOO_LARGE'];
+
+// Response content types sent back as text; everything else is sent as binary
+const TEXT_CONTENT_TYPE = /^(text\/|application\/([\w.+-]+\+)?(json|xml|javascript|x-www-form-urlencoded|graphql)\b)/i;
+
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+
+/**
+ * Parse allowlist entries: "host", "host:port", "*.domain" or "*.domain:port"
+ * IPv6 addresses are written in brackets ("[::1]:3000")
+ * @param {string} value - Comma-separated entries
+ * @returns {Array<{ host: string, wildcard: boolean, port: number|null }>}
+ */
+const parseAllowlist = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const match = /^(\*\.)?(\[[0-9a-fA-F:.]+\]|[^:\s[\]]+)(?::(\d{1,5}))?$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid AGENT_ALLOWLIST entry "${entry}": expected host, host:port or *.domain`);
+    }
+    return {
+      host: match[2].toLowerCase(),
+      wildcard: Boolean(match[1]),
+      port: match[3] ? parseInt(match[3]) : null
+    };
+  });
+
+/**
+ * Check a request URL against the agent allowlist
+ * @param {string} url - Target URL
+ * @param {Array<object>} allowlist - Result of parseAllowlist()
+ * @returns {boolean}
+ */
+const isAllowedTarget = (url, allowlist) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+  const host = parsed.hostname.toLowerCase();
+  const port = parsed.port ? parseInt(parsed.port) : (parsed.protocol === 'https:' ? 443 : 80);
+  return allowlist.some(rule =>
+    (rule.wildcard ? host.endsWith(`.${rule.host}`) : host === rule.host) &&
+    (rule.port === null || rule.port === port));
+};
+
+const toBuffer = (data) => (Buffer.isBuffer(data) ? data : typeof data === 'string' ? Buffer.from(data) : Buffer.from(data.buffer || data));
+
+const findHeader = (headers, name) => Object.keys(headers).find(key => key.toLowerCase() === name);
+
+/**
+ * Encode relay multipart parts ({ name, filename?, contentType?, data }) as multipart/form-data
+ * @param {Array<object>} parts
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+const encodeMultipart = (parts) => {
+  const boundary = `----relay-agent-${crypto.randomBytes(12).toString('hex')}`;
+  const quote = (value) => value.replace(/["\r\n]/g, character => encodeURIComponent(character));
+  const chunks = [];
+
+  parts.forEach((part) => {
+    const disposition = `form-data; name="${quote(part.name)}"${part.filename !== undefined ? `; filename="${quote(part.filename)}"` : ''}`;
+    const headers = [`Content-Disposition: ${disposition}`];
+    if (part.contentType) headers.push(`Content-Type: ${part.contentType}`);
+
+    chunks.push(Buffer.from(`--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n`), toBuffer(part.data), Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+};
+
+/**
+ * Build the outgoing headers and body for a relay request
+ * @param {object} request - `localhost:performFetch` payload
+ * @returns {{ headers: object, body: Buffer|null }}
+ */
+const buildOutgoing = (request) => {
+  const headers = {};
+  Object.entries(request.headers || {}).forEach(([name, value]) => {
+    // The relay adds CORS headers meant for browser fetches; length and host are set by Node
+    if (/^(access-control-|content-length$|host$|connection$)/i.test(name)) return;
+    headers[name] = value;
+  });
+
+  if (Array.isArray(request.multipart)) {
+    const { body, contentType } = encodeMultipart(request.multipart);
+    const existing = findHeader(headers, 'content-type');
+    if (existing) delete headers[existing];
+    headers['Content-Type'] = contentType;
+    return { headers, body };
+  }
+
+  const { body } = request;
+  if (body === undefined || body === null || body === '') return { headers, body: null };
+  if (typeof body === 'string' || Buffer.isBuffer(body) || ArrayBuffer.isView(body) || body instanceof ArrayBuffer) {
+    return { headers, body: toBuffer(body) };
+  }
+
+  // Objects are sent as JSON, as the browser client does
+  if (!findHeader(headers, 'content-type')) headers['Content-Type'] = 'application/json';
+  return { headers, body: Buffer.from(JSON.stringify(body)) };
+};
+
+// Node keeps repeated headers as arrays; fetch() joins them
+const flattenHeaders = (headers) => Object.fromEntries(Object.entries(headers)
+  .map(([name, value]) => [name, Array.isArray(value) ? value.join(', ') : value]));
+
+/**
+ * Perform a relay request with Node's HTTP client
+ * Compressed bodies are decoded like fetch() does; redirects are returned as-is
+ * @param {object} request - `localhost:performFetch` payload
+ * @param {object} options
+ * @param {number} options.timeoutMs - Abort after this long
+ * @param {number} options.maxResponseBytes - Abort larger (decoded) responses
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<object>} - `localhost:fetchComplete` payload
+ */
+const performRequest = (request, { timeoutMs, maxResponseBytes, signal }) => new Promise((resolve, reject) => {
+  const startedAt = Date.now();
+  const url = new URL(request.url);
+  const { headers, body } = buildOutgoing(request);
+  const transport = url.protocol === 'https:' ? https : http;
+
+  const outgoing = transport.request(url, {
+    method: request.method.toUpperCase(),
+    headers,
+    timeout: timeoutMs,
+    signal
+  }, (res) => {
+    const encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+    const decoder = DECODERS[encoding] ? DECODERS[encoding]() : null;
+    const stream = decoder ? res.pipe(decoder) : res;
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxResponseBytes) {
+        outgoing.destroy(Object.assign(new Error(`Response larger than ${maxResponseBytes} bytes`), { code: 'RESPONSE_TOO_LARGE' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      const data = Buffer.concat(chunks);
+      const textual = data.length === 0 || TEXT_CONTENT_TYPE.test(res.headers['content-type'] || '');
+      resolve({
+        requestId: request.requestId,
+        status: res.statusCode,
+        statusText: res.statusMessage || '',
+        headers: flattenHeaders(res.headers),
+        body: textual ? data.toString('utf8') : data,
+        time: Date.now() - startedAt,
+        size: data.length,
+        timestamp: new Date().toISOString()
+      });
+    });
+  });
+
+  outgoing.on('timeout', () => {
+    outgoing.destroy(Object.assign(new Error(`Request timed out after ${timeoutMs}ms`), { code: 'REQUEST_TIMEOUT' }));
+  });
+  outgoing.on('error', reject);
+  outgoing.end(body || undefined);
+});
+
+/**
+ * Create a headless agent
+ * @param {object} [options] - Overrides for agentConfig, plus:
+ * @param {Function} [options.getToken] - Returns the handshake token (defaults to token / tokenFile)
+ * @param {Function} [options.onFatal] - Called with an error when the agent gives up for good
+ * @returns {{ start: Function, stop: Function, status: Function }}
+ */
+const createAgent = (options = {}) => {
+  const config = { ...agentConfig, ...options };
+  const allowlist = parseAllowlist(config.allowlist);
+  const log = logger.child({ component: 'agent', agent: config.name });
+
+  const getToken = options.getToken || (() => (config.tokenFile
+    ? fs.readFileSync(config.tokenFile, 'utf8').trim()
+    : config.token));
+
+  const state = {
+    stopped: true,
+    sessionId: null,
+    attempt: 0,
+    reconnectTimer: null,
+    completed: 0,
+    failed: 0,
+    refused: 0
+  };
+  const inFlight = new Map();
+
+  // Reconnection is handled here so that handshake rejections are retried too
+  const socket = io(config.relayUrl, {
+    autoConnect: false,
+    reconnection: false,
+    transports: ['websocket'],
+    auth: (callback) => {
+      let token = null;
+      try {
+        token = getToken();
+      } catch (error) {
+        log.error('Could not read the agent token', { error });
+      }
+      callback({ token, agent: config.name });
+    }
+  });
+
+  const stop = (reason = 'Agent stopped') => {
+    if (state.stopped) return;
+    state.stopped = true;
+    clearTimeout(state.reconnectTimer);
+    state.reconnectTimer = null;
+    inFlight.forEach(controller => controller.abort());
+    inFlight.clear();
+    socket.disconnect();
+    log.info('Agent stopped', { reason });
+  };
+
+  const fail = (error) => {
+    log.error('Agent giving up', { error });
+    stop(error.message);
+    if (options.onFatal) options.onFatal(error);
+  };
+
+  // Exponential backoff with jitter, never shorter than minDelayMs (e.g. a quota's retryAfter)
+  const scheduleReconnect = (reason, minDelayMs = 0) => {
+    if (state.stopped || state.reconnectTimer) return;
+
+    const ceiling = Math.min(config.reconnectMaxMs, config.reconnectMinMs * 2 ** state.attempt);
+    const delayMs = Math.max(minDelayMs, Math.round(ceiling / 2 + Math.random() * ceiling / 2));
+    state.attempt++;
+
+    log.warn('Reconnecting to relay', { reason, attempt: state.attempt, delayMs });
+    state.reconnectTimer = setTimeout(() => {
+      state.reconnectTimer = null;
+      if (!state.stopped) socket.connect();
+    }, delayMs);
+  };
+
+  const reply = (event, payload) => {
+    socket.emit(event, payload, (result) => {
+      if (result && result.ok === false && !result.cancelled) {
+        log.warn('Relay did not accept the result', { requestId: payload.requestId, event, error: result.error });
+      }
+    });
+  };
+
+  const handleFetch = async (request) => {
+    if (!request || typeof request !== 'object' || !request.requestId) return;
+    const { requestId } = request;
+
+    if (typeof request.url !== 'string' || typeof request.method !== 'string') {
+      state.failed++;
+      reply('localhost:fetchError', { requestId, error: 'Invalid request' });
+      return;
+    }
+
+    if (!isAllowedTarget(request.url, allowlist)) {
+      state.refused++;
+      log.warn('Refused target outside the allowlist', { requestId, url: request.url });
+      reply('localhost:fetchError', {
+        requestId,
+        code: 'AGENT_TARGET_NOT_ALLOWED',
+        error: `Target not allowed by agent "${config.name}"`
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    inFlight.set(requestId, controller);
+    log.info('Performing request', { requestId, method: request.method, url: request.url });
+
+    try {
+      const response = await performRequest(request, {
+        timeoutMs: config.requestTimeoutMs,
+        maxResponseBytes: config.maxResponseBytes,
+        signal: controller.signal
+      });
+      state.completed++;
+      reply('localhost:fetchComplete', response);
+    } catch (error) {
+      // Aborted requests were cancelled by the relay, which no longer waits for them
+      if (controller.signal.aborted) return;
+      state.failed++;
+      log.warn('Request failed', { requestId, url: request.url, error });
+      reply('localhost:fetchError', {
+        requestId,
+        ...(RELAY_ERROR_CODES.includes(error.code) ? { code: error.code } : error.code && { cause: error.code }),
+        error: error.message
+      });
+    } finally {
+      inFlight.delete(requestId);
+    }
+  };
+
+  socket.on('connect', () => {
+    state.attempt = 0;
+    log.info('Connected to relay', { relayUrl: config.relayUrl });
+  });
+
+  socket.on('localhost:ready', ({ sessionId }) => {
+    state.sessionId = sessionId;
+    log.info('Agent registered', { sessionId });
+  });
+
+  socket.on('localhost:performFetch', handleFetch);
+
+  socket.on('localhost:abortFetch', ({ requestId, reason }) => {
+    const controller = inFlight.get(requestId);
+    if (controller) {
+      log.info('Request aborted by relay', { requestId, reason });
+      controller.abort();
+    }
+  });
+
+  // WebSocket tunnel channels need a browser
+  socket.on('localhost:wsOpen', (data, ack) => {
+    if (typeof ack === 'function') {
+      ack({ error: true, message: 'WebSocket channels are not supported by the agent' });
+    }
+  });
+
+  socket.on('server:notice', notice => log.info('Relay notice', { notice }));
+  socket.on('auth:expired', () => log.warn('Relay reported the token as expired'));
+  socket.on('session:terminated', ({ message } = {}) => log.warn('Session terminated by an administrator', { message }));
+
+  socket.on('agent:replaced', () => {
+    fail(new Error(`Another agent registered as "${config.name}"`));
+  });
+
+  socket.on('connect_error', (error) => {
+    const data = error.data || {};
+    const retryable = config.tokenFile || !AUTH_FAILURES.includes(data.code);
+    if (FATAL_HANDSHAKE_ERRORS.includes(data.code) || !retryable) {
+      fail(Object.assign(new Error(error.message), { code: data.code }));
+      return;
+    }
+    scheduleReconnect(data.code || error.message, data.retryAfter ? data.retryAfter * 1000 : 0);
+  });
+
+  socket.on('disconnect', (reason) => {
+    state.sessionId = null;
+    inFlight.forEach(controller => controller.abort());
+    inFlight.clear();
+    if (reason === 'io client disconnect') return;
+    scheduleReconnect(reason);
+  });
+
+  return {
+    /**
+     * Connect to the relay (reconnecting until stopped)
+     */
+    start: () => {
+      if (!state.stopped) return;
+      state.stopped = false;
+      log.info('Agent starting', { relayUrl: config.relayUrl, allowlist: config.allowlist });
+      socket.connect();
+    },
+
+    stop,
+
+    /**
+     * Current connection state and request counters
+     * @returns {object}
+     */
+    status: () => ({
+      name: config.name,
+      connected: socket.connected,
+      sessionId: state.sessionId,
+      inFlight: inFlight.size,
+      completed: state.completed,
+      failed: state.failed,
+      refused: state.refused
+    })
+  };
+};
+
+module.exports = {
+  agentConfig,
+  parseAllowlist,
+  isAllowedTarget,
+  performRequest,
+  createAgent
+};
@@ -0,0 +1,212 @@
+const Ajv = require('ajv');
+const { queryJsonPath, parseJsonBody, parseJsonPath } = require('./jsonPath');
+const { byteLength } = require('./requestBody');
+require('dotenv').config();
+
+// Assertion limits
+const assertionConfig = {
+  maxRegexLength: parseInt(process.env.ASSERTIONS_MAX_REGEX_LENGTH || '512'),
+  // `matches` only looks at the start of long values
+  maxRegexInputBytes: parseInt(process.env.ASSERTIONS_MAX_REGEX_INPUT_BYTES || '65536')
+};
+
+// A quantified group that itself ends in a quantifier, e.g. (a+)+ or (\w*)*, can backtrack exponentially
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+
+// Schemas are compiled on a throwaway instance so user schemas (and their $ids) never accumulate
+const compileSchema = (schema) => new Ajv({ allErrors: true, strict: false }).compile(schema);
+
+// Validators compiled while validating a request, reused when its response is evaluated
+const compiledSchemas = new WeakMap();
+
+const ASSERTION_TYPES = ['status', 'header', 'jsonPath', 'jsonSchema', 'bodySize', 'latency'];
+
+// Comparison operators shared by every assertion type except jsonSchema
+const OPERATORS = ['equals', 'notEquals', 'oneOf', 'matches', 'exists', 'lessThan', 'lessThanOrEqual', 'greaterThan', 'greaterThanOrEqual'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const findHeader = (headers, name) => {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name.toLowerCase());
+  return match === undefined ? undefined : headers[match];
+};
+
+/**
+ * Validate the `assertions` of a relay request
+ * @param {object[]} [assertions]
+ * @returns {string|null} - Error message or null
+ */
+const validateAssertions = (assertions) => {
+  if (assertions === undefined) return null;
+  if (!Array.isArray(assertions)) return 'assertions must be an array';
+
+  for (const [index, assertion] of assertions.entries()) {
+    const label = `assertions[${index}]`;
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+      return `${label}.type must be one of ${ASSERTION_TYPES.join(', ')}`;
+    }
+
+    if (assertion.type === 'jsonSchema') {
+      if (!assertion.schema || typeof assertion.schema !== 'object') {
+        return `${label}.schema is not a valid JSON Schema`;
+      }
+      try {
+        compiledSchemas.set(assertion.schema, compileSchema(assertion.schema));
+      } catch (e) {
+        return `${label}.schema is not a valid JSON Schema: ${e.message}`;
+      }
+      continue;
+    }
+
+    if (assertion.type === 'header' && typeof assertion.name !== 'string') {
+      return `${label}.name is required`;
+    }
+    if (assertion.type === 'jsonPath') {
+      try {
+        parseJsonPath(assertion.path);
+      } catch (e) {
+        return `${label}.path: ${e.message}`;
+      }
+    }
+    if (!OPERATORS.some(op => assertion[op] !== undefined)) {
+      return `${label} needs one of ${OPERATORS.join(', ')}`;
+    }
+    if (assertion.matches !== undefined) {
+      if (typeof assertion.matches !== 'string' || assertion.matches.length > assertionConfig.maxRegexLength) {
+        return `${label}.matches must be a string of at most ${assertionConfig.maxRegexLength} characters`;
+      }
+      if (NESTED_QUANTIFIER.test(assertion.matches)) {
+        return `${label}.matches must not nest quantifiers, e.g. (a+)+`;
+      }
+      try {
+        new RegExp(assertion.matches);
+      } catch (e) {
+        return `${label}.matches is not a valid regular expression`;
+      }
+    }
+  }
+  return null;
+};
+
+// Apply every operator present on the assertion; returns the first failure message or null
+const compare = (actual, assertion) => {
+  const present = actual !== undefined;
+
+  if (assertion.exists !== undefined && present !== Boolean(assertion.exists)) {
+    return assertion.exists ? 'expected a value' : `expected no value, got ${JSON.stringify(actual)}`;
+  }
+  if (assertion.equals !== undefined && !isEqual(actual, assertion.equals)) {
+    return `expected ${JSON.stringify(assertion.equals)}, got ${JSON.stringify(actual)}`;
+  }
+  if (assertion.notEquals !== undefined && isEqual(actual, assertion.notEquals)) {
+    return `expected anything but ${JSON.stringify(assertion.notEquals)}`;
+  }
+  if (assertion.oneOf !== undefined && !(Array.isArray(assertion.oneOf) && assertion.oneOf.some(v => isEqual(actual, v)))) {
+    return `expected one of ${JSON.stringify(assertion.oneOf)}, got ${JSON.stringify(actual)}`;
+  }
+  if (assertion.matches !== undefined &&
+    !(present && new RegExp(assertion.matches).test(String(actual).slice(0, assertionConfig.maxRegexInputBytes)))) {
+    return `expected to match /${assertion.matches}/, got ${JSON.stringify(actual)}`;
+  }
+
+  const bounds = [
+    ['lessThan', (a, b) => a < b, '<'],
+    ['lessThanOrEqual', (a, b) => a <= b, '<='],
+    ['greaterThan', (a, b) => a > b, '>'],
+    ['greaterThanOrEqual', (a, b) => a >= b, '>=']
+  ];
+  for (const [op, check, symbol] of bounds) {
+    if (assertion[op] !== undefined && !(typeof actual === 'number' && check(actual, assertion[op]))) {
+      return `expected ${symbol} ${assertion[op]}, got ${JSON.stringify(actual)}`;
+    }
+  }
+  return null;
+};
+
+// Check a body against a jsonSchema assertion; returns the failure message or null
+const validateSchema = (schema, body) => {
+  let validate = compiledSchemas.get(schema);
+  if (!validate) {
+    try {
+      validate = compileSchema(schema);
+    } catch (e) {
+      return `schema could not be compiled: ${e.message}`;
+    }
+  }
+  return validate(body) ? null : validate.errors.map(error => `data${error.instancePath} ${error.message}`).join(', ');
+};
+
+// Describe an assertion for reports, e.g. "header content-type" or "jsonPath $.id"
+const describeAssertion = (assertion) => {
+  if (assertion.name && assertion.type === 'header') return `header ${assertion.name}`;
+  if (assertion.type === 'jsonPath') return `jsonPath ${assertion.path}`;
+  return assertion.type;
+};
+
+/**
+ * Evaluate assertions against a relay response
+ * @param {object[]} assertions - Validated assertions
+ * @param {object} response - Relay response
+ * @param {number} durationMs - Time from execution to response
+ * @returns {{ passed: boolean, results: object[] }}
+ */
+const evaluateAssertions = (assertions, response, durationMs) => {
+  const results = assertions.map((assertion) => {
+    const result = { type: assertion.type, description: assertion.description || describeAssertion(assertion) };
+    let actual;
+    let failure = null;
+
+    switch (assertion.type) {
+      case 'status':
+        actual = response.status;
+        break;
+      case 'header':
+        actual = findHeader(response.headers, assertion.name);
+        break;
+      case 'bodySize':
+        actual = response.size !== undefined ? response.size : byteLength(response.body);
+        break;
+      case 'latency':
+        actual = durationMs;
+        break;
+      case 'jsonPath':
+      case 'jsonSchema': {
+        // Streamed responses are not buffered on the server, so there is no body to inspect
+        const body = response.streamed ? undefined : parseJsonBody(response.body);
+        if (body === undefined) {
+          failure = response.streamed ? 'body of a streamed response is not available' : 'body is not JSON';
+        } else if (assertion.type === 'jsonPath') {
+          const found = queryJsonPath(body, assertion.path);
+          actual = found.found ? found.value : undefined;
+        } else {
+          failure = validateSchema(assertion.schema, body);
+        }
+        break;
+      }
+    }
+
+    if (!failure && assertion.type !== 'jsonSchema') {
+      failure = compare(actual, assertion);
+    }
+
+    return {
+      ...result,
+      passed: !failure,
+      ...(actual !== undefined && { actual }),
+      ...(failure && { message: failure })
+    };
+  });
+
+  return {
+    passed: results.every(result => result.passed),
+    results
+  };
+};
+
+module.exports = {
+  assertionConfig,
+  NESTED_QUANTIFIER,
+  ASSERTION_TYPES,
+  validateAssertions,
+  evaluateAssertions
+};
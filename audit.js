@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { cache } = require('./cache');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+const log = logger.child({ component: 'admin' });
+
+// Audit trail configuration
+const auditConfig = {
+  retentionSeconds: parseInt(process.env.ADMIN_AUDIT_RETENTION_DAYS || '90') * 24 * 60 * 60
+};
+
+const AUDIT_KEY = 'admin:audit';
+
+/**
+ * Append an admin action to the audit trail
+ * @param {object} event
+ * @param {string} event.actor - Name of the admin credential used
+ * @param {string} event.action - Action name (e.g. 'session.disconnect')
+ * @param {object} [event.target] - What the action applied to
+ * @param {object} [event.result] - Outcome of the action
+ * @param {string} [event.ip] - Client IP of the admin request
+ * @returns {Promise<object>} - Stored event
+ */
+const recordAuditEvent = async ({ actor, action, target, result, ip }) => {
+  const now = Date.now();
+  const event = {
+    id: crypto.randomUUID(),
+    timestamp: new Date(now).toISOString(),
+    actor,
+    action,
+    target: target || null,
+    result: result || null,
+    ip: ip || null
+  };
+
+  // Also written to the server log so actions survive a Redis outage
+  log.info('Admin action', { auditId: event.id, actor, action, target: event.target, result: event.result, ip: event.ip });
+
+  await cache.zAdd(AUDIT_KEY, now, JSON.stringify(event), auditConfig.retentionSeconds);
+  await cache.zRemRangeByScore(AUDIT_KEY, '-inf', now - auditConfig.retentionSeconds * 1000);
+  return event;
+};
+
+/**
+ * List audit events, newest first
+ * @param {object} filters - { from, to, limit }
+ * @returns {Promise<object[]>}
+ */
+const listAuditEvents = async (filters = {}) => {
+  const min = filters.from ? new Date(filters.from).getTime() : '-inf';
+  const max = filters.to ? new Date(filters.to).getTime() : '+inf';
+  const members = await cache.zRangeByScore(AUDIT_KEY, min, max, {
+    reverse: true,
+    offset: 0,
+    count: filters.limit || 100
+  });
+  return members.map(member => JSON.parse(member));
+};
+
+module.exports = {
+  auditConfig,
+  recordAuditEvent,
+  listAuditEvents
+};
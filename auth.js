@@ -0,0 +1,195 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Handshake error codes returned to the client in `connect_error` (err.data.code)
+const AUTH_ERRORS = {
+  NOT_CONFIGURED: 'AUTH_NOT_CONFIGURED',
+  TOKEN_MISSING: 'AUTH_TOKEN_MISSING',
+  TOKEN_EXPIRED: 'AUTH_TOKEN_EXPIRED',
+  TOKEN_NOT_ACTIVE: 'AUTH_TOKEN_NOT_ACTIVE',
+  TOKEN_INVALID: 'AUTH_TOKEN_INVALID',
+  AUDIENCE_INVALID: 'AUTH_AUDIENCE_INVALID',
+  ISSUER_INVALID: 'AUTH_ISSUER_INVALID',
+  UNKNOWN_KEY: 'AUTH_UNKNOWN_KEY',
+  USER_CLAIM_MISSING: 'AUTH_USER_CLAIM_MISSING',
+  USER_MISMATCH: 'AUTH_USER_MISMATCH'
+};
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+// Authentication configuration
+const authConfig = {
+  secret: process.env.JWT_SECRET || null,
+  jwksFile: process.env.JWT_JWKS_FILE || null,
+  audience: process.env.JWT_AUDIENCE
+    ? process.env.JWT_AUDIENCE.split(',').map(aud => aud.trim())
+    : undefined,
+  issuer: process.env.JWT_ISSUER
+    ? process.env.JWT_ISSUER.split(',').map(iss => iss.trim())
+    : undefined,
+  userIdClaim: process.env.JWT_USER_ID_CLAIM || 'sub',
+  clockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS || '30')
+};
+
+// Public keys loaded from the local JWKS file, indexed by `kid`
+let jwksKeys = null;
+
+const loadJwks = () => {
+  if (jwksKeys) return jwksKeys;
+
+  const jwks = JSON.parse(fs.readFileSync(authConfig.jwksFile, 'utf8'));
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error(`Invalid JWKS file: ${authConfig.jwksFile}`);
+  }
+
+  jwksKeys = jwks.keys
+    .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+    .map(jwk => ({
+      kid: jwk.kid,
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    }));
+
+  return jwksKeys;
+};
+
+/**
+ * Check whether any verification key material is configured
+ * @returns {boolean}
+ */
+const isAuthConfigured = () => Boolean(authConfig.secret || authConfig.jwksFile);
+
+// Pick the verification key for a token header, refusing algorithms without configured keys
+const resolveKey = (header) => {
+  if (header.alg === 'HS256' && authConfig.secret) {
+    return authConfig.secret;
+  }
+
+  if (header.alg === 'RS256' && authConfig.jwksFile) {
+    const keys = loadJwks();
+    const match = header.kid
+      ? keys.find(k => k.kid === header.kid)
+      : (keys.length === 1 ? keys[0] : null);
+
+    if (!match) {
+      throw new AuthError(AUTH_ERRORS.UNKNOWN_KEY, 'No matching signing key found');
+    }
+    return match.key;
+  }
+
+  throw new AuthError(AUTH_ERRORS.TOKEN_INVALID, `Unsupported token algorithm: ${header.alg}`);
+};
+
+// Translate jsonwebtoken errors into handshake error codes
+const toAuthError = (error) => {
+  if (error instanceof AuthError) return error;
+  if (error.name === 'TokenExpiredError') {
+    return new AuthError(AUTH_ERRORS.TOKEN_EXPIRED, 'Token expired');
+  }
+  if (error.name === 'NotBeforeError') {
+    return new AuthError(AUTH_ERRORS.TOKEN_NOT_ACTIVE, 'Token not yet valid');
+  }
+  if (/audience invalid/.test(error.message)) {
+    return new AuthError(AUTH_ERRORS.AUDIENCE_INVALID, 'Token audience invalid');
+  }
+  if (/issuer invalid/.test(error.message)) {
+    return new AuthError(AUTH_ERRORS.ISSUER_INVALID, 'Token issuer invalid');
+  }
+  return new AuthError(AUTH_ERRORS.TOKEN_INVALID, 'Invalid token');
+};
+
+/**
+ * Verify a JWT and extract the user identity
+ * @param {string} token - Encoded JWT
+ * @returns {{ userId: string, claims: object, expiresAt: Date|null }}
+ * @throws {AuthError} - With a code from AUTH_ERRORS
+ */
+const verifyToken = (token) => {
+  if (!isAuthConfigured()) {
+    throw new AuthError(AUTH_ERRORS.NOT_CONFIGURED, 'Authentication is not configured');
+  }
+
+  if (!token || typeof token !== 'string') {
+    throw new AuthError(AUTH_ERRORS.TOKEN_MISSING, 'Authentication required');
+  }
+
+  let claims;
+  try {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new AuthError(AUTH_ERRORS.TOKEN_INVALID, 'Malformed token');
+    }
+
+    claims = jwt.verify(token, resolveKey(decoded.header), {
+      algorithms: [decoded.header.alg],
+      audience: authConfig.audience,
+      issuer: authConfig.issuer,
+      clockTolerance: authConfig.clockTolerance
+    });
+  } catch (error) {
+    throw toAuthError(error);
+  }
+
+  const userId = claims[authConfig.userIdClaim];
+  if (userId === undefined || userId === null || userId === '') {
+    throw new AuthError(AUTH_ERRORS.USER_CLAIM_MISSING, `Token is missing the "${authConfig.userIdClaim}" claim`);
+  }
+
+  return {
+    userId: String(userId),
+    claims,
+    expiresAt: claims.exp ? new Date(claims.exp * 1000) : null
+  };
+};
+
+/**
+ * Read the bearer token from a Socket.IO handshake
+ * @param {object} handshake - socket.handshake
+ * @returns {string|null}
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && typeof handshake.auth.token === 'string') {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+
+  return null;
+};
+
+/**
+ * Express middleware that requires a valid bearer token and sets req.userId
+ */
+const authenticateRequest = (req, res, next) => {
+  const header = req.headers.authorization;
+  const token = header && header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  try {
+    const { userId, claims } = verifyToken(token);
+    req.userId = userId;
+    req.tokenClaims = claims;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: error.message, code: error.code || AUTH_ERRORS.TOKEN_INVALID });
+  }
+};
+
+module.exports = {
+  AUTH_ERRORS,
+  AuthError,
+  authConfig,
+  isAuthConfigured,
+  verifyToken,
+  getHandshakeToken,
+  authenticateRequest
+};
@@ -0,0 +1,278 @@
+const { queryJsonPath, parseJsonBody, parseJsonPath } = require('./jsonPath');
+const { renderRequest } = require('./template');
+const { NESTED_QUANTIFIER } = require('./assertions');
+require('dotenv').config();
+
+// Batch execution configuration
+const batchConfig = {
+  maxSteps: parseInt(process.env.BATCH_MAX_STEPS || '50'),
+  maxParallel: parseInt(process.env.BATCH_MAX_PARALLEL || '5'),
+  maxRegexLength: parseInt(process.env.BATCH_MAX_REGEX_LENGTH || '512'),
+  // Regex extraction only looks at the start of large bodies
+  maxRegexInputBytes: parseInt(process.env.BATCH_MAX_REGEX_INPUT_BYTES || '262144')
+};
+
+const BATCH_MODES = ['stopOnFailure', 'continue'];
+
+const EXTRACT_SOURCES = ['json', 'header', 'regex'];
+
+const bodyText = (body) => {
+  if (body === undefined || body === null) return '';
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  if (typeof body === 'string') return body;
+  return JSON.stringify(body);
+};
+
+const findHeader = (headers, name) => {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name.toLowerCase());
+  return match === undefined ? undefined : headers[match];
+};
+
+const validateStep = (step, label) => {
+  if (!step || typeof step !== 'object' || !step.request || typeof step.request !== 'object') {
+    return `${label}: request is required`;
+  }
+
+  const extract = step.extract || {};
+  if (typeof extract !== 'object' || Array.isArray(extract)) {
+    return `${label}: extract must be an object`;
+  }
+  for (const [name, rule] of Object.entries(extract)) {
+    if (!rule || !EXTRACT_SOURCES.includes(rule.from)) {
+      return `${label}: extract.${name}.from must be one of ${EXTRACT_SOURCES.join(', ')}`;
+    }
+    if (rule.from === 'json') {
+      if (typeof rule.path !== 'string') {
+        return `${label}: extract.${name}.path is required`;
+      }
+      try {
+        parseJsonPath(rule.path);
+      } catch (e) {
+        return `${label}: extract.${name}.path: ${e.message}`;
+      }
+    }
+    if (rule.from === 'header' && typeof rule.name !== 'string') {
+      return `${label}: extract.${name}.name is required`;
+    }
+    if (rule.from === 'regex') {
+      if (typeof rule.pattern !== 'string' || rule.pattern.length > batchConfig.maxRegexLength) {
+        return `${label}: extract.${name}.pattern must be a string of at most ${batchConfig.maxRegexLength} characters`;
+      }
+      if (NESTED_QUANTIFIER.test(rule.pattern)) {
+        return `${label}: extract.${name}.pattern must not nest quantifiers, e.g. (a+)+`;
+      }
+      try {
+        new RegExp(rule.pattern, rule.flags);
+      } catch (e) {
+        return `${label}: extract.${name}.pattern is not a valid regular expression`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a batch and flatten it into groups of steps
+ *
+ * {
+ *   batchId: 'checkout-flow',
+ *   mode: 'stopOnFailure' | 'continue',
+ *   variables: { baseUrl: 'http://localhost:3000' },
+ *   steps: [
+ *     { name: 'login', request: {...}, extract: { token: { from: 'json', path: '$.token' } } },
+ *     { parallel: [{ name, request }, { name, request }] }
+ *   ]
+ * }
+ *
+ * @param {object} batch
+ * @returns {{ groups: object[][] } | { error: string }} - Steps get a batch-wide `index`
+ */
+const parseBatch = (batch) => {
+  if (!batch || typeof batch !== 'object' || !batch.batchId || !Array.isArray(batch.steps)) {
+    return { error: 'Missing required fields: batchId, steps' };
+  }
+  if (batch.mode !== undefined && !BATCH_MODES.includes(batch.mode)) {
+    return { error: `mode must be one of ${BATCH_MODES.join(', ')}` };
+  }
+  if (batch.variables !== undefined && (typeof batch.variables !== 'object' || Array.isArray(batch.variables))) {
+    return { error: 'variables must be an object' };
+  }
+
+  const groups = [];
+  let index = 0;
+  for (const entry of batch.steps) {
+    const members = entry && Array.isArray(entry.parallel) ? entry.parallel : [entry];
+    if (members.length === 0) {
+      return { error: `Step group ${groups.length} is empty` };
+    }
+
+    const group = [];
+    for (const step of members) {
+      const error = validateStep(step, `Step ${index}`);
+      if (error) return { error };
+      group.push({ ...step, index, name: step.name || `step-${index}` });
+      index++;
+    }
+    groups.push(group);
+  }
+
+  if (index > batchConfig.maxSteps) {
+    return { error: `Too many steps (max ${batchConfig.maxSteps})` };
+  }
+  return { groups };
+};
+
+/**
+ * Extract values from a response
+ * @param {object} response - Relay response
+ * @param {object} extract - name -> { from: 'json', path } | { from: 'header', name } | { from: 'regex', pattern, flags, group }
+ * @returns {{ values: object, missing: string[] }}
+ */
+const extractValues = (response, extract = {}) => {
+  const values = {};
+  const missing = [];
+
+  Object.entries(extract).forEach(([name, rule]) => {
+    let value;
+    if (rule.from === 'json') {
+      const body = parseJsonBody(response.body);
+      const result = body === undefined ? { found: false } : queryJsonPath(body, rule.path);
+      value = result.found ? result.value : undefined;
+    } else if (rule.from === 'header') {
+      value = findHeader(response.headers, rule.name);
+    } else {
+      const match = new RegExp(rule.pattern, rule.flags).exec(bodyText(response.body).slice(0, batchConfig.maxRegexInputBytes));
+      value = match ? match[rule.group === undefined ? (match.length > 1 ? 1 : 0) : rule.group] : undefined;
+    }
+
+    if (value === undefined) {
+      missing.push(name);
+    } else {
+      values[name] = value;
+    }
+  });
+
+  return { values, missing };
+};
+
+// Run async tasks with at most `limit` running at once
+const runBounded = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const current = next++;
+      results[current] = await tasks[current]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+};
+
+/**
+ * Run a parsed batch
+ * @param {object} batch - Original batch (batchId, mode, variables, maxParallel)
+ * @param {object[][]} groups - Result of parseBatch()
+ * @param {object} hooks
+ * @param {Function} hooks.execute - (request) => Promise<response | { error: true, message }>
+ * @param {Function} hooks.onProgress - (event) => void
+ * @returns {Promise<object>} - { batchId, success, steps, variables }
+ */
+const runBatch = async (batch, groups, { execute, onProgress }) => {
+  const mode = batch.mode || 'stopOnFailure';
+  const parallel = Math.max(1, Math.min(parseInt(batch.maxParallel) || batchConfig.maxParallel, batchConfig.maxParallel));
+  const variables = { ...(batch.variables || {}) };
+  const results = [];
+  let stopped = false;
+
+  const progress = (step, status, details = {}) => onProgress({
+    batchId: batch.batchId,
+    index: step.index,
+    name: step.name,
+    status,
+    ...details
+  });
+
+  const runStep = async (step) => {
+    if (stopped) {
+      progress(step, 'skipped');
+      return { index: step.index, name: step.name, status: 'skipped' };
+    }
+
+    // Variables are resolved against everything extracted before this step's group
+    const { request, unresolved } = renderRequest(step.request, variables);
+    request.requestId = request.requestId || `${batch.batchId}-${step.index}`;
+
+    progress(step, 'started', { requestId: request.requestId });
+    const startedAt = Date.now();
+    const response = await execute(request);
+    const durationMs = Date.now() - startedAt;
+
+    const result = {
+      index: step.index,
+      name: step.name,
+      requestId: request.requestId,
+      durationMs,
+      // A step naming an environment reports what is still unresolved after it was applied
+      ...(request.environment !== undefined
+        ? response.unresolved && { unresolved: response.unresolved }
+        : unresolved.length > 0 && { unresolved })
+    };
+
+    if (response.error) {
+      Object.assign(result, { status: 'failed', error: response.message, response });
+    } else {
+      const { values, missing } = extractValues(response, step.extract);
+      Object.assign(result, { response, extracted: values });
+      // Assertions, when present, replace the default "status below 400" check
+      const failedAssertions = response.assertions
+        ? response.assertions.results.filter(assertion => !assertion.passed).length
+        : 0;
+      if (failedAssertions > 0) {
+        Object.assign(result, { status: 'failed', error: `${failedAssertions} assertion(s) failed` });
+      } else if (!response.assertions && response.status >= 400) {
+        Object.assign(result, { status: 'failed', error: `HTTP ${response.status}` });
+      } else if (missing.length > 0) {
+        Object.assign(result, { status: 'failed', error: `Could not extract: ${missing.join(', ')}` });
+      } else {
+        result.status = 'passed';
+      }
+    }
+
+    progress(step, result.status, {
+      requestId: result.requestId,
+      durationMs,
+      ...(result.response && !result.response.error && { httpStatus: result.response.status }),
+      ...(result.error && { error: result.error }),
+      ...(result.extracted && { extracted: result.extracted })
+    });
+    return result;
+  };
+
+  for (const group of groups) {
+    const groupResults = await runBounded(group.map(step => () => runStep(step)), parallel);
+
+    groupResults.forEach((result) => {
+      Object.assign(variables, result.extracted);
+      results.push(result);
+    });
+
+    if (mode === 'stopOnFailure' && groupResults.some(result => result.status === 'failed')) {
+      stopped = true;
+    }
+  }
+
+  return {
+    batchId: batch.batchId,
+    success: results.every(result => result.status === 'passed'),
+    steps: results,
+    variables
+  };
+};
+
+module.exports = {
+  batchConfig,
+  parseBatch,
+  extractValues,
+  runBatch
+};
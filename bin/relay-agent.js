@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Run a headless relay agent: relay-agent --relay https://relay.example.com --name dev-vm --token-file ./agent.jwt
+const { agentConfig, createAgent } = require('../agent');
+
+const USAGE = `Usage: relay-agent [options]
+
+Options (each defaults to the matching AGENT_* environment variable):
+  --relay <url>          Relay URL (AGENT_RELAY_URL, default http://localhost:8080)
+  --name <name>          Agent name browser sessions target (AGENT_NAME, default hostname)
+  --token <jwt>          Handshake token (AGENT_TOKEN)
+  --token-file <path>    File holding the token, re-read on every connect (AGENT_TOKEN_FILE)
+  --allow <entries>      Comma-separated host[:port] / *.domain[:port] allowlist (AGENT_ALLOWLIST);
+                         may be repeated
+  --help                 Show this help`;
+
+const OPTIONS = {
+  '--relay': 'relayUrl',
+  '--name': 'name',
+  '--token': 'token',
+  '--token-file': 'tokenFile',
+  '--allow': 'allowlist'
+};
+
+const parseArgs = (args) => {
+  const options = {};
+  const allow = [];
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    if (flag === '--help' || flag === '-h') return { help: true };
+
+    const key = OPTIONS[flag];
+    if (!key) throw new Error(`Unknown option ${flag}`);
+
+    const value = inline !== undefined ? inline : args[++i];
+    if (value === undefined) throw new Error(`${flag} requires a value`);
+    if (key === 'allowlist') {
+      allow.push(value);
+    } else {
+      options[key] = value;
+    }
+  }
+  if (allow.length > 0) options.allowlist = allow.join(',');
+  return options;
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exit(2);
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  if (!options.token && !options.tokenFile && !agentConfig.token && !agentConfig.tokenFile) {
+    process.stderr.write(`A token is required (--token, --token-file, AGENT_TOKEN or AGENT_TOKEN_FILE)\n\n${USAGE}\n`);
+    process.exit(2);
+  }
+
+  let agent;
+  try {
+    agent = createAgent({
+      ...options,
+      onFatal: () => process.exit(1)
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(2);
+  }
+
+  const shutdown = (signal) => {
+    agent.stop(`${signal} received`);
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  agent.start();
+};
+
+main();
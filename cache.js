@@ -1,6 +1,52 @@
 const redis = require('redis');
+const { createMemoryBackend } = require('./memoryBackend');
+const { logger } = require('./logger');
 require('dotenv').config();
 
+const log = logger.child({ component: 'cache' });
+
+const CACHE_BACKENDS = ['redis', 'memory'];
+
+// Cache backend configuration
+const cacheConfig = {
+  backend: CACHE_BACKENDS.includes(process.env.CACHE_BACKEND) ? process.env.CACHE_BACKEND : 'redis',
+  failover: process.env.CACHE_FAILOVER !== 'false',
+  memoryMaxBytes: parseInt(process.env.CACHE_MEMORY_MAX_BYTES || String(64 * 1024 * 1024)),
+  connectTimeoutMs: parseInt(process.env.REDIS_CONNECT_TIMEOUT_SECONDS || '5') * 1000
+};
+
+// Connection state, active backend, lookup and command error counters, read by the metrics and stats endpoints
+const cacheStats = {
+  backend: {
+    configured: cacheConfig.backend,
+    active: cacheConfig.backend,
+    failover: cacheConfig.failover,
+    switches: 0,
+    lastSwitch: null
+  },
+  connection: {
+    state: 'disconnected',
+    connects: 0,
+    reconnects: 0,
+    errors: 0
+  },
+  hits: 0,
+  misses: 0,
+  commandErrors: {}
+};
+
+const recordCommandError = (command) => {
+  cacheStats.commandErrors[command] = (cacheStats.commandErrors[command] || 0) + 1;
+};
+
+const recordLookup = (found) => {
+  if (found) {
+    cacheStats.hits++;
+  } else {
+    cacheStats.misses++;
+  }
+};
+
 // Create Redis client
 const createRedisClient = () => {
 
@@ -18,19 +64,33 @@ const createRedisClient = () => {
   
   // Handle reconnect logic with new event system
   client.on('error', (err) => {
-    console.error('Redis Client Error:', err);
+    cacheStats.connection.errors++;
+    log.error('Redis client error', { error: err });
+    syncBackend(err.message);
   });
   
   client.on('connect', () => {
-    console.log('Redis Client Connected');
+    cacheStats.connection.state = 'connecting';
+    cacheStats.connection.connects++;
+    log.info('Redis client connected');
   });
   
   client.on('reconnecting', () => {
-    console.log('Redis Client Reconnecting');
+    cacheStats.connection.state = 'reconnecting';
+    cacheStats.connection.reconnects++;
+    log.warn('Redis client reconnecting');
+    syncBackend('Redis reconnecting');
   });
   
   client.on('ready', () => {
-    console.log('Redis Client Ready');
+    cacheStats.connection.state = 'ready';
+    log.info('Redis client ready');
+    syncBackend('Redis ready');
+  });
+  
+  client.on('end', () => {
+    cacheStats.connection.state = 'disconnected';
+    syncBackend('Redis connection closed');
   });
   
   return client;
@@ -39,14 +99,146 @@ const createRedisClient = () => {
 // Create singleton instance
 const redisClient = createRedisClient();
 
-// Connect to Redis
+/*
+ * Cache backends share a string-level interface (see memoryBackend.js); the cache helpers below
+ * handle JSON, lookup counters and errors on top of whichever backend is active.
+ */
+const redisBackend = {
+  name: 'redis',
+  get: (key) => redisClient.get(key),
+  set: (key, value, ttl) => (ttl ? redisClient.setEx(key, ttl, value) : redisClient.set(key, value)),
+  mGet: (keys) => redisClient.mGet(keys),
+  mSet: async (entries) => {
+    const multi = redisClient.multi();
+    entries.forEach((entry) => {
+      if (entry.ttl) {
+        multi.setEx(entry.key, entry.ttl, entry.value);
+      } else {
+        multi.set(entry.key, entry.value);
+      }
+    });
+    await multi.exec();
+  },
+  del: (key) => redisClient.del(key),
+  delPattern: async (pattern) => {
+    // SCAN walks the keyspace incrementally instead of blocking Redis like KEYS
+    let deleted = 0;
+    for await (const keys of redisClient.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      const batch = [].concat(keys);
+      if (batch.length > 0) {
+        deleted += await redisClient.unlink(batch);
+      }
+    }
+    return deleted;
+  },
+  exists: async (key) => (await redisClient.exists(key)) === 1,
+  incrBy: async (key, amount, ttl) => {
+    const result = await redisClient.incrBy(key, amount);
+    if (ttl) {
+      await redisClient.expire(key, ttl);
+    }
+    return result;
+  },
+  zAdd: async (key, score, member, ttl) => {
+    await redisClient.zAdd(key, { score, value: member });
+    if (ttl) {
+      await redisClient.expire(key, ttl);
+    }
+  },
+  zRangeByScore: (key, min, max, { offset = 0, count, reverse = false } = {}) =>
+    redisClient.zRange(key, reverse ? max : min, reverse ? min : max, {
+      BY: 'SCORE',
+      REV: reverse || undefined,
+      ...(count !== undefined && { LIMIT: { offset, count } })
+    }),
+  zRemRangeByScore: (key, min, max) => redisClient.zRemRangeByScore(key, min, max),
+  zRem: (key, members) => redisClient.zRem(key, members)
+};
+
+const memoryBackend = createMemoryBackend({ maxBytes: cacheConfig.memoryMaxBytes });
+
+// Memory when configured, or (with failover) whenever Redis is not ready to take commands
+const selectBackend = () => {
+  if (cacheConfig.backend === 'memory') return memoryBackend;
+  if (cacheConfig.failover && !redisClient.isReady) return memoryBackend;
+  return redisBackend;
+};
+
+/**
+ * Switch to the backend the Redis connection state calls for, logging and recording the switch
+ * Data written to memory during an outage is dropped when Redis takes over again
+ * @param {string} reason - Why the backend is being checked
+ * @returns {object} - Active backend
+ */
+const syncBackend = (reason) => {
+  const backend = selectBackend();
+  const from = cacheStats.backend.active;
+  if (backend.name === from) return backend;
+
+  cacheStats.backend.active = backend.name;
+  cacheStats.backend.switches++;
+  cacheStats.backend.lastSwitch = { from, to: backend.name, reason, at: new Date().toISOString() };
+
+  if (backend === memoryBackend) {
+    log.warn('Cache failed over to the in-memory backend', { from, reason });
+  } else {
+    memoryBackend.clear();
+    log.info('Cache recovered to the Redis backend', { from, reason });
+  }
+  return backend;
+};
+
+const activeBackend = () => syncBackend(`Redis ${cacheStats.connection.state}`);
+
+/**
+ * Connect to Redis, waiting at most REDIS_CONNECT_TIMEOUT_SECONDS
+ * The client keeps retrying in the background; with failover the memory backend serves meanwhile
+ * @returns {Promise<boolean>} - Whether Redis is ready
+ */
 const connectRedis = async () => {
-  try {
-    await redisClient.connect();
-    console.log('Connected to Redis');
-  } catch (error) {
-    console.error('Failed to connect to Redis:', error);
+  if (cacheConfig.backend === 'memory') {
+    log.info('Using the in-memory cache backend', { maxBytes: cacheConfig.memoryMaxBytes });
+    return false;
+  }
+
+  // connect() also settles when the client is destroyed before it ever got through
+  const connecting = redisClient.connect().then(() => {
+    if (!redisClient.isReady) return false;
+    log.info('Connected to Redis');
+    return true;
+  }, (error) => {
+    log.error('Failed to connect to Redis', { error });
+    return false;
+  });
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), cacheConfig.connectTimeoutMs);
+  });
+  const ready = await Promise.race([connecting, timeout]);
+  clearTimeout(timer);
+
+  if (!ready) {
+    log.warn('Redis is not reachable, continuing while the client retries', {
+      backend: activeBackend().name,
+      timeoutMs: cacheConfig.connectTimeoutMs
+    });
   }
+  return ready;
+};
+
+/**
+ * Backend status for health and stats output
+ * @returns {object} - { configured, active, failover, switches, lastSwitch, redis, memory }
+ */
+const getCacheStatus = () => {
+  const memory = memoryBackend.inspect();
+  return {
+    ...cacheStats.backend,
+    active: activeBackend().name,
+    redis: cacheStats.connection.state,
+    memory: { keys: memory.keys.length, bytes: memory.bytes, maxBytes: memory.maxBytes }
+  };
 };
 
 // Cache utility functions
@@ -57,12 +249,15 @@ const cache = {
    * @returns {Promise<any>} - Cached value or null if not found
    */
   get: async (key) => {
+    const backend = activeBackend();
     try {
-      const value = await redisClient.get(key);
+      const value = await backend.get(key);
+      recordLookup(value !== null);
       if (value === null) return null;
       return JSON.parse(value);
     } catch (error) {
-      console.error('Cache get error:', error);
+      recordCommandError('get');
+      log.error('Cache get error', { key, backend: backend.name, error });
       return null;
     }
   },
@@ -75,16 +270,54 @@ const cache = {
    * @returns {Promise<boolean>} - Success status
    */
   set: async (key, value, ttl = 300) => { // Default 5 minutes
+    const backend = activeBackend();
     try {
-      const stringValue = JSON.stringify(value);
-      if (ttl) {
-        await redisClient.setEx(key, ttl, stringValue);
-      } else {
-        await redisClient.set(key, stringValue);
-      }
+      await backend.set(key, JSON.stringify(value), ttl);
       return true;
     } catch (error) {
-      console.error('Cache set error:', error);
+      recordCommandError('set');
+      log.error('Cache set error', { key, backend: backend.name, error });
+      return false;
+    }
+  },
+
+  /**
+   * Get several values in one round trip
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Array<any>>} - Values in key order, null for missing keys
+   */
+  mget: async (keys) => {
+    const backend = activeBackend();
+    try {
+      if (keys.length === 0) return [];
+      const values = await backend.mGet(keys);
+      values.forEach(value => recordLookup(value !== null));
+      return values.map(value => (value === null ? null : JSON.parse(value)));
+    } catch (error) {
+      recordCommandError('mget');
+      log.error('Cache mget error', { keys: keys.length, backend: backend.name, error });
+      return keys.map(() => null);
+    }
+  },
+
+  /**
+   * Set several values in one transaction
+   * @param {Array<{ key: string, value: any, ttl?: number }>} entries - Entries to set
+   * @param {number} ttl - Default time to live in seconds (0 for no expiry)
+   * @returns {Promise<boolean>} - Success status
+   */
+  mset: async (entries, ttl = 300) => {
+    const backend = activeBackend();
+    try {
+      await backend.mSet(entries.map(entry => ({
+        key: entry.key,
+        value: JSON.stringify(entry.value),
+        ttl: entry.ttl !== undefined ? entry.ttl : ttl
+      })));
+      return true;
+    } catch (error) {
+      recordCommandError('mset');
+      log.error('Cache mset error', { keys: entries.length, backend: backend.name, error });
       return false;
     }
   },
@@ -95,10 +328,12 @@ const cache = {
    * @returns {Promise<number>} - Number of keys deleted
    */
   del: async (key) => {
+    const backend = activeBackend();
     try {
-      return await redisClient.del(key);
+      return await backend.del(key);
     } catch (error) {
-      console.error('Cache delete error:', error);
+      recordCommandError('del');
+      log.error('Cache delete error', { key, backend: backend.name, error });
       return 0;
     }
   },
@@ -109,12 +344,12 @@ const cache = {
    * @returns {Promise<number>} - Number of keys deleted
    */
   delPattern: async (pattern) => {
+    const backend = activeBackend();
     try {
-      const keys = await redisClient.keys(pattern);
-      if (keys.length === 0) return 0;
-      return await redisClient.del(keys);
+      return await backend.delPattern(pattern);
     } catch (error) {
-      console.error('Cache delete pattern error:', error);
+      recordCommandError('delPattern');
+      log.error('Cache delete pattern error', { pattern, backend: backend.name, error });
       return 0;
     }
   },
@@ -125,11 +360,12 @@ const cache = {
    * @returns {Promise<boolean>} - Existence status
    */
   exists: async (key) => {
+    const backend = activeBackend();
     try {
-      const result = await redisClient.exists(key);
-      return result === 1;
+      return await backend.exists(key);
     } catch (error) {
-      console.error('Cache exists error:', error);
+      recordCommandError('exists');
+      log.error('Cache exists error', { key, backend: backend.name, error });
       return false;
     }
   },
@@ -141,29 +377,133 @@ const cache = {
    * @returns {Promise<number>} - New value
    */
   incr: async (key, ttl) => {
+    const backend = activeBackend();
     try {
-      const result = await redisClient.incr(key);
-      if (ttl) {
-        await redisClient.expire(key, ttl);
-      }
-      return result;
+      return await backend.incrBy(key, 1, ttl);
+    } catch (error) {
+      recordCommandError('incr');
+      log.error('Cache increment error', { key, backend: backend.name, error });
+      return 0;
+    }
+  },
+
+  /**
+   * Increment a counter in cache by an arbitrary (possibly negative) amount
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add
+   * @param {number} ttl - Time to live in seconds (optional)
+   * @returns {Promise<number>} - New value
+   */
+  incrBy: async (key, amount, ttl) => {
+    const backend = activeBackend();
+    try {
+      return await backend.incrBy(key, amount, ttl);
+    } catch (error) {
+      recordCommandError('incrBy');
+      log.error('Cache incrBy error', { key, backend: backend.name, error });
+      return 0;
+    }
+  },
+
+  /**
+   * Add a member to a sorted set
+   * @param {string} key - Sorted set key
+   * @param {number} score - Member score
+   * @param {string} member - Member value
+   * @param {number} ttl - Time to live in seconds for the whole set (optional)
+   * @returns {Promise<boolean>} - Success status
+   */
+  zAdd: async (key, score, member, ttl) => {
+    const backend = activeBackend();
+    try {
+      await backend.zAdd(key, score, member, ttl);
+      return true;
+    } catch (error) {
+      recordCommandError('zAdd');
+      log.error('Cache zAdd error', { key, backend: backend.name, error });
+      return false;
+    }
+  },
+
+  /**
+   * Get sorted set members by score range
+   * @param {string} key - Sorted set key
+   * @param {number|string} min - Minimum score ('-inf' allowed)
+   * @param {number|string} max - Maximum score ('+inf' allowed)
+   * @param {object} options - { offset, count, reverse } (optional)
+   * @returns {Promise<string[]>} - Members, or an empty array on error
+   */
+  zRangeByScore: async (key, min, max, options = {}) => {
+    const backend = activeBackend();
+    try {
+      return await backend.zRangeByScore(key, min, max, options);
+    } catch (error) {
+      recordCommandError('zRangeByScore');
+      log.error('Cache zRangeByScore error', { key, backend: backend.name, error });
+      return [];
+    }
+  },
+
+  /**
+   * Remove sorted set members by score range
+   * @param {string} key - Sorted set key
+   * @param {number|string} min - Minimum score ('-inf' allowed)
+   * @param {number|string} max - Maximum score ('+inf' allowed)
+   * @returns {Promise<number>} - Number of members removed
+   */
+  zRemRangeByScore: async (key, min, max) => {
+    const backend = activeBackend();
+    try {
+      return await backend.zRemRangeByScore(key, min, max);
+    } catch (error) {
+      recordCommandError('zRemRangeByScore');
+      log.error('Cache zRemRangeByScore error', { key, backend: backend.name, error });
+      return 0;
+    }
+  },
+
+  /**
+   * Remove members from a sorted set
+   * @param {string} key - Sorted set key
+   * @param {string|string[]} members - Member value(s)
+   * @returns {Promise<number>} - Number of members removed
+   */
+  zRem: async (key, members) => {
+    const backend = activeBackend();
+    try {
+      return await backend.zRem(key, members);
     } catch (error) {
-      console.error('Cache increment error:', error);
+      recordCommandError('zRem');
+      log.error('Cache zRem error', { key, backend: backend.name, error });
       return 0;
     }
   },
 
   /**
-   * Close Redis connection
+   * Close Redis connection (a client that never became ready is dropped instead of waiting on QUIT)
    */
   quit: async () => {
+    memoryBackend.stop();
+    if (!redisClient.isOpen) return;
     try {
-      await redisClient.quit();
-      console.log('Redis connection closed');
+      if (redisClient.isReady) {
+        await redisClient.quit();
+      } else {
+        redisClient.destroy();
+      }
+      log.info('Redis connection closed');
     } catch (error) {
-      console.error('Error closing Redis connection:', error);
+      log.error('Error closing Redis connection', { error });
     }
   }
 };
 
-module.exports = { cache, connectRedis, redisClient };
\ No newline at end of file
+module.exports = {
+  cache,
+  connectRedis,
+  redisClient,
+  cacheConfig,
+  cacheStats,
+  getCacheStatus,
+  memoryBackend
+};
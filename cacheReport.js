@@ -0,0 +1,231 @@
+const { redisClient, cacheStats, getCacheStatus, memoryBackend } = require('./cache');
+require('dotenv').config();
+
+// Cache statistics configuration
+const cacheReportConfig = {
+  sampleKeys: parseInt(process.env.CACHE_STATS_SAMPLE_KEYS || '1000')
+};
+
+const numeric = (value) => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value);
+
+/**
+ * Parse INFO output into sections; keyspace lines ("keys=1,expires=0,avg_ttl=0") become objects
+ * @param {string} text - Raw INFO reply
+ * @returns {object} - { memory: {...}, clients: {...}, keyspace: { db0: {...} }, stats: {...}, ... }
+ */
+const parseInfo = (text) => {
+  const sections = {};
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('# ')) {
+      current = line.slice(2).trim().toLowerCase();
+      sections[current] = {};
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    if (!current || separator === -1) return;
+
+    const name = line.slice(0, separator);
+    const value = line.slice(separator + 1).trim();
+    sections[current][name] = current === 'keyspace'
+      ? Object.fromEntries(value.split(',').map(pair => pair.split('=')).map(([k, v]) => [k, numeric(v)]))
+      : numeric(value);
+  });
+
+  return sections;
+};
+
+// Cache API keys are grouped per client (cacheapi:<clientId>), everything else by its first segment
+const namespaceOf = (key) => {
+  const parts = key.split(':');
+  if (parts[0] === 'cacheapi' && parts.length > 2) return `cacheapi:${parts[1]}`;
+  return parts.length > 1 ? parts[0] : '(none)';
+};
+
+// Walk up to `limit` keys with SCAN and measure each with MEMORY USAGE
+const sampleNamespaces = async (limit) => {
+  const namespaces = {};
+  let sampled = 0;
+  let complete = true;
+
+  for await (const keys of redisClient.scanIterator({ COUNT: 100 })) {
+    const batch = [].concat(keys).slice(0, limit - sampled);
+    const sizes = await Promise.all(batch.map(key => redisClient.memoryUsage(key)));
+
+    batch.forEach((key, index) => {
+      const namespace = namespaceOf(key);
+      namespaces[namespace] = namespaces[namespace] || { sampledKeys: 0, sampledBytes: 0 };
+      namespaces[namespace].sampledKeys++;
+      namespaces[namespace].sampledBytes += sizes[index] || 0;
+    });
+    sampled += batch.length;
+
+    if (sampled >= limit) {
+      complete = false;
+      break;
+    }
+  }
+
+  return { namespaces, sampled, complete };
+};
+
+const operationStats = () => {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    hitRate: lookups > 0 ? cacheStats.hits / lookups : null,
+    errors: Object.values(cacheStats.commandErrors).reduce((sum, count) => sum + count, 0),
+    commandErrors: { ...cacheStats.commandErrors }
+  };
+};
+
+// The in-memory backend knows every key and its size, so nothing is sampled or estimated
+const memoryBackendStats = () => {
+  const snapshot = memoryBackend.inspect();
+  const namespaces = {};
+  snapshot.keys.forEach(({ key, bytes }) => {
+    const namespace = namespaceOf(key);
+    namespaces[namespace] = namespaces[namespace] || { keys: 0, memoryBytes: 0, sampledKeys: 0 };
+    namespaces[namespace].keys++;
+    namespaces[namespace].sampledKeys++;
+    namespaces[namespace].memoryBytes += bytes;
+  });
+
+  return {
+    available: true,
+    keys: {
+      total: snapshot.keys.length,
+      sampled: snapshot.keys.length,
+      estimated: false
+    },
+    namespaces,
+    // Named like the Redis INFO fields they stand in for
+    memory: { used_memory: snapshot.bytes, maxmemory: snapshot.maxBytes },
+    clients: {},
+    keyspace: {},
+    evictions: {
+      evictedKeys: snapshot.evictions,
+      expiredKeys: snapshot.expirations
+    }
+  };
+};
+
+/**
+ * Collect cache statistics: backend status, client counters, connection state, INFO sections and
+ * per-namespace key counts and memory (extrapolated from a SCAN sample on large keyspaces)
+ * @param {object} [options]
+ * @param {number} [options.sampleKeys] - Maximum keys to sample
+ * @returns {Promise<object>}
+ */
+const collectCacheStats = async ({ sampleKeys = cacheReportConfig.sampleKeys } = {}) => {
+  const backend = getCacheStatus();
+  const stats = {
+    timestamp: new Date().toISOString(),
+    backend,
+    connection: { ...cacheStats.connection },
+    operations: operationStats()
+  };
+
+  if (backend.active === 'memory') {
+    return { ...stats, ...memoryBackendStats() };
+  }
+
+  // Server-side numbers need a live connection
+  if (cacheStats.connection.state !== 'ready') {
+    return { ...stats, available: false };
+  }
+
+  const [infoText, totalKeys] = await Promise.all([redisClient.info(), redisClient.dbSize()]);
+  const info = parseInfo(infoText);
+  const sample = await sampleNamespaces(sampleKeys);
+
+  // Scale sampled counts up to the whole keyspace when the scan stopped early
+  const estimated = !sample.complete && sample.sampled > 0 && sample.sampled < totalKeys;
+  const scale = estimated ? totalKeys / sample.sampled : 1;
+  const namespaces = Object.fromEntries(Object.entries(sample.namespaces).map(([namespace, entry]) => [namespace, {
+    keys: Math.round(entry.sampledKeys * scale),
+    memoryBytes: Math.round(entry.sampledBytes * scale),
+    sampledKeys: entry.sampledKeys
+  }]));
+
+  const serverStats = info.stats || {};
+  return {
+    ...stats,
+    available: true,
+    keys: {
+      total: totalKeys,
+      sampled: sample.sampled,
+      estimated
+    },
+    namespaces,
+    memory: info.memory || {},
+    clients: info.clients || {},
+    keyspace: info.keyspace || {},
+    evictions: {
+      evictedKeys: serverStats.evicted_keys,
+      expiredKeys: serverStats.expired_keys,
+      keyspaceHits: serverStats.keyspace_hits,
+      keyspaceMisses: serverStats.keyspace_misses
+    }
+  };
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render collected statistics in the Prometheus text exposition format
+ * @param {object} stats - Result of collectCacheStats()
+ * @returns {string}
+ */
+const toPrometheus = (stats) => {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    const present = samples.filter(([, value]) => typeof value === 'number' && !Number.isNaN(value));
+    if (present.length === 0) return;
+
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    present.forEach(([labels, value]) => {
+      const labelText = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+  };
+
+  metric('relay_cache_hits_total', 'counter', 'Cache lookups that found a value', [[{}, stats.operations.hits]]);
+  metric('relay_cache_misses_total', 'counter', 'Cache lookups that found nothing', [[{}, stats.operations.misses]]);
+  metric('relay_cache_command_errors_total', 'counter', 'Failed cache commands by command',
+    Object.entries(stats.operations.commandErrors).map(([command, count]) => [{ command }, count]));
+  metric('relay_cache_backend_active', 'gauge', 'Which cache backend serves commands (1) and which does not (0)',
+    ['redis', 'memory'].map(name => [{ backend: name }, stats.backend.active === name ? 1 : 0]));
+  metric('relay_cache_backend_switches_total', 'counter', 'Failovers to and recoveries from the in-memory backend',
+    [[{}, stats.backend.switches]]);
+  metric('relay_cache_connected', 'gauge', 'Whether the cache client is ready (1) or not (0)',
+    [[{}, stats.connection.state === 'ready' ? 1 : 0]]);
+  metric('relay_cache_reconnects_total', 'counter', 'Cache client reconnect attempts', [[{}, stats.connection.reconnects]]);
+  metric('relay_cache_connection_errors_total', 'counter', 'Cache client connection errors', [[{}, stats.connection.errors]]);
+
+  if (stats.available) {
+    metric('relay_cache_keys', 'gauge', 'Keys in the selected database (or the in-memory backend)', [[{}, stats.keys.total]]);
+    metric('relay_cache_namespace_keys', 'gauge', 'Keys per namespace (estimated from a sample on large keyspaces)',
+      Object.entries(stats.namespaces).map(([namespace, entry]) => [{ namespace }, entry.keys]));
+    metric('relay_cache_namespace_memory_bytes', 'gauge', 'Memory per namespace (estimated from a sample on large keyspaces)',
+      Object.entries(stats.namespaces).map(([namespace, entry]) => [{ namespace }, entry.memoryBytes]));
+    metric('relay_cache_used_memory_bytes', 'gauge', 'Memory used by Redis (estimated for the in-memory backend)', [[{}, stats.memory.used_memory]]);
+    metric('relay_cache_max_memory_bytes', 'gauge', 'Redis maxmemory setting or CACHE_MEMORY_MAX_BYTES (0 when unlimited)', [[{}, stats.memory.maxmemory]]);
+    metric('relay_cache_connected_clients', 'gauge', 'Clients connected to Redis', [[{}, stats.clients.connected_clients]]);
+    metric('relay_cache_blocked_clients', 'gauge', 'Clients blocked on Redis', [[{}, stats.clients.blocked_clients]]);
+    metric('relay_cache_evicted_keys_total', 'counter', 'Keys evicted because of the memory limit', [[{}, stats.evictions.evictedKeys]]);
+    metric('relay_cache_expired_keys_total', 'counter', 'Keys removed after their TTL expired', [[{}, stats.evictions.expiredKeys]]);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  cacheReportConfig,
+  parseInfo,
+  collectCacheStats,
+  toPrometheus
+};
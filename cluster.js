@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { cache, redisClient, cacheConfig } = require('./cache');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+const log = logger.child({ component: 'cluster' });
+
+// Cluster configuration
+const clusterConfig = {
+  enabled: process.env.CLUSTER_MODE === 'true',
+  instanceId: process.env.INSTANCE_ID || crypto.randomUUID(),
+  sessionTtlSeconds: parseInt(process.env.SESSION_TIMEOUT_MINUTES || '10') * 60,
+  pendingTtlSeconds: parseInt(process.env.REQUEST_TIMEOUT_SECONDS || '30') + 30
+};
+
+// Redis key layout
+const SESSION_PREFIX = 'relay:session:';
+const PENDING_PREFIX = 'relay:pending:';
+
+// Clustered mode is only active once the adapter has been attached
+let clusterActive = false;
+
+/**
+ * Attach the Socket.IO Redis adapter so events and rooms span all instances
+ * @param {import('socket.io').Server} io - Socket.IO server
+ * @returns {Promise<boolean>} - Whether clustered mode is active
+ */
+const setupCluster = async (io) => {
+  if (!clusterConfig.enabled) return false;
+
+  if (cacheConfig.backend === 'memory') {
+    log.error('CLUSTER_MODE needs Redis but CACHE_BACKEND is memory, running as a single instance');
+    return false;
+  }
+
+  if (!redisClient.isReady) {
+    log.error('CLUSTER_MODE is enabled but Redis is not connected, running as a single instance');
+    return false;
+  }
+
+  try {
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    pubClient.on('error', (err) => log.error('Redis pub client error', { error: err }));
+    subClient.on('error', (err) => log.error('Redis sub client error', { error: err }));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient));
+    clusterActive = true;
+    log.info('Redis adapter attached', { instanceId: clusterConfig.instanceId });
+    return true;
+  } catch (error) {
+    log.error('Failed to attach Redis adapter, running as a single instance', { error });
+    return false;
+  }
+};
+
+/**
+ * Check whether clustered mode is active
+ * @returns {boolean}
+ */
+const isClustered = () => clusterActive;
+
+// Session metadata shared across instances
+const sessionStore = {
+  /**
+   * Store session metadata
+   * @param {object} session - Session entry from activeSessions
+   * @returns {Promise<boolean>} - Success status
+   */
+  save: async (session) => {
+    if (!clusterActive) return false;
+    return cache.set(SESSION_PREFIX + session.sessionId, {
+      ...session,
+      instanceId: clusterConfig.instanceId
+    }, clusterConfig.sessionTtlSeconds);
+  },
+
+  /**
+   * Get session metadata from any instance
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<object|null>}
+   */
+  get: async (sessionId) => {
+    if (!clusterActive) return null;
+    return cache.get(SESSION_PREFIX + sessionId);
+  },
+
+  /**
+   * Remove session metadata
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  remove: async (sessionId) => {
+    if (!clusterActive) return 0;
+    return cache.del(SESSION_PREFIX + sessionId);
+  },
+
+  /**
+   * List session metadata across all instances
+   * @returns {Promise<object[]>}
+   */
+  list: async () => {
+    if (!clusterActive) return [];
+    const sessions = [];
+    try {
+      for await (const keys of redisClient.scanIterator({ MATCH: SESSION_PREFIX + '*', COUNT: 100 })) {
+        for (const key of [].concat(keys)) {
+          const session = await cache.get(key);
+          if (session) sessions.push(session);
+        }
+      }
+    } catch (error) {
+      log.error('Session list error', { error });
+    }
+    return sessions;
+  }
+};
+
+// Pending-request metadata shared across instances
+const pendingStore = {
+  /**
+   * Record which instance and session own a pending request
+   * @param {string} requestId - Request ID
+   * @param {object} meta - { sessionId, userId }
+   * @param {number} ttlSeconds - Expiry, defaults to the global request timeout plus a margin (optional)
+   * @returns {Promise<boolean>} - Success status
+   */
+  save: async (requestId, meta, ttlSeconds = clusterConfig.pendingTtlSeconds) => {
+    if (!clusterActive) return false;
+    return cache.set(PENDING_PREFIX + requestId, {
+      requestId,
+      ...meta,
+      instanceId: clusterConfig.instanceId,
+      createdAt: new Date()
+    }, ttlSeconds);
+  },
+
+  /**
+   * Get pending-request metadata
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>}
+   */
+  get: async (requestId) => {
+    if (!clusterActive) return null;
+    return cache.get(PENDING_PREFIX + requestId);
+  },
+
+  /**
+   * Remove pending-request metadata
+   * @param {string} requestId - Request ID
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  remove: async (requestId) => {
+    if (!clusterActive) return 0;
+    return cache.del(PENDING_PREFIX + requestId);
+  }
+};
+
+module.exports = {
+  clusterConfig,
+  setupCluster,
+  isClustered,
+  sessionStore,
+  pendingStore
+};
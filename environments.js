@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { cache } = require('./cache');
+const { renderRequest } = require('./template');
+require('dotenv').config();
+
+// Environment configuration
+const environmentConfig = {
+  secretKey: process.env.ENVIRONMENTS_SECRET_KEY || null,
+  maxPerUser: parseInt(process.env.ENVIRONMENTS_MAX_PER_USER || '50'),
+  maxVariables: parseInt(process.env.ENVIRONMENTS_MAX_VARIABLES || '200'),
+  maxValueBytes: parseInt(process.env.ENVIRONMENTS_MAX_VALUE_BYTES || '16384')
+};
+
+const ENVIRONMENT_NOT_FOUND = 'ENVIRONMENT_NOT_FOUND';
+const ENVIRONMENT_SECRET_UNREADABLE = 'ENVIRONMENT_SECRET_UNREADABLE';
+
+const ENVIRONMENT_NAME = /^[\w.-]{1,64}$/;
+// Names must fit inside a {{placeholder}}; a leading $ is reserved for the dynamic helpers
+const VARIABLE_NAME = /^[A-Za-z_][\w.-]{0,127}$/;
+
+// Each environment lives under its own key, listed by a sorted set of names scored by creation time,
+// so concurrent changes to different environments never overwrite each other
+const indexKey = (userId) => `environments:${userId}:index`;
+const environmentKey = (userId, name) => `environments:${userId}:env:${name}`;
+
+// AES-256-GCM key derived from ENVIRONMENTS_SECRET_KEY, so any passphrase length works
+const encryptionKey = () => (environmentConfig.secretKey
+  ? Buffer.from(crypto.hkdfSync('sha256', environmentConfig.secretKey, 'relay-environments', 'variables', 32))
+  : null);
+
+// Ciphertexts are bound to their user, environment and variable so they cannot be moved between them
+const associatedData = (userId, environment, name) => Buffer.from(`${userId}\n${environment}\n${name}`);
+
+const encryptValue = (userId, environment, name, value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  cipher.setAAD(associatedData(userId, environment, name));
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+// Throws when the key is missing or has changed since the value was stored
+const decryptValue = (userId, environment, name, encrypted) => {
+  const key = encryptionKey();
+  if (!key) throw new Error('ENVIRONMENTS_SECRET_KEY is not set');
+
+  const [, iv, tag, data] = encrypted.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(associatedData(userId, environment, name));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Validate variables from the API and convert them to their stored form
+ * @param {string} userId - Owning user
+ * @param {string} environment - Environment name
+ * @param {object} input - { name: value } or { name: { value, secret } }; null removes a variable
+ * @param {object} existing - Stored variables; secrets sent without a value keep their stored value
+ * @returns {{ variables?: object, error?: string }}
+ */
+const normalizeVariables = (userId, environment, input, existing = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'variables must be an object' };
+  }
+
+  const variables = {};
+  for (const [name, entry] of Object.entries(input)) {
+    if (!VARIABLE_NAME.test(name)) {
+      return { error: `Invalid variable name "${name}"` };
+    }
+    if (entry === null) continue;
+
+    const { value, secret = false } = entry && typeof entry === 'object' ? entry : { value: entry };
+    if (typeof secret !== 'boolean') {
+      return { error: `Variable "${name}": secret must be a boolean` };
+    }
+
+    if (value === undefined) {
+      if (!secret || !existing[name] || !existing[name].secret) {
+        return { error: `Variable "${name}" requires a value` };
+      }
+      variables[name] = existing[name];
+      continue;
+    }
+
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return { error: `Variable "${name}" must be a string, number or boolean` };
+    }
+    const text = String(value);
+    if (Buffer.byteLength(text) > environmentConfig.maxValueBytes) {
+      return { error: `Variable "${name}" is too large (max ${environmentConfig.maxValueBytes} bytes)` };
+    }
+
+    if (secret) {
+      if (!environmentConfig.secretKey) {
+        return { error: 'Secret variables require ENVIRONMENTS_SECRET_KEY to be set on the server' };
+      }
+      variables[name] = { secret: true, encrypted: encryptValue(userId, environment, name, text) };
+    } else {
+      variables[name] = { value: text };
+    }
+  }
+
+  if (Object.keys(variables).length > environmentConfig.maxVariables) {
+    return { error: `Too many variables (max ${environmentConfig.maxVariables})` };
+  }
+  return { variables };
+};
+
+/**
+ * Public view of an environment; secret values are never returned
+ * @param {object} environment - Stored environment
+ * @returns {object}
+ */
+const describeEnvironment = (environment) => ({
+  name: environment.name,
+  variables: Object.fromEntries(Object.entries(environment.variables).map(([name, variable]) => [
+    name,
+    variable.secret ? { secret: true } : { value: variable.value }
+  ])),
+  createdAt: environment.createdAt,
+  updatedAt: environment.updatedAt
+});
+
+const listNames = (userId) => cache.zRangeByScore(indexKey(userId), '-inf', '+inf');
+
+// Environments are kept until deleted (ttl 0)
+const storeEnvironment = async (userId, environment) => {
+  if (!(await cache.set(environmentKey(userId, environment.name), environment, 0))) {
+    throw new Error('Failed to store environment');
+  }
+};
+
+/**
+ * List a user's environments
+ * @param {string} userId - Owning user
+ * @returns {Promise<Array<{ name: string, variableCount: number, secretCount: number, updatedAt: string }>>}
+ */
+const listEnvironments = async (userId) => {
+  const names = await listNames(userId);
+  const environments = names.length > 0 ? await cache.mget(names.map(name => environmentKey(userId, name))) : [];
+  return environments.filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(environment => ({
+      name: environment.name,
+      variableCount: Object.keys(environment.variables).length,
+      secretCount: Object.values(environment.variables).filter(variable => variable.secret).length,
+      createdAt: environment.createdAt,
+      updatedAt: environment.updatedAt
+    }));
+};
+
+/**
+ * Get a stored environment
+ * @param {string} userId - Owning user
+ * @param {string} name - Environment name
+ * @returns {Promise<object|null>}
+ */
+const getEnvironment = async (userId, name) => {
+  if (typeof name !== 'string' || !ENVIRONMENT_NAME.test(name)) return null;
+  return (await cache.get(environmentKey(userId, name))) || null;
+};
+
+/**
+ * Create or change an environment
+ * @param {string} userId - Owning user
+ * @param {string} name - Environment name
+ * @param {object} variables - Variables in the API format (see normalizeVariables)
+ * @param {object} [options]
+ * @param {boolean} [options.merge] - Keep variables that are not mentioned (null still removes)
+ * @returns {Promise<{ environment?: object, created?: boolean, error?: string, notFound?: boolean }>}
+ */
+const saveEnvironment = async (userId, name, variables, { merge = false } = {}) => {
+  if (!ENVIRONMENT_NAME.test(name)) {
+    return { error: 'Environment names may contain letters, digits, "_", "." and "-" (max 64)' };
+  }
+
+  const existing = await getEnvironment(userId, name);
+  if (merge && !existing) {
+    return { notFound: true };
+  }
+  if (!existing && (await listNames(userId)).length >= environmentConfig.maxPerUser) {
+    return { error: `Too many environments (max ${environmentConfig.maxPerUser})` };
+  }
+
+  const existingVariables = existing ? existing.variables : {};
+  const result = normalizeVariables(userId, name, variables, existingVariables);
+  if (result.error) return result;
+
+  const merged = merge
+    ? Object.fromEntries(Object.entries({ ...existingVariables, ...result.variables })
+      .filter(([variable]) => variables[variable] !== null))
+    : result.variables;
+  if (Object.keys(merged).length > environmentConfig.maxVariables) {
+    return { error: `Too many variables (max ${environmentConfig.maxVariables})` };
+  }
+
+  const now = new Date().toISOString();
+  const environment = {
+    name,
+    variables: merged,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await storeEnvironment(userId, environment);
+  if (!existing && !(await cache.zAdd(indexKey(userId), Date.parse(now), name))) {
+    await cache.del(environmentKey(userId, name));
+    throw new Error('Failed to index environment');
+  }
+  return { environment, created: !existing };
+};
+
+/**
+ * Delete an environment
+ * @param {string} userId - Owning user
+ * @param {string} name - Environment name
+ * @returns {Promise<boolean>}
+ */
+const deleteEnvironment = async (userId, name) => {
+  if (typeof name !== 'string' || !ENVIRONMENT_NAME.test(name)) return false;
+  const removed = await cache.zRem(indexKey(userId), name);
+  const deleted = await cache.del(environmentKey(userId, name));
+  return removed > 0 || deleted > 0;
+};
+
+/**
+ * Resolve {{placeholders}} in a request that names an environment. Variables come from the
+ * environment, then from the dynamic helpers ({{$uuid}}, {{$timestamp}}, ...); unknown names are
+ * left in place and reported. Requests without `environment` are returned unchanged.
+ * @param {string} userId - Owning user
+ * @param {object} request - Relay request with an optional `environment` name
+ * @returns {Promise<{ request: object, unresolved: string[], error?: object }>}
+ */
+const resolveEnvironment = async (userId, request) => {
+  if (!request || typeof request !== 'object' || request.environment === undefined) {
+    return { request, unresolved: [] };
+  }
+
+  const name = request.environment;
+  if (typeof name !== 'string' || !ENVIRONMENT_NAME.test(name)) {
+    return { request, unresolved: [], error: { error: true, message: 'Invalid environment name' } };
+  }
+
+  const environment = await getEnvironment(userId, name);
+  if (!environment) {
+    return {
+      request,
+      unresolved: [],
+      error: { error: true, code: ENVIRONMENT_NOT_FOUND, message: `Environment "${name}" not found` }
+    };
+  }
+
+  // Secrets are decrypted only when a placeholder uses them
+  const unreadable = [];
+  const { request: rendered, unresolved } = renderRequest(request, (variable) => {
+    const entry = Object.prototype.hasOwnProperty.call(environment.variables, variable)
+      ? environment.variables[variable]
+      : undefined;
+    if (!entry) return undefined;
+    if (!entry.secret) return entry.value;
+    try {
+      return decryptValue(userId, name, variable, entry.encrypted);
+    } catch (e) {
+      unreadable.push(variable);
+      return undefined;
+    }
+  });
+
+  if (unreadable.length > 0) {
+    return {
+      request,
+      unresolved,
+      error: {
+        error: true,
+        code: ENVIRONMENT_SECRET_UNREADABLE,
+        message: `Secret variable(s) ${unreadable.join(', ')} could not be decrypted; set them again`
+      }
+    };
+  }
+  return { request: rendered, unresolved };
+};
+
+/**
+ * Decrypted secret values of an environment, for masking them out of stored requests
+ * @param {string} userId - Owning user
+ * @param {string} name - Environment name
+ * @returns {Promise<Array<{ name: string, value: string }>>}
+ */
+const getSecretValues = async (userId, name) => {
+  const environment = await getEnvironment(userId, name);
+  if (!environment) return [];
+
+  const secrets = [];
+  Object.entries(environment.variables).forEach(([variable, entry]) => {
+    if (!entry.secret) return;
+    try {
+      const value = decryptValue(userId, name, variable, entry.encrypted);
+      if (value) secrets.push({ name: variable, value });
+    } catch (e) {
+      // Unreadable secrets could not have been substituted either
+    }
+  });
+  // Longest first, so a secret containing another is replaced whole
+  return secrets.sort((a, b) => b.value.length - a.value.length);
+};
+
+/**
+ * Put the {{placeholder}} back wherever a secret value appears in strings of a value
+ * @param {any} value - String, array or plain object (binary data is left untouched)
+ * @param {Array<{ name: string, value: string }>} secrets - From getSecretValues
+ * @returns {any}
+ */
+const maskSecrets = (value, secrets) => {
+  if (secrets.length === 0) return value;
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret.value).join(`{{${secret.name}}}`), value);
+  }
+  if (Array.isArray(value)) return value.map(item => maskSecrets(item, secrets));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskSecrets(item, secrets)]));
+  }
+  return value;
+};
+
+module.exports = {
+  environmentConfig,
+  ENVIRONMENT_NOT_FOUND,
+  ENVIRONMENT_SECRET_UNREADABLE,
+  describeEnvironment,
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  resolveEnvironment,
+  getSecretValues,
+  maskSecrets
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { cache } = require('./cache');
+const { parseRedactionRules, redactHeaders } = require('./redact');
+const { byteLength, serializeBody, deserializeBody } = require('./requestBody');
+const { getSecretValues, maskSecrets } = require('./environments');
+require('dotenv').config();
+
+// History configuration
+const historyConfig = {
+  enabled: process.env.HISTORY_ENABLED !== 'false',
+  retentionSeconds: parseInt(process.env.HISTORY_RETENTION_DAYS || '7') * 24 * 60 * 60,
+  maxBodyBytes: parseInt(process.env.HISTORY_MAX_BODY_BYTES || String(64 * 1024)),
+  redactHeaders: parseRedactionRules(
+    process.env.HISTORY_REDACT_HEADERS ||
+    'authorization,proxy-authorization,cookie,set-cookie,x-api-key,/token/,/secret/'
+  )
+};
+
+const entryKey = (userId, id) => `history:${userId}:entry:${id}`;
+const indexKey = (userId) => `history:${userId}:index`;
+
+// Entries fetched per MGET when filtering on their contents
+const HISTORY_READ_BATCH = 100;
+
+// Multipart parts are stored as descriptions only; their data is not kept
+const serializeMultipart = (parts) => ({
+  size: parts.reduce((total, part) => total + byteLength(part.data), 0),
+  truncated: true,
+  parts: parts.map(part => ({
+    name: part.name,
+    filename: part.filename,
+    contentType: part.contentType,
+    size: byteLength(part.data)
+  }))
+});
+
+/**
+ * Save a request/response pair to the user's history
+ * @param {object} execution
+ * @param {string} execution.userId - Owning user
+ * @param {string} execution.sessionId - Session that executed the request
+ * @param {string} execution.source - 'execute', 'batch', 'suite' or 'replay'
+ * @param {object} execution.request - Relay request
+ * @param {object} [execution.response] - Browser response
+ * @param {string} [execution.error] - Error message if the request failed
+ * @param {number} execution.startedAt - Start time (ms since epoch)
+ * @param {number} execution.durationMs - Time from execute to response
+ * @returns {Promise<object|null>} - Stored entry, or null if history is disabled
+ */
+const recordExecution = async ({ userId, sessionId, source, request: executed, response, error, startedAt, durationMs }) => {
+  if (!historyConfig.enabled) return null;
+
+  // Secret environment values are stored as their placeholders, so replays resolve them again
+  const secrets = executed.environment ? await getSecretValues(userId, executed.environment) : [];
+  const request = secrets.length > 0
+    ? { ...executed, url: maskSecrets(executed.url, secrets), headers: maskSecrets(executed.headers, secrets), body: maskSecrets(executed.body, secrets) }
+    : executed;
+
+  const id = crypto.randomUUID();
+  const requestBody = Array.isArray(request.multipart)
+    ? serializeMultipart(request.multipart)
+    : serializeBody(request.body, historyConfig.maxBodyBytes);
+  const responseBody = response ? serializeBody(response.body, historyConfig.maxBodyBytes) : null;
+
+  const entry = {
+    id,
+    userId,
+    sessionId,
+    source,
+    requestId: request.requestId,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs,
+    request: {
+      method: request.method.toUpperCase(),
+      url: request.url,
+      headers: redactHeaders(request.headers, historyConfig.redactHeaders),
+      body: requestBody,
+      ...(request.agent && { agent: request.agent }),
+      ...(request.environment && { environment: request.environment })
+    },
+    response: response ? {
+      status: response.status,
+      statusText: response.statusText,
+      headers: redactHeaders(response.headers, historyConfig.redactHeaders),
+      body: responseBody,
+      streamed: Boolean(response.streamed),
+      ...(response.mocked && { mock: response.mock })
+    } : null,
+    error: error || null,
+    requestSize: requestBody ? requestBody.size : 0,
+    responseSize: response
+      ? (response.size !== undefined ? response.size : (responseBody ? responseBody.size : 0))
+      : 0
+  };
+
+  await cache.set(entryKey(userId, id), entry, historyConfig.retentionSeconds);
+  await cache.zAdd(indexKey(userId), startedAt, id, historyConfig.retentionSeconds);
+
+  // Drop index members whose entries have passed the retention period
+  await cache.zRemRangeByScore(indexKey(userId), '-inf', Date.now() - historyConfig.retentionSeconds * 1000);
+
+  return entry;
+};
+
+/**
+ * Get a single history entry
+ * @param {string} userId - Owning user
+ * @param {string} id - Entry ID
+ * @returns {Promise<object|null>}
+ */
+const getHistoryEntry = async (userId, id) => cache.get(entryKey(userId, id));
+
+/**
+ * Short description of an entry for list views
+ * @param {object} entry - History entry
+ * @returns {object}
+ */
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  requestId: entry.requestId,
+  source: entry.source,
+  method: entry.request.method,
+  url: entry.request.url,
+  status: entry.response ? entry.response.status : null,
+  error: entry.error,
+  startedAt: entry.startedAt,
+  durationMs: entry.durationMs,
+  requestSize: entry.requestSize,
+  responseSize: entry.responseSize
+});
+
+/**
+ * List a user's history entries, newest first
+ * @param {string} userId - Owning user
+ * @param {object} filters - { from, to, method, status, url, ids, limit, offset }
+ * @returns {Promise<{ total: number, entries: object[] }>}
+ */
+const listHistory = async (userId, filters = {}) => {
+  const min = filters.from ? new Date(filters.from).getTime() : '-inf';
+  const max = filters.to ? new Date(filters.to).getTime() : '+inf';
+  let ids = await cache.zRangeByScore(indexKey(userId), min, max, { reverse: true });
+
+  if (Array.isArray(filters.ids)) {
+    ids = ids.filter(id => filters.ids.includes(id));
+  }
+
+  const offset = filters.offset || 0;
+  const loadEntries = async (pageIds) => (await cache.mget(pageIds.map(id => entryKey(userId, id)))).filter(Boolean);
+
+  // Without filters on entry contents the index alone decides the page
+  if (!filters.method && !filters.status && !filters.url && !filters.errorsOnly) {
+    const limit = filters.limit || ids.length;
+    return {
+      total: ids.length,
+      entries: await loadEntries(ids.slice(offset, offset + limit))
+    };
+  }
+
+  const matches = (entry) => {
+    if (filters.method && entry.request.method !== filters.method.toUpperCase()) return false;
+    if (filters.status) {
+      const status = entry.response ? String(entry.response.status) : '';
+      // "4xx" style filters match a status class
+      const pattern = String(filters.status).toLowerCase();
+      if (/^[1-5]xx$/.test(pattern) ? status[0] !== pattern[0] : status !== pattern) return false;
+    }
+    if (filters.url && !entry.request.url.includes(filters.url)) return false;
+    if (filters.errorsOnly && !entry.error) return false;
+    return true;
+  };
+
+  // Content filters need every entry in range for the total; they are read in batches
+  const entries = [];
+  for (let i = 0; i < ids.length; i += HISTORY_READ_BATCH) {
+    entries.push(...(await loadEntries(ids.slice(i, i + HISTORY_READ_BATCH))).filter(matches));
+  }
+
+  const limit = filters.limit || entries.length;
+  return {
+    total: entries.length,
+    entries: entries.slice(offset, offset + limit)
+  };
+};
+
+// HAR helpers
+const toNameValueList = (headers) => Object.entries(headers || {})
+  .map(([name, value]) => ({ name, value: Array.isArray(value) ? value.join(', ') : String(value) }));
+
+const findHeader = (headers, name) => {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return match ? String(headers[match]) : undefined;
+};
+
+// Query parameters of a stored URL; URLs with masked secrets ({{name}}) may not be absolute
+const parseQueryString = (url) => {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (e) {
+    const query = String(url).split('#')[0].split('?').slice(1).join('?');
+    params = new URLSearchParams(query);
+  }
+  return Array.from(params.entries()).map(([name, value]) => ({ name, value }));
+};
+
+const toHarEntry = (entry) => {
+  const requestBody = entry.request.body;
+  const responseBody = entry.response && entry.response.body;
+  const responseHeaders = entry.response ? entry.response.headers : {};
+
+  const harEntry = {
+    startedDateTime: entry.startedAt,
+    time: entry.durationMs,
+    request: {
+      method: entry.request.method,
+      url: entry.request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toNameValueList(entry.request.headers),
+      queryString: parseQueryString(entry.request.url),
+      headersSize: -1,
+      bodySize: requestBody ? requestBody.size : 0
+    },
+    response: {
+      status: entry.response ? entry.response.status : 0,
+      statusText: (entry.response && entry.response.statusText) || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toNameValueList(responseHeaders),
+      content: {
+        size: entry.responseSize,
+        mimeType: findHeader(responseHeaders, 'content-type') || 'application/octet-stream',
+        ...(responseBody && responseBody.text !== undefined && { text: responseBody.text }),
+        ...(responseBody && responseBody.encoding && { encoding: responseBody.encoding })
+      },
+      redirectURL: findHeader(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: entry.responseSize
+    },
+    cache: {},
+    timings: {
+      send: 0,
+      wait: entry.durationMs,
+      receive: 0
+    },
+    comment: entry.error ? `Relay error: ${entry.error}` : ''
+  };
+
+  if (requestBody && requestBody.text !== undefined) {
+    harEntry.request.postData = {
+      mimeType: findHeader(entry.request.headers, 'content-type') ||
+        (requestBody.json ? 'application/json' : 'application/octet-stream'),
+      text: requestBody.text,
+      ...(requestBody.encoding && { comment: 'base64-encoded binary body' })
+    };
+  } else if (requestBody && requestBody.parts) {
+    harEntry.request.postData = {
+      mimeType: 'multipart/form-data',
+      params: requestBody.parts.map(part => ({
+        name: part.name,
+        ...(part.filename && { fileName: part.filename }),
+        ...(part.contentType && { contentType: part.contentType })
+      }))
+    };
+  }
+
+  return harEntry;
+};
+
+/**
+ * Build a HAR 1.2 document from history entries
+ * @param {object[]} entries - History entries
+ * @returns {object}
+ */
+const toHar = (entries) => ({
+  log: {
+    version: '1.2',
+    creator: {
+      name: 'api-tester-relay-server',
+      version: '1.0.0'
+    },
+    entries: entries
+      .slice()
+      .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt))
+      .map(toHarEntry)
+  }
+});
+
+module.exports = {
+  historyConfig,
+  recordExecution,
+  getHistoryEntry,
+  listHistory,
+  summarizeEntry,
+  deserializeBody,
+  toHar
+};
@@ -0,0 +1,69 @@
+/**
+ * Minimal JSON path support shared by batch extraction and assertions.
+ * Accepts "$.data.items[0].id", "data.items.0.id" and "$['odd key'].value".
+ */
+
+// Split a path into property names and array indexes
+const parseJsonPath = (path) => {
+  if (typeof path !== 'string') {
+    throw new Error('JSON path must be a string');
+  }
+
+  const segments = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/g;
+  const source = path.startsWith('$') ? path.slice(1) : path;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(parseInt(match[2]));
+    else segments.push(match[4]);
+  }
+
+  if (consumed !== source.length) {
+    throw new Error(`Invalid JSON path: ${path}`);
+  }
+  return segments;
+};
+
+/**
+ * Read the value at a JSON path
+ * @param {any} value - Parsed JSON document
+ * @param {string} path - JSON path
+ * @returns {{ found: boolean, value?: any }}
+ */
+const queryJsonPath = (value, path) => {
+  let current = value;
+  for (const segment of parseJsonPath(path)) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return { found: false };
+    }
+    current = current[segment];
+  }
+  return { found: true, value: current };
+};
+
+/**
+ * Parse a relayed response body as JSON when it is not already an object
+ * @param {any} body
+ * @returns {any} - Parsed value, or undefined when the body is not JSON
+ */
+const parseJsonBody = (body) => {
+  if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body) && !ArrayBuffer.isView(body)) {
+    return body;
+  }
+  try {
+    return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+module.exports = {
+  parseJsonPath,
+  queryJsonPath,
+  parseJsonBody
+};
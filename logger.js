@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { parseRedactionRules, redactHeaders, redactQuery, redactFields } = require('./redact');
+require('dotenv').config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const OUTPUTS = ['stdout', 'file', 'both'];
+
+// Logging configuration
+const logConfig = {
+  level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  output: OUTPUTS.includes(process.env.LOG_OUTPUT) ? process.env.LOG_OUTPUT : 'stdout',
+  file: process.env.LOG_FILE || path.join('logs', 'relay.log'),
+  maxFileBytes: parseInt(process.env.LOG_FILE_MAX_BYTES || String(10 * 1024 * 1024)),
+  maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES || '5'),
+  redactHeaders: parseRedactionRules(
+    process.env.LOG_REDACT_HEADERS ||
+    'authorization,proxy-authorization,cookie,set-cookie,x-api-key,x-admin-key,/token/,/secret/'
+  ),
+  redactQueryParams: parseRedactionRules(
+    process.env.LOG_REDACT_QUERY_PARAMS ||
+    'token,access_token,refresh_token,id_token,api_key,apikey,key,code,password,signature,sig,/token/,/secret/'
+  ),
+  redactBodyFields: parseRedactionRules(
+    process.env.LOG_REDACT_BODY_FIELDS ||
+    'password,passwd,secret,token,access_token,refresh_token,api_key,apikey,client_secret,/password/,/secret/,/token/'
+  )
+};
+
+// Rotating log file, written synchronously so lines logged just before exit are kept
+const logFile = {
+  fd: null,
+  bytes: 0
+};
+
+const openLogFile = () => {
+  fs.mkdirSync(path.dirname(logConfig.file), { recursive: true });
+  logFile.fd = fs.openSync(logConfig.file, 'a');
+  logFile.bytes = fs.fstatSync(logFile.fd).size;
+};
+
+// relay.log -> relay.log.1 -> ... -> relay.log.<maxFiles>, dropping the oldest
+const rotateLogFile = () => {
+  fs.closeSync(logFile.fd);
+  for (let index = logConfig.maxFiles - 1; index >= 1; index--) {
+    const from = `${logConfig.file}.${index}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${logConfig.file}.${index + 1}`);
+  }
+  if (logConfig.maxFiles > 0) {
+    fs.renameSync(logConfig.file, `${logConfig.file}.1`);
+  } else {
+    fs.unlinkSync(logConfig.file);
+  }
+  openLogFile();
+};
+
+const writeToFile = (line) => {
+  try {
+    if (logFile.fd === null) openLogFile();
+    if (logFile.bytes > 0 && logFile.bytes + Buffer.byteLength(line) > logConfig.maxFileBytes) {
+      rotateLogFile();
+    }
+    logFile.bytes += fs.writeSync(logFile.fd, line);
+  } catch (error) {
+    // Never let a logging failure take the relay down; fall back to stderr
+    process.stderr.write(`Log file error: ${error.message}\n${line}`);
+  }
+};
+
+const serializeError = (error) => ({
+  message: error.message,
+  ...(error.name && error.name !== 'Error' && { name: error.name }),
+  ...(error.code && { code: error.code }),
+  ...(error.stack && { stack: error.stack })
+});
+
+// Redact by field name: header maps, URLs (url, targetBaseUrl, ...) and bodies
+const redactValue = (key, value) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || value === undefined) return value;
+
+  if (key === 'headers' && typeof value === 'object') return redactHeaders(value, logConfig.redactHeaders);
+  if (/url$/i.test(key) && typeof value === 'string') return redactQuery(value, logConfig.redactQueryParams);
+  if (key === 'body') {
+    if (typeof value === 'string') {
+      try {
+        return redactFields(JSON.parse(value), logConfig.redactBodyFields);
+      } catch (e) {
+        return value;
+      }
+    }
+    return redactFields(value, logConfig.redactBodyFields);
+  }
+
+  if (Array.isArray(value)) return value.map(item => redactValue('', item));
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactValue(name, item)]));
+  }
+  return value;
+};
+
+const write = (level, context, message, fields) => {
+  if (LEVELS[level] < LEVELS[logConfig.level]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    sessionId: null,
+    userId: null,
+    requestId: null,
+    ...context,
+    ...redactValue('', fields || {})
+  };
+
+  let line;
+  try {
+    line = `${JSON.stringify(entry)}\n`;
+  } catch (e) {
+    line = `${JSON.stringify({ time: entry.time, level, msg: message, sessionId: entry.sessionId, userId: entry.userId, requestId: entry.requestId, fields: '[unserializable]' })}\n`;
+  }
+
+  if (logConfig.output !== 'file') process.stdout.write(line);
+  if (logConfig.output !== 'stdout') writeToFile(line);
+};
+
+/**
+ * Create a logger whose lines carry the given context
+ * Every line has time, level, msg, sessionId, userId and requestId (null when unknown)
+ * @param {object} [context] - e.g. { component, sessionId, userId, requestId }
+ * @returns {object} - { debug, info, warn, error, child }
+ */
+const createLogger = (context = {}) => ({
+  debug: (message, fields) => write('debug', context, message, fields),
+  info: (message, fields) => write('info', context, message, fields),
+  warn: (message, fields) => write('warn', context, message, fields),
+  error: (message, fields) => write('error', context, message, fields),
+  child: (extra) => createLogger({ ...context, ...extra })
+});
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logConfig,
+  logger,
+  createLogger
+};
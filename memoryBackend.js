@@ -0,0 +1,316 @@
+/*
+ * In-process cache backend with the same string-level interface as the Redis backend in cache.js:
+ *
+ *   get(key)                           -> string | null
+ *   set(key, value, ttl)               -> void            ttl in seconds, 0/undefined for no expiry
+ *   mGet(keys)                         -> Array<string | null>
+ *   mSet([{ key, value, ttl }])        -> void
+ *   del(key)                           -> number
+ *   delPattern(pattern)                -> number          Redis glob syntax (*, ?, [abc], [^a], \x)
+ *   exists(key)                        -> boolean
+ *   incrBy(key, amount, ttl)           -> number          ttl (re)applied on every increment, like INCRBY + EXPIRE
+ *   zAdd(key, score, member, ttl)      -> void
+ *   zRangeByScore(key, min, max, { offset, count, reverse }) -> string[]
+ *   zRemRangeByScore(key, min, max)    -> number
+ *   zRem(key, members)                 -> number
+ *
+ * Entries live in a Map kept in least-recently-used order; once the estimated size passes
+ * maxBytes the oldest entries are evicted. Expired entries are dropped when read and by a
+ * periodic sweep.
+ */
+
+// Rough per-entry bookkeeping cost on top of key and value bytes
+const ENTRY_OVERHEAD_BYTES = 64;
+const MEMBER_OVERHEAD_BYTES = 16;
+
+const wrongType = () => {
+  const error = new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+  error.code = 'WRONGTYPE';
+  return error;
+};
+
+/**
+ * Convert a Redis glob pattern into an anchored regular expression
+ * @param {string} pattern - e.g. "relaycache:u1:*"
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = pattern.slice(i + 1, end);
+      const negated = body.startsWith('^');
+      if (negated) body = body.slice(1);
+      source += `[${negated ? '^' : ''}${body.replace(/[\\\]]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+};
+
+/**
+ * Parse a ZRANGEBYSCORE-style bound: number, '-inf', '+inf' or '(' for exclusive
+ * @param {number|string} bound
+ * @returns {{ value: number, exclusive: boolean }}
+ */
+const parseScoreBound = (bound) => {
+  const text = String(bound);
+  const exclusive = text.startsWith('(');
+  const raw = exclusive ? text.slice(1) : text;
+  const value = raw === '-inf' ? -Infinity : raw === '+inf' || raw === 'inf' ? Infinity : Number(raw);
+  if (Number.isNaN(value)) {
+    throw new Error('ERR min or max is not a float');
+  }
+  return { value, exclusive };
+};
+
+const withinBounds = (score, min, max) =>
+  (min.exclusive ? score > min.value : score >= min.value) &&
+  (max.exclusive ? score < max.value : score <= max.value);
+
+/**
+ * Create an in-process cache backend
+ * @param {object} options
+ * @param {number} options.maxBytes - Estimated memory bound before LRU eviction (0 for unbounded)
+ * @param {number} [options.sweepIntervalMs] - How often expired entries are swept (0 to disable)
+ * @returns {object} - Backend implementing the interface above, plus inspect(), clear() and stop()
+ */
+const createMemoryBackend = ({ maxBytes, sweepIntervalMs = 30000 }) => {
+  // key -> { type: 'string'|'zset', value: string|Map<member, score>, expiresAt: number|null, bytes }
+  const entries = new Map();
+  const stats = { bytes: 0, evictions: 0, expirations: 0 };
+
+  const memberBytes = (member) => MEMBER_OVERHEAD_BYTES + Buffer.byteLength(member);
+
+  const sizeOf = (key, type, value) => {
+    if (type === 'string') return ENTRY_OVERHEAD_BYTES + Buffer.byteLength(key) + Buffer.byteLength(value);
+    let bytes = ENTRY_OVERHEAD_BYTES + Buffer.byteLength(key);
+    value.forEach((score, member) => {
+      bytes += memberBytes(member);
+    });
+    return bytes;
+  };
+
+  // Sorted sets are changed in place; keep the byte counts in step
+  const resize = (entry, delta) => {
+    entry.bytes += delta;
+    stats.bytes += delta;
+  };
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    stats.bytes -= entry.bytes;
+    entries.delete(key);
+    return true;
+  };
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt !== null && entry.expiresAt <= now;
+
+  // Live entry for a key, refreshed to most-recently-used
+  const lookup = (key, type) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      remove(key);
+      stats.expirations++;
+      return null;
+    }
+    if (type && entry.type !== type) throw wrongType();
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const evict = () => {
+    if (!maxBytes) return;
+    for (const key of entries.keys()) {
+      if (stats.bytes <= maxBytes) break;
+      remove(key);
+      stats.evictions++;
+    }
+  };
+
+  // Insert or replace an entry; expiresAt undefined keeps the current expiry
+  const store = (key, type, value, expiresAt) => {
+    const previous = entries.get(key);
+    const keepExpiry = expiresAt === undefined && previous && !isExpired(previous);
+    if (previous) remove(key);
+
+    const entry = {
+      type,
+      value,
+      expiresAt: keepExpiry ? previous.expiresAt : expiresAt || null,
+      bytes: sizeOf(key, type, value)
+    };
+    entries.set(key, entry);
+    stats.bytes += entry.bytes;
+    evict();
+  };
+
+  const expiryFor = (ttl) => (ttl ? Date.now() + ttl * 1000 : null);
+
+  // Empty sorted sets disappear, as in Redis
+  const removeMembers = (key, entry, members) => {
+    const removed = members.filter((member) => {
+      if (!entry.value.delete(member)) return false;
+      resize(entry, -memberBytes(member));
+      return true;
+    }).length;
+    if (entry.value.size === 0) remove(key);
+    return removed;
+  };
+
+  const sortedMembers = (set) => [...set.entries()]
+    .sort(([memberA, scoreA], [memberB, scoreB]) => scoreA - scoreB || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0));
+
+  const sweep = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (isExpired(entry, now)) {
+        remove(key);
+        stats.expirations++;
+      }
+    });
+  };
+
+  const sweepTimer = sweepIntervalMs > 0 ? setInterval(sweep, sweepIntervalMs) : null;
+  if (sweepTimer) sweepTimer.unref();
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = lookup(key, 'string');
+      return entry ? entry.value : null;
+    },
+
+    set: async (key, value, ttl) => {
+      store(key, 'string', value, expiryFor(ttl));
+    },
+
+    // Like MGET, keys holding another type read as missing
+    mGet: async (keys) => keys.map((key) => {
+      const entry = lookup(key);
+      return entry && entry.type === 'string' ? entry.value : null;
+    }),
+
+    mSet: async (items) => {
+      items.forEach(item => store(item.key, 'string', item.value, expiryFor(item.ttl)));
+    },
+
+    del: async (key) => (lookup(key) && remove(key) ? 1 : 0),
+
+    delPattern: async (pattern) => {
+      const matcher = globToRegExp(pattern);
+      let deleted = 0;
+      [...entries.keys()].forEach((key) => {
+        if (matcher.test(key) && lookup(key) && remove(key)) deleted++;
+      });
+      return deleted;
+    },
+
+    exists: async (key) => lookup(key) !== null,
+
+    incrBy: async (key, amount, ttl) => {
+      const entry = lookup(key, 'string');
+      const current = entry ? entry.value : '0';
+      if (!/^-?\d+$/.test(current)) {
+        throw new Error('ERR value is not an integer or out of range');
+      }
+      const next = parseInt(current, 10) + amount;
+      store(key, 'string', String(next), ttl ? expiryFor(ttl) : undefined);
+      return next;
+    },
+
+    zAdd: async (key, score, member, ttl) => {
+      const name = String(member);
+      const entry = lookup(key, 'zset');
+      if (!entry) {
+        store(key, 'zset', new Map([[name, Number(score)]]), expiryFor(ttl));
+        return;
+      }
+
+      if (!entry.value.has(name)) resize(entry, memberBytes(name));
+      entry.value.set(name, Number(score));
+      if (ttl) entry.expiresAt = expiryFor(ttl);
+      evict();
+    },
+
+    zRangeByScore: async (key, min, max, { offset = 0, count, reverse = false } = {}) => {
+      const entry = lookup(key, 'zset');
+      if (!entry) return [];
+
+      const low = parseScoreBound(min);
+      const high = parseScoreBound(max);
+      const members = sortedMembers(entry.value).filter(([, score]) => withinBounds(score, low, high));
+      if (reverse) members.reverse();
+
+      const page = count !== undefined && count >= 0 ? members.slice(offset, offset + count) : members.slice(offset);
+      return page.map(([member]) => member);
+    },
+
+    zRemRangeByScore: async (key, min, max) => {
+      const entry = lookup(key, 'zset');
+      if (!entry) return 0;
+
+      const low = parseScoreBound(min);
+      const high = parseScoreBound(max);
+      const members = [...entry.value].filter(([, score]) => withinBounds(score, low, high)).map(([member]) => member);
+      return removeMembers(key, entry, members);
+    },
+
+    zRem: async (key, members) => {
+      const entry = lookup(key, 'zset');
+      if (!entry) return 0;
+      return removeMembers(key, entry, [].concat(members).map(String));
+    },
+
+    /**
+     * Live keys with their estimated size, for the stats report
+     * @returns {{ keys: Array<{ key: string, bytes: number }>, bytes: number, maxBytes: number, evictions: number, expirations: number }}
+     */
+    inspect: () => {
+      sweep();
+      return {
+        keys: [...entries].map(([key, entry]) => ({ key, bytes: entry.bytes })),
+        bytes: stats.bytes,
+        maxBytes,
+        evictions: stats.evictions,
+        expirations: stats.expirations
+      };
+    },
+
+    /**
+     * Drop every entry (used when Redis takes over again, so stale fallback data is not served later)
+     */
+    clear: () => {
+      entries.clear();
+      stats.bytes = 0;
+    },
+
+    stop: () => {
+      if (sweepTimer) clearInterval(sweepTimer);
+    }
+  };
+};
+
+module.exports = {
+  createMemoryBackend,
+  globToRegExp
+};
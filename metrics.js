@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const http = require('http');
+const client = require('prom-client');
+const { cacheStats } = require('./cache');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+const log = logger.child({ component: 'metrics' });
+
+// Metrics configuration
+const metricsConfig = {
+  token: process.env.METRICS_TOKEN || null,
+  port: process.env.METRICS_PORT ? parseInt(process.env.METRICS_PORT) : null,
+  host: process.env.METRICS_HOST || '127.0.0.1'
+};
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Live values are read from the server at scrape time
+const sources = {
+  sessions: () => 0,
+  pending: () => 0,
+  wsChannels: () => 0
+};
+
+const metrics = {
+  connectedSessions: new client.Gauge({
+    name: 'relay_connected_sessions',
+    help: 'WebSocket sessions connected to this instance',
+    registers: [register],
+    collect() {
+      this.set(sources.sessions());
+    }
+  }),
+
+  pendingRequests: new client.Gauge({
+    name: 'relay_pending_requests',
+    help: 'Requests waiting for a browser response',
+    registers: [register],
+    collect() {
+      this.set(sources.pending());
+    }
+  }),
+
+  wsChannels: new client.Gauge({
+    name: 'relay_ws_channels',
+    help: 'WebSocket tunnel channels open on this instance',
+    registers: [register],
+    collect() {
+      this.set(sources.wsChannels());
+    }
+  }),
+
+  handshakeRejections: new client.Counter({
+    name: 'relay_handshake_rejections_total',
+    help: 'Rejected WebSocket handshakes by reason',
+    labelNames: ['reason'],
+    registers: [register]
+  }),
+
+  executeRequests: new client.Counter({
+    name: 'relay_execute_requests_total',
+    help: 'localhost:execute requests by method and outcome',
+    labelNames: ['method', 'outcome'],
+    registers: [register]
+  }),
+
+  executeDuration: new client.Histogram({
+    name: 'relay_execute_duration_seconds',
+    help: 'Time from localhost:execute to the browser response',
+    labelNames: ['method', 'outcome'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [register]
+  }),
+
+  requestTimeouts: new client.Counter({
+    name: 'relay_request_timeouts_total',
+    help: 'Relay requests that timed out waiting for the browser',
+    registers: [register]
+  }),
+
+  payloadBytes: new client.Histogram({
+    name: 'relay_payload_bytes',
+    help: 'Size of relayed request and response payloads',
+    labelNames: ['direction'],
+    buckets: client.exponentialBuckets(64, 4, 10),
+    registers: [register]
+  }),
+
+  httpRateLimited: new client.Counter({
+    name: 'relay_http_rate_limited_total',
+    help: 'HTTP requests rejected by express-rate-limit',
+    labelNames: ['limiter'],
+    registers: [register]
+  }),
+
+  redisConnected: new client.Gauge({
+    name: 'relay_redis_connected',
+    help: 'Whether the Redis client is ready (1) or not (0)',
+    registers: [register],
+    collect() {
+      this.set(cacheStats.connection.state === 'ready' ? 1 : 0);
+    }
+  }),
+
+  redisReconnects: new client.Counter({
+    name: 'relay_redis_reconnects_total',
+    help: 'Redis client reconnect attempts',
+    registers: [register],
+    collect() {
+      this.reset();
+      this.inc(cacheStats.connection.reconnects);
+    }
+  }),
+
+  cacheBackend: new client.Gauge({
+    name: 'relay_cache_backend',
+    help: 'Cache backend serving commands (1) or standing by (0)',
+    labelNames: ['backend'],
+    registers: [register],
+    collect() {
+      ['redis', 'memory'].forEach((backend) => {
+        this.set({ backend }, cacheStats.backend.active === backend ? 1 : 0);
+      });
+    }
+  }),
+
+  cacheBackendSwitches: new client.Counter({
+    name: 'relay_cache_backend_switches_total',
+    help: 'Failovers to and recoveries from the in-memory cache backend',
+    registers: [register],
+    collect() {
+      this.reset();
+      this.inc(cacheStats.backend.switches);
+    }
+  }),
+
+  cacheLookups: new client.Counter({
+    name: 'relay_cache_lookups_total',
+    help: 'Cache lookups by result',
+    labelNames: ['result'],
+    registers: [register],
+    collect() {
+      this.reset();
+      this.inc({ result: 'hit' }, cacheStats.hits);
+      this.inc({ result: 'miss' }, cacheStats.misses);
+    }
+  }),
+
+  redisCommandErrors: new client.Counter({
+    name: 'relay_redis_command_errors_total',
+    help: 'Failed cache commands by command',
+    labelNames: ['command'],
+    registers: [register],
+    collect() {
+      this.reset();
+      Object.entries(cacheStats.commandErrors).forEach(([command, count]) => {
+        this.inc({ command }, count);
+      });
+    }
+  })
+};
+
+/**
+ * Provide the functions that report live session, pending-request and channel counts
+ * @param {object} getters - { sessions, pending, wsChannels }, each () => number
+ */
+const bindMetricSources = (getters) => {
+  Object.assign(sources, getters);
+};
+
+/**
+ * express-rate-limit handler that counts rejections before responding
+ * @param {string} limiter - Limiter name used as the metric label
+ * @returns {Function}
+ */
+const rateLimitHandler = (limiter) => (req, res, next, options) => {
+  metrics.httpRateLimited.inc({ limiter });
+  const message = typeof options.message === 'string' ? options.message : options.message.error;
+  res.status(options.statusCode).json({
+    error: message,
+    code: 'RATE_LIMITED',
+    limiter,
+    retryAfter: req.rateLimit.resetTime
+      ? Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1)
+      : Math.ceil(options.windowMs / 1000)
+  });
+};
+
+const sendMetrics = async (req, res) => {
+  try {
+    res.setHeader('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    log.error('Metrics error', { error });
+    res.statusCode = 500;
+    res.end();
+  }
+};
+
+// Only a bearer token matching METRICS_TOKEN may scrape through the public port
+const verifyMetricsToken = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(metricsConfig.token);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+/**
+ * Expose /metrics: on the main app behind METRICS_TOKEN, and/or on a
+ * separate listener bound to METRICS_HOST:METRICS_PORT
+ * @param {import('express').Express} app - Main Express app
+ */
+const setupMetrics = (app) => {
+  if (metricsConfig.token) {
+    app.get('/metrics', verifyMetricsToken, sendMetrics);
+  }
+
+  if (metricsConfig.port) {
+    const server = http.createServer((req, res) => {
+      if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+        return sendMetrics(req, res);
+      }
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(metricsConfig.port, metricsConfig.host, () => {
+      log.info('Metrics listener started', { url: `http://${metricsConfig.host}:${metricsConfig.port}/metrics` });
+    });
+    return server;
+  }
+
+  return null;
+};
+
+module.exports = {
+  metricsConfig,
+  metrics,
+  bindMetricSources,
+  rateLimitHandler,
+  setupMetrics
+};
@@ -0,0 +1,553 @@
+const crypto = require('crypto');
+const { cache } = require('./cache');
+const { isBinary, byteLength, describeResponseBody } = require('./requestBody');
+const { queryJsonPath, parseJsonBody } = require('./jsonPath');
+const { renderTemplate } = require('./template');
+require('dotenv').config();
+
+// Mock response configuration
+const mockConfig = {
+  enabled: process.env.MOCKS_ENABLED !== 'false',
+  maxPerUser: parseInt(process.env.MOCKS_MAX_PER_USER || '200'),
+  maxDelayMs: parseInt(process.env.MOCKS_MAX_DELAY_SECONDS || '30') * 1000,
+  maxBodyBytes: parseInt(process.env.MOCKS_MAX_BODY_BYTES || String(1024 * 1024)),
+  maxRecordingSeconds: parseInt(process.env.MOCKS_MAX_RECORDING_MINUTES || '60') * 60
+};
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+// Response headers that describe the original transfer, not the stored body
+const TRANSFER_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'connection'];
+
+// One key per mock plus an index ordered by creation, so concurrent writes never overwrite each other
+const indexKey = (userId) => `mocks:${userId}:index`;
+const mockKey = (userId, id) => `mocks:${userId}:mock:${id}`;
+const recordingKey = (userId) => `mocks:${userId}:recording`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// "/pattern/flags" strings are regular expressions; everything else is literal
+const parseRegexLiteral = (value) => {
+  const match = typeof value === 'string' && /^\/(.+)\/([a-z]*)$/s.exec(value);
+  return match ? new RegExp(match[1], match[2]) : null;
+};
+
+/**
+ * Compile a URL pattern, matched against the request URL without its query string:
+ * "/regex/flags", or a literal URL where `*` matches anything and a "/:name" segment
+ * captures one path segment into params.name (`\*` and `\:` stay literal)
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const compileUrlPattern = (pattern) => {
+  const regex = parseRegexLiteral(pattern);
+  if (regex) return regex;
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const param = char === ':' && pattern[i - 1] === '/' ? /^:([A-Za-z_]\w*)/.exec(pattern.slice(i)) : null;
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '*') {
+      source += '.*';
+    } else if (param) {
+      source += `(?<${param[1]}>[^/]+)`;
+      i += param[0].length - 1;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+// Escape a literal URL so it can be used as a pattern
+const escapeUrlPattern = (url) => url.replace(/[\\*]|\/:/g, (text) => (text === '/:' ? '/\\:' : `\\${text}`));
+
+// Value predicates: exact string, "/regex/", true (present) or false (absent)
+const matchesValue = (expected, actual) => {
+  if (expected === true) return actual !== undefined;
+  if (expected === false) return actual === undefined;
+  if (actual === undefined) return false;
+  const regex = parseRegexLiteral(expected);
+  return regex ? regex.test(String(actual)) : String(expected) === String(actual);
+};
+
+const validateValuePredicates = (predicates, label) => {
+  if (predicates === undefined) return null;
+  if (!predicates || typeof predicates !== 'object' || Array.isArray(predicates)) {
+    return `match.${label} must be an object`;
+  }
+  for (const [name, expected] of Object.entries(predicates)) {
+    if (!['string', 'number', 'boolean'].includes(typeof expected)) {
+      return `match.${label}.${name} must be a string, number or boolean`;
+    }
+    try {
+      parseRegexLiteral(expected);
+    } catch (error) {
+      return `match.${label}.${name}: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+const validateBodyPredicates = (predicates) => {
+  if (predicates === undefined) return null;
+  if (!Array.isArray(predicates)) {
+    return 'match.body must be an array of predicates';
+  }
+  for (const predicate of predicates) {
+    if (!predicate || typeof predicate !== 'object') {
+      return 'Each body predicate must be an object';
+    }
+    if (predicate.contains !== undefined) {
+      if (typeof predicate.contains !== 'string') return 'Body predicate contains must be a string';
+      continue;
+    }
+    if (typeof predicate.path !== 'string') {
+      return 'Each body predicate requires a path or contains';
+    }
+    try {
+      queryJsonPath({}, predicate.path);
+      if (predicate.matches !== undefined) new RegExp(predicate.matches);
+    } catch (error) {
+      return `Body predicate ${predicate.path}: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a mock definition and normalize it for storage
+ * @param {object} input - { name, enabled, priority, match: { method, url, query, headers, body }, response: { status, statusText, headers, body, bodyEncoding, delayMs } }
+ * @returns {{ definition?: object, error?: string }}
+ */
+const normalizeMock = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Mock definition must be an object' };
+  }
+
+  const match = input.match || {};
+  const response = input.response || {};
+
+  if (typeof match.url !== 'string' || !match.url) {
+    return { error: 'match.url is required' };
+  }
+  try {
+    compileUrlPattern(match.url);
+  } catch (error) {
+    return { error: `Invalid match.url: ${error.message}` };
+  }
+
+  const methods = match.method === undefined || match.method === '*'
+    ? []
+    : [].concat(match.method).map(method => String(method).toUpperCase());
+  const unknownMethod = methods.find(method => !HTTP_METHODS.includes(method));
+  if (unknownMethod) {
+    return { error: `Invalid match.method: ${unknownMethod}` };
+  }
+
+  const predicateError = validateValuePredicates(match.query, 'query') ||
+    validateValuePredicates(match.headers, 'headers') ||
+    validateBodyPredicates(match.body);
+  if (predicateError) {
+    return { error: predicateError };
+  }
+
+  // The status may be a placeholder, resolved per request
+  const status = response.status === undefined ? 200 : response.status;
+  if (typeof status === 'number' ? !Number.isInteger(status) || status < 100 || status > 599 : typeof status !== 'string') {
+    return { error: 'response.status must be an HTTP status code' };
+  }
+  if (response.headers !== undefined && (typeof response.headers !== 'object' || Array.isArray(response.headers) ||
+    !Object.values(response.headers || {}).every(value => typeof value === 'string'))) {
+    return { error: 'response.headers must be an object of strings' };
+  }
+  if (response.bodyEncoding !== undefined && (response.bodyEncoding !== 'base64' || typeof response.body !== 'string')) {
+    return { error: 'response.bodyEncoding must be "base64" with a string body' };
+  }
+  if (byteLength(response.body) > mockConfig.maxBodyBytes) {
+    return { error: `response.body too large (max ${mockConfig.maxBodyBytes} bytes)` };
+  }
+
+  const delayMs = response.delayMs === undefined ? 0 : response.delayMs;
+  if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > mockConfig.maxDelayMs) {
+    return { error: `response.delayMs must be between 0 and ${mockConfig.maxDelayMs}` };
+  }
+
+  if (input.priority !== undefined && !Number.isInteger(input.priority)) {
+    return { error: 'priority must be an integer' };
+  }
+
+  return {
+    definition: {
+      name: typeof input.name === 'string' ? input.name : `${methods.join(',') || '*'} ${match.url}`,
+      enabled: input.enabled !== false,
+      priority: input.priority || 0,
+      match: {
+        method: methods,
+        url: match.url,
+        query: match.query || {},
+        headers: Object.fromEntries(Object.entries(match.headers || {}).map(([name, value]) => [name.toLowerCase(), value])),
+        body: match.body || []
+      },
+      response: {
+        status,
+        statusText: response.statusText || '',
+        headers: response.headers || {},
+        body: response.body === undefined ? null : response.body,
+        ...(response.bodyEncoding && { bodyEncoding: response.bodyEncoding }),
+        delayMs
+      },
+      ...(input.recorded && { recorded: true })
+    }
+  };
+};
+
+const listIds = (userId) => cache.zRangeByScore(indexKey(userId), '-inf', '+inf');
+
+/**
+ * List a user's mocks in evaluation order (highest priority first, then oldest first)
+ * @param {string} userId - Owning user
+ * @returns {Promise<object[]>}
+ */
+const listMocks = async (userId) => {
+  const ids = await listIds(userId);
+  const definitions = (await cache.mget(ids.map(id => mockKey(userId, id)))).filter(Boolean);
+  return definitions
+    .map((definition, index) => ({ definition, index }))
+    .sort((a, b) => b.definition.priority - a.definition.priority || a.index - b.index)
+    .map(({ definition }) => definition);
+};
+
+/**
+ * Get a single mock
+ * @param {string} userId - Owning user
+ * @param {string} id - Mock ID
+ * @returns {Promise<object|null>}
+ */
+const getMock = (userId, id) => cache.get(mockKey(userId, id));
+
+// Definitions are kept until deleted (ttl 0)
+const saveMock = async (userId, mock) => {
+  if (!(await cache.set(mockKey(userId, mock.id), mock, 0))) {
+    throw new Error('Failed to store mock');
+  }
+};
+
+/**
+ * Create a mock from a definition
+ * @param {string} userId - Owning user
+ * @param {object} input - Mock definition (see normalizeMock)
+ * @returns {Promise<{ mock?: object, error?: string }>}
+ */
+const createMock = async (userId, input) => {
+  const { definition, error } = normalizeMock(input);
+  if (error) return { error };
+
+  if ((await listIds(userId)).length >= mockConfig.maxPerUser) {
+    return { error: `Too many mocks (max ${mockConfig.maxPerUser})` };
+  }
+
+  const now = new Date();
+  const mock = { id: crypto.randomUUID(), ...definition, createdAt: now.toISOString(), updatedAt: now.toISOString() };
+  await saveMock(userId, mock);
+  if (!(await cache.zAdd(indexKey(userId), now.getTime(), mock.id))) {
+    await cache.del(mockKey(userId, mock.id));
+    throw new Error('Failed to index mock');
+  }
+  return { mock };
+};
+
+/**
+ * Replace a mock's definition, keeping its ID and creation time
+ * @param {string} userId - Owning user
+ * @param {string} id - Mock ID
+ * @param {object} input - Mock definition (see normalizeMock)
+ * @returns {Promise<{ mock?: object, error?: string }|null>} - null when the mock does not exist
+ */
+const updateMock = async (userId, id, input) => {
+  const existing = await getMock(userId, id);
+  if (!existing) return null;
+
+  const { definition, error } = normalizeMock(input);
+  if (error) return { error };
+
+  const mock = { id, ...definition, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+  await saveMock(userId, mock);
+  return { mock };
+};
+
+/**
+ * Delete a mock
+ * @param {string} userId - Owning user
+ * @param {string} id - Mock ID
+ * @returns {Promise<boolean>}
+ */
+const deleteMock = async (userId, id) => {
+  const removed = await cache.zRem(indexKey(userId), id);
+  const deleted = await cache.del(mockKey(userId, id));
+  return removed > 0 || deleted > 0;
+};
+
+/**
+ * Delete all of a user's mocks
+ * @param {string} userId - Owning user
+ * @returns {Promise<number>} - Number of mocks deleted
+ */
+const clearMocks = async (userId) => {
+  const ids = await listIds(userId);
+  await Promise.all(ids.map(id => cache.del(mockKey(userId, id))));
+  await cache.del(indexKey(userId));
+  return ids.length;
+};
+
+const lowerCaseHeaders = (headers) => Object.fromEntries(
+  Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+);
+
+// Request text for "contains" predicates
+const requestBodyText = (body) => {
+  if (body === undefined || body === null) return '';
+  if (isBinary(body)) return Buffer.from(body).toString('utf8');
+  return typeof body === 'string' ? body : JSON.stringify(body);
+};
+
+const matchesBody = (predicates, request) => {
+  if (predicates.length === 0) return true;
+  const json = parseJsonBody(request.body);
+
+  return predicates.every((predicate) => {
+    if (predicate.contains !== undefined) {
+      return requestBodyText(request.body).includes(predicate.contains);
+    }
+
+    const result = json === undefined ? { found: false } : queryJsonPath(json, predicate.path);
+    if (predicate.exists !== undefined && result.found !== predicate.exists) return false;
+    if (predicate.equals !== undefined && (!result.found || JSON.stringify(result.value) !== JSON.stringify(predicate.equals))) {
+      return false;
+    }
+    if (predicate.matches !== undefined && (!result.found || !new RegExp(predicate.matches).test(
+      typeof result.value === 'string' ? result.value : JSON.stringify(result.value)
+    ))) {
+      return false;
+    }
+    return predicate.exists !== undefined || predicate.equals !== undefined || predicate.matches !== undefined || result.found;
+  });
+};
+
+/**
+ * Test a mock against a request
+ * @param {object} definition - Stored mock
+ * @param {object} request - Relay request
+ * @returns {object|null} - Path parameters captured by the URL pattern, or null when it does not match
+ */
+const matchMock = (definition, request) => {
+  const { match } = definition;
+  if (match.method.length > 0 && !match.method.includes(request.method.toUpperCase())) return null;
+
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (error) {
+    return null;
+  }
+
+  const urlMatch = compileUrlPattern(match.url).exec(`${url.origin}${url.pathname}`);
+  if (!urlMatch) return null;
+
+  const headers = lowerCaseHeaders(request.headers);
+  const matches = Object.entries(match.query).every(([name, expected]) => matchesValue(expected, url.searchParams.has(name) ? url.searchParams.get(name) : undefined)) &&
+    Object.entries(match.headers).every(([name, expected]) => matchesValue(expected, headers[name])) &&
+    matchesBody(match.body, request);
+
+  return matches ? { ...urlMatch.groups } : null;
+};
+
+/**
+ * Find the first enabled mock that matches a request
+ * @param {string} userId - Owning user
+ * @param {object} request - Relay request
+ * @returns {Promise<{ mock: object, params: object }|null>}
+ */
+const findMock = async (userId, request) => {
+  if (!mockConfig.enabled) return null;
+
+  for (const mock of await listMocks(userId)) {
+    if (!mock.enabled) continue;
+    const params = matchMock(mock, request);
+    if (params) return { mock, params };
+  }
+  return null;
+};
+
+// Placeholder values: request.method, request.url, request.path, request.body, query.<name>,
+// headers.<name>, params.<name> and body.<json path> of a JSON request body
+const templateVariables = (request, params) => {
+  const url = new URL(request.url);
+  const context = {
+    request: {
+      method: request.method.toUpperCase(),
+      url: request.url,
+      origin: url.origin,
+      path: url.pathname,
+      body: requestBodyText(request.body)
+    },
+    query: Object.fromEntries(url.searchParams),
+    headers: lowerCaseHeaders(request.headers),
+    params
+  };
+  const json = parseJsonBody(request.body);
+
+  return (name) => {
+    const [root, ...rest] = name.split('.');
+    if (root === 'body') {
+      if (json === undefined) return undefined;
+      if (rest.length === 0) return json;
+      const result = queryJsonPath(json, rest.join('.'));
+      return result.found ? result.value : undefined;
+    }
+    let value = context[root];
+    for (const segment of rest) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) return undefined;
+      value = value[segment];
+    }
+    return root in context && rest.length > 0 ? value : undefined;
+  };
+};
+
+/**
+ * Build the response for a matched mock, waiting out its delay
+ * @param {{ mock: object, params: object }} matched - Result of findMock
+ * @param {object} request - Relay request
+ * @returns {Promise<object>} - Response flagged with `mocked: true` and `mock: { id, name }`
+ */
+const renderMockResponse = async ({ mock, params }, request) => {
+  const startedAt = Date.now();
+  const variables = templateVariables(request, params);
+  const { response } = mock;
+
+  const status = parseInt(renderTemplate(String(response.status), variables).value);
+  const headers = renderTemplate(response.headers, variables).value;
+  const body = response.bodyEncoding === 'base64'
+    ? Buffer.from(response.body, 'base64')
+    : renderTemplate(response.body, variables).value;
+
+  if (response.delayMs > 0) {
+    await new Promise(resolve => setTimeout(resolve, response.delayMs));
+  }
+
+  return describeResponseBody({
+    requestId: request.requestId,
+    status: status >= 100 && status <= 599 ? status : 500,
+    statusText: response.statusText,
+    headers,
+    body,
+    time: Date.now() - startedAt,
+    timestamp: new Date().toISOString(),
+    mocked: true,
+    mock: { id: mock.id, name: mock.name }
+  });
+};
+
+/**
+ * Get the user's passthrough recording settings
+ * @param {string} userId - Owning user
+ * @returns {Promise<{ enabled: boolean, urlPrefix?: string, expiresAt?: string }>}
+ */
+const getRecording = async (userId) => {
+  if (!mockConfig.enabled) return { enabled: false };
+  return (await cache.get(recordingKey(userId))) || { enabled: false };
+};
+
+/**
+ * Turn passthrough recording on or off; while on, real responses to unmatched requests become new mocks
+ * @param {string} userId - Owning user
+ * @param {object} options
+ * @param {boolean} options.enabled
+ * @param {string} [options.urlPrefix] - Only record requests whose URL starts with this prefix
+ * @param {number} [options.durationSeconds] - Recording switches itself off after this long
+ * @returns {Promise<{ recording?: object, error?: string }>}
+ */
+const setRecording = async (userId, { enabled, urlPrefix, durationSeconds } = {}) => {
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be a boolean' };
+  }
+  if (!enabled) {
+    await cache.del(recordingKey(userId));
+    return { recording: { enabled: false } };
+  }
+  if (urlPrefix !== undefined && typeof urlPrefix !== 'string') {
+    return { error: 'urlPrefix must be a string' };
+  }
+
+  const seconds = durationSeconds === undefined ? mockConfig.maxRecordingSeconds : durationSeconds;
+  if (!Number.isInteger(seconds) || seconds <= 0 || seconds > mockConfig.maxRecordingSeconds) {
+    return { error: `durationSeconds must be between 1 and ${mockConfig.maxRecordingSeconds}` };
+  }
+
+  const recording = {
+    enabled: true,
+    ...(urlPrefix && { urlPrefix }),
+    expiresAt: new Date(Date.now() + seconds * 1000).toISOString()
+  };
+  await cache.set(recordingKey(userId), recording, seconds);
+  return { recording };
+};
+
+/**
+ * Save a real response as a new mock when the user is recording; the mock matches the method,
+ * URL and query parameters of the request
+ * @param {string} userId - Owning user
+ * @param {object} request - Relay request
+ * @param {object} response - Browser response
+ * @returns {Promise<object|null>} - The new mock, or null when nothing was recorded
+ */
+const recordMock = async (userId, request, response) => {
+  const recording = await getRecording(userId);
+  if (!recording.enabled || response.streamed || response.mocked || (response.cache && response.cache.hit)) return null;
+  if (recording.urlPrefix && !request.url.startsWith(recording.urlPrefix)) return null;
+
+  const url = new URL(request.url);
+  const binary = isBinary(response.body);
+  const { mock, error } = await createMock(userId, {
+    name: `Recorded ${request.method.toUpperCase()} ${url.pathname}`,
+    match: {
+      method: request.method,
+      url: escapeUrlPattern(`${url.origin}${url.pathname}`),
+      query: Object.fromEntries(url.searchParams)
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(Object.entries(response.headers || {})
+        .filter(([name]) => !TRANSFER_HEADERS.includes(name.toLowerCase()))
+        .map(([name, value]) => [name, String(value)])),
+      body: binary ? Buffer.from(response.body).toString('base64') : response.body,
+      ...(binary && { bodyEncoding: 'base64' })
+    },
+    recorded: true
+  });
+  if (error) {
+    throw new Error(`Response not recorded: ${error}`);
+  }
+  return mock;
+};
+
+module.exports = {
+  mockConfig,
+  compileUrlPattern,
+  normalizeMock,
+  listMocks,
+  getMock,
+  createMock,
+  updateMock,
+  deleteMock,
+  clearMocks,
+  matchMock,
+  findMock,
+  renderMockResponse,
+  getRecording,
+  setRecording,
+  recordMock
+};
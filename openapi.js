@@ -0,0 +1,633 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const Ajv2020 = require('ajv/dist/2020');
+const YAML = require('yaml');
+const { cache } = require('./cache');
+const { isBinary } = require('./requestBody');
+const { parseJsonBody } = require('./jsonPath');
+require('dotenv').config();
+
+// OpenAPI contract validation configuration
+const openApiConfig = {
+  enabled: process.env.OPENAPI_ENABLED !== 'false',
+  maxSpecsPerUser: parseInt(process.env.OPENAPI_MAX_SPECS_PER_USER || '20'),
+  maxDocumentBytes: parseInt(process.env.OPENAPI_MAX_DOCUMENT_BYTES || String(2 * 1024 * 1024)),
+  maxViolations: parseInt(process.env.OPENAPI_MAX_VIOLATIONS || '50'),
+  compiledCacheSize: parseInt(process.env.OPENAPI_COMPILED_CACHE_SIZE || '50')
+};
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Formats OpenAPI documents commonly use; the rest are accepted without checks
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+const UNCHECKED_FORMATS = ['int32', 'int64', 'float', 'double', 'byte', 'binary', 'password', 'uri', 'url', 'hostname', 'ipv4', 'ipv6', 'time'];
+
+// Each spec lives under its own keys, listed by a sorted set of IDs scored by creation time,
+// so concurrent saves and deletes of different specs never overwrite each other
+const indexKey = (userId) => `openapi:${userId}:specs`;
+const metaKey = (userId, id) => `openapi:${userId}:meta:${id}`;
+const documentKey = (userId, id) => `openapi:${userId}:spec:${id}`;
+const coverageKey = (userId, id, operation, response) => `openapi:${userId}:coverage:${id}:${operation}:${response}`;
+
+// Compiled specs by user, ID and version, oldest first
+const compiledSpecs = new Map();
+
+/**
+ * Parse an uploaded document: a parsed object, or JSON or YAML text
+ * @param {object|string} input
+ * @returns {{ document?: object, error?: string }}
+ */
+const parseDocument = (input) => {
+  let document = input;
+  if (typeof input === 'string') {
+    if (Buffer.byteLength(input) > openApiConfig.maxDocumentBytes) {
+      return { error: `Document too large (max ${openApiConfig.maxDocumentBytes} bytes)` };
+    }
+    try {
+      document = /^\s*\{/.test(input) ? JSON.parse(input) : YAML.parse(input);
+    } catch (error) {
+      return { error: `Document is not valid JSON or YAML: ${error.message}` };
+    }
+  } else if (input && Buffer.byteLength(JSON.stringify(input)) > openApiConfig.maxDocumentBytes) {
+    return { error: `Document too large (max ${openApiConfig.maxDocumentBytes} bytes)` };
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { error: 'Document must be an OpenAPI object' };
+  }
+  if (typeof document.openapi !== 'string' || !/^3\.\d+/.test(document.openapi)) {
+    return { error: 'Only OpenAPI 3.x documents are supported (missing or unsupported "openapi" version)' };
+  }
+  if (!document.paths || typeof document.paths !== 'object') {
+    return { error: 'Document has no paths' };
+  }
+  return { document };
+};
+
+/**
+ * Normalize the base URL a spec is bound to: absolute http(s), no query, no trailing slash
+ * @param {string} value
+ * @returns {string|null}
+ */
+const normalizeBaseUrl = (value) => {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) return null;
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Follow a local "#/a/b" reference chain
+const deref = (document, value, seen = new Set()) => {
+  if (!value || typeof value.$ref !== 'string') return value;
+  if (!value.$ref.startsWith('#/') || seen.has(value.$ref)) return undefined;
+  seen.add(value.$ref);
+
+  const target = value.$ref.slice(2).split('/').reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' ? node[key] : undefined;
+  }, document);
+  return deref(document, target, seen);
+};
+
+// OpenAPI 3.0 schemas use draft-04 style boolean exclusiveMinimum/exclusiveMaximum
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, toJsonSchema(value)]));
+  ['Minimum', 'Maximum'].forEach((bound) => {
+    const flag = converted[`exclusive${bound}`];
+    if (typeof flag !== 'boolean') return;
+    if (flag && converted[bound.toLowerCase()] !== undefined) {
+      converted[`exclusive${bound}`] = converted[bound.toLowerCase()];
+      delete converted[bound.toLowerCase()];
+    } else {
+      delete converted[`exclusive${bound}`];
+    }
+  });
+  return converted;
+};
+
+// Turn "/users/{id}" into a regular expression; literal paths sort before templated ones
+const compilePathTemplate = (template) => {
+  const names = [];
+  const source = template.split(/(\{[^}]+\})/).map((part) => {
+    const param = /^\{([^}]+)\}$/.exec(part);
+    if (!param) return part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    names.push(param[1]);
+    return '([^/]+)';
+  }).join('');
+  return { regex: new RegExp(`^${source}$`), names };
+};
+
+const createAjv = (document, options = {}) => {
+  const AjvClass = /^3\.0/.test(document.openapi) ? Ajv : Ajv2020;
+  const ajv = new AjvClass({ allErrors: true, strict: false, logger: false, ...options });
+  Object.entries(FORMATS).forEach(([name, pattern]) => ajv.addFormat(name, pattern));
+  UNCHECKED_FORMATS.forEach(name => ajv.addFormat(name, true));
+  return ajv;
+};
+
+/**
+ * Compile a document into operations with lazily compiled validators
+ * @param {object} document - Parsed OpenAPI document
+ * @returns {{ operations: object[], validator: Function }}
+ */
+const compileSpec = (document) => {
+  const components = /^3\.0/.test(document.openapi) ? toJsonSchema(document.components || {}) : document.components || {};
+  const ajv = createAjv(document);
+  const coercingAjv = createAjv(document, { coerceTypes: 'array' });
+  const validators = new Map();
+
+  // Schemas are compiled with the document's components so "#/components/..." references resolve
+  const validator = (schema, { coerce = false } = {}) => {
+    const cacheKey = JSON.stringify([coerce, schema]);
+    if (!validators.has(cacheKey)) {
+      const root = /^3\.0/.test(document.openapi) ? toJsonSchema(schema) : schema;
+      const wrapped = coerce
+        ? { type: 'object', properties: { value: root }, components }
+        : { ...root, components };
+      try {
+        validators.set(cacheKey, { validate: (coerce ? coercingAjv : ajv).compile(wrapped) });
+      } catch (error) {
+        validators.set(cacheKey, { error: error.message });
+      }
+    }
+    return validators.get(cacheKey);
+  };
+
+  const operations = [];
+  Object.entries(document.paths).forEach(([path, rawItem]) => {
+    const item = deref(document, rawItem) || {};
+    const pathParameters = (item.parameters || []).map(parameter => deref(document, parameter)).filter(Boolean);
+
+    METHODS.forEach((method) => {
+      const operation = item[method];
+      if (!operation) return;
+
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = [...pathParameters];
+      (operation.parameters || []).map(parameter => deref(document, parameter)).filter(Boolean).forEach((parameter) => {
+        const index = parameters.findIndex(p => p.name === parameter.name && p.in === parameter.in);
+        if (index === -1) parameters.push(parameter);
+        else parameters[index] = parameter;
+      });
+
+      operations.push({
+        key: `${method.toUpperCase()} ${path}`,
+        method: method.toUpperCase(),
+        path,
+        operationId: operation.operationId,
+        parameters,
+        requestBody: deref(document, operation.requestBody),
+        responses: Object.fromEntries(Object.entries(operation.responses || {})
+          .map(([status, response]) => [String(status).toUpperCase(), deref(document, response) || {}])),
+        ...compilePathTemplate(path)
+      });
+    });
+  });
+
+  operations.sort((a, b) => a.names.length - b.names.length);
+  return { operations, validator };
+};
+
+// Compiled specs are kept per version so updates take effect immediately
+const getCompiledSpec = (userId, meta, document) => {
+  const cacheKey = `${userId}:${meta.id}:${meta.updatedAt}`;
+  if (!compiledSpecs.has(cacheKey)) {
+    compiledSpecs.set(cacheKey, compileSpec(document));
+    if (compiledSpecs.size > openApiConfig.compiledCacheSize) {
+      compiledSpecs.delete(compiledSpecs.keys().next().value);
+    }
+  }
+  return compiledSpecs.get(cacheKey);
+};
+
+const describeOperationCount = (document) => compileSpec(document).operations.length;
+
+const listIds = (userId) => cache.zRangeByScore(indexKey(userId), '-inf', '+inf');
+
+/**
+ * List a user's specs (metadata only), oldest first
+ * @param {string} userId - Owning user
+ * @returns {Promise<object[]>}
+ */
+const listSpecs = async (userId) => {
+  const ids = await listIds(userId);
+  return ids.length > 0 ? (await cache.mget(ids.map(id => metaKey(userId, id)))).filter(Boolean) : [];
+};
+
+/**
+ * Get a spec's metadata and document
+ * @param {string} userId - Owning user
+ * @param {string} id - Spec ID
+ * @returns {Promise<{ spec: object, document: object }|null>}
+ */
+const getSpec = async (userId, id) => {
+  const [spec, document] = await cache.mget([metaKey(userId, id), documentKey(userId, id)]);
+  return spec && document ? { spec, document } : null;
+};
+
+// Stored without expiry (ttl 0)
+const storeSpec = async (userId, spec, document) => {
+  const stored = await cache.set(documentKey(userId, spec.id), document, 0) &&
+    await cache.set(metaKey(userId, spec.id), spec, 0);
+  if (!stored) {
+    throw new Error('Failed to store spec');
+  }
+};
+
+/**
+ * Store a spec, bound to the base URL its paths are relative to
+ * @param {string} userId - Owning user
+ * @param {object} input
+ * @param {object|string} input.document - OpenAPI 3.x document (object, JSON or YAML text)
+ * @param {string} input.baseUrl - e.g. "http://localhost:3000/api"
+ * @param {string} [input.name]
+ * @param {string} [id] - Existing spec to replace
+ * @returns {Promise<{ spec?: object, error?: string, conflict?: boolean, notFound?: boolean }>}
+ */
+const saveSpec = async (userId, { document: input, baseUrl, name }, id) => {
+  const { document, error } = parseDocument(input);
+  if (error) return { error };
+
+  const normalizedBaseUrl = normalizeBaseUrl(baseUrl);
+  if (!normalizedBaseUrl) {
+    return { error: 'baseUrl must be an absolute http(s) URL without query string' };
+  }
+
+  const specs = await listSpecs(userId);
+  const existing = id ? await cache.get(metaKey(userId, id)) : null;
+  if (id && !existing) return { notFound: true };
+  if (specs.some(meta => meta.baseUrl === normalizedBaseUrl && meta.id !== id)) {
+    return { conflict: true, error: `Another spec is already bound to ${normalizedBaseUrl}` };
+  }
+  if (!existing && specs.length >= openApiConfig.maxSpecsPerUser) {
+    return { error: `Too many specs (max ${openApiConfig.maxSpecsPerUser})` };
+  }
+
+  const now = new Date().toISOString();
+  const info = document.info || {};
+  const spec = {
+    id: existing ? existing.id : crypto.randomUUID(),
+    name: typeof name === 'string' && name ? name : info.title || normalizedBaseUrl,
+    title: info.title,
+    version: info.version,
+    openapi: document.openapi,
+    baseUrl: normalizedBaseUrl,
+    operationCount: describeOperationCount(document),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await storeSpec(userId, spec, document);
+  if (existing) {
+    // Coverage restarts with every new version
+    await resetCoverage(userId, spec.id);
+  } else if (!(await cache.zAdd(indexKey(userId), Date.parse(now), spec.id))) {
+    await cache.del(metaKey(userId, spec.id));
+    await cache.del(documentKey(userId, spec.id));
+    throw new Error('Failed to index spec');
+  }
+  return { spec };
+};
+
+/**
+ * Delete a spec and its coverage
+ * @param {string} userId - Owning user
+ * @param {string} id - Spec ID
+ * @returns {Promise<boolean>}
+ */
+const deleteSpec = async (userId, id) => {
+  const removed = await cache.zRem(indexKey(userId), id);
+  const deleted = await cache.del(metaKey(userId, id));
+  await cache.del(documentKey(userId, id));
+  await resetCoverage(userId, id);
+  return removed > 0 || deleted > 0;
+};
+
+// Longest base URL that contains the request URL (on a path segment boundary)
+const findSpecFor = (specs, url) => {
+  const base = `${url.origin}${url.pathname}`;
+  return specs
+    .filter(meta => base === meta.baseUrl || base.startsWith(`${meta.baseUrl}/`))
+    .sort((a, b) => b.baseUrl.length - a.baseUrl.length)[0] || null;
+};
+
+const getHeader = (headers, name) => {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name.toLowerCase());
+  return match === undefined ? undefined : headers[match];
+};
+
+const mediaTypeOf = (contentType) => (contentType ? String(contentType).split(';')[0].trim().toLowerCase() : undefined);
+
+const isJsonMediaType = (mediaType) => mediaType === 'application/json' || /\+json$/.test(mediaType || '');
+
+// Media type entry for a content type: exact, then "type/*", then "*/*"
+const findMediaType = (content, mediaType) => {
+  if (!content) return null;
+  const entries = Object.keys(content);
+  const match = entries.find(key => key.toLowerCase() === mediaType) ||
+    entries.find(key => key.toLowerCase() === `${(mediaType || '').split('/')[0]}/*`) ||
+    entries.find(key => key === '*/*');
+  return match ? content[match] : null;
+};
+
+// Parameter values as the request carries them; arrays collect repeated or comma-separated values
+const readParameter = (parameter, { pathParams, url, headers, cookies }) => {
+  const schema = parameter.schema || {};
+  const isArray = schema.type === 'array';
+
+  switch (parameter.in) {
+    case 'path':
+      return pathParams[parameter.name];
+    case 'query': {
+      if (!url.searchParams.has(parameter.name)) return undefined;
+      if (!isArray) return url.searchParams.get(parameter.name);
+      return parameter.explode === false
+        ? url.searchParams.get(parameter.name).split(',')
+        : url.searchParams.getAll(parameter.name);
+    }
+    case 'header': {
+      const value = getHeader(headers, parameter.name);
+      if (value === undefined) return undefined;
+      return isArray ? String(value).split(',').map(item => item.trim()) : String(value);
+    }
+    case 'cookie':
+      return cookies[parameter.name];
+    default:
+      return undefined;
+  }
+};
+
+const parseCookies = (header) => Object.fromEntries(String(header || '')
+  .split(';')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .map((pair) => {
+    const separator = pair.indexOf('=');
+    return separator === -1 ? [pair, ''] : [pair.slice(0, separator), pair.slice(separator + 1)];
+  }));
+
+// Ajv errors as violations; locations are JSON pointers into the validated value
+const schemaViolations = (errors, where, name, prefix = '') => (errors || []).map((error) => {
+  const location = error.instancePath.startsWith(prefix) ? error.instancePath.slice(prefix.length) : error.instancePath;
+  return {
+    in: where,
+    ...(name && { name }),
+    location: location || '/',
+    message: `${location || (name ? name : 'value')} ${error.message}`.trim()
+  };
+});
+
+const validateBody = (compiled, content, body, mediaType, where) => {
+  const media = findMediaType(content, mediaType);
+  if (!media) {
+    return [{ in: where, message: `Content type ${mediaType || '(none)'} is not documented` }];
+  }
+  if (!media.schema || !isJsonMediaType(mediaType)) return [];
+
+  const json = parseJsonBody(body);
+  if (json === undefined) {
+    return [{ in: where, message: 'Body is not valid JSON' }];
+  }
+  const { validate, error } = compiled.validator(media.schema);
+  if (error) return [{ in: 'spec', message: `Schema for ${where} could not be compiled: ${error}` }];
+  return validate(json) ? [] : schemaViolations(validate.errors, where);
+};
+
+const hasBody = (body) => body !== undefined && body !== null && !(typeof body === 'string' && body.length === 0) &&
+  !(isBinary(body) && body.byteLength === 0);
+
+// Content type a request is sent with when it does not set one
+const requestMediaType = (request) => {
+  const header = mediaTypeOf(getHeader(request.headers, 'content-type'));
+  if (header) return header;
+  if (typeof request.body === 'object' && !isBinary(request.body)) return 'application/json';
+  return parseJsonBody(request.body) === undefined ? 'text/plain' : 'application/json';
+};
+
+const validateRequest = (compiled, operation, request, url, pathParams) => {
+  const violations = [];
+  const context = { pathParams, url, headers: request.headers, cookies: parseCookies(getHeader(request.headers, 'cookie')) };
+
+  operation.parameters.forEach((parameter) => {
+    // Content negotiation and auth headers are described elsewhere in OpenAPI
+    if (parameter.in === 'header' && ['accept', 'content-type', 'authorization'].includes(String(parameter.name).toLowerCase())) return;
+
+    const value = readParameter(parameter, context);
+    if (value === undefined) {
+      if (parameter.required) {
+        violations.push({ in: parameter.in, name: parameter.name, message: `Missing required ${parameter.in} parameter "${parameter.name}"` });
+      }
+      return;
+    }
+    if (!parameter.schema) return;
+
+    const { validate, error } = compiled.validator(parameter.schema, { coerce: true });
+    if (error) {
+      violations.push({ in: 'spec', name: parameter.name, message: `Schema for parameter "${parameter.name}" could not be compiled: ${error}` });
+    } else if (!validate({ value })) {
+      violations.push(...schemaViolations(validate.errors, parameter.in, parameter.name, '/value'));
+    }
+  });
+
+  if (operation.requestBody) {
+    if (!hasBody(request.body) && !Array.isArray(request.multipart)) {
+      if (operation.requestBody.required) {
+        violations.push({ in: 'body', message: 'Missing required request body' });
+      }
+    } else if (Array.isArray(request.multipart)) {
+      if (!findMediaType(operation.requestBody.content, 'multipart/form-data')) {
+        violations.push({ in: 'body', message: 'Content type multipart/form-data is not documented' });
+      }
+    } else {
+      violations.push(...validateBody(compiled, operation.requestBody.content, request.body, requestMediaType(request), 'body'));
+    }
+  } else if (hasBody(request.body) && !['GET', 'HEAD', 'DELETE', 'OPTIONS'].includes(operation.method)) {
+    violations.push({ in: 'body', message: 'Operation does not document a request body' });
+  }
+
+  return violations;
+};
+
+// Documented response for a status: exact, then "2XX" style ranges, then default
+const findResponse = (responses, status) => {
+  const exact = String(status);
+  const range = `${exact[0]}XX`;
+  if (responses[exact]) return { key: exact, response: responses[exact] };
+  if (responses[range]) return { key: range, response: responses[range] };
+  if (responses.DEFAULT) return { key: 'default', response: responses.DEFAULT };
+  return null;
+};
+
+const validateResponse = (compiled, operation, response) => {
+  const documented = findResponse(operation.responses, response.status);
+  if (!documented) {
+    return { responseKey: 'undocumented', violations: [{ in: 'response.status', message: `Status ${response.status} is not documented` }] };
+  }
+  if (!documented.response.content || !hasBody(response.body) || operation.method === 'HEAD' || response.streamed) {
+    return { responseKey: documented.key, violations: [] };
+  }
+
+  const mediaType = mediaTypeOf(getHeader(response.headers, 'content-type'));
+  return {
+    responseKey: documented.key,
+    violations: validateBody(compiled, documented.response.content, response.body, mediaType, 'response.body')
+  };
+};
+
+const countExercise = (userId, specId, operationKey, responseKey) => {
+  cache.incr(coverageKey(userId, specId, operationKey, responseKey)).catch(() => {});
+};
+
+/**
+ * Validate a request and its response against the spec bound to the request's base URL.
+ * Records coverage for the matched operation.
+ * @param {string} userId - Owning user
+ * @param {object} request - Relay request (resolved)
+ * @param {object} response - Response from the browser, cache or a mock
+ * @returns {Promise<object|null>} - { specId, baseUrl, operation, valid, violations }, or null when no spec covers the URL
+ */
+const checkContract = async (userId, request, response) => {
+  if (!openApiConfig.enabled || request.contract === false) return null;
+
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (error) {
+    return null;
+  }
+
+  const meta = findSpecFor(await listSpecs(userId), url);
+  if (!meta) return null;
+  const document = await cache.get(documentKey(userId, meta.id));
+  if (!document) return null;
+
+  const compiled = getCompiledSpec(userId, meta, document);
+  const relativePath = `${url.origin}${url.pathname}`.slice(meta.baseUrl.length) || '/';
+  const method = request.method.toUpperCase();
+
+  const byPath = compiled.operations
+    .map(operation => ({ operation, match: operation.regex.exec(relativePath) }))
+    .filter(candidate => candidate.match);
+  const found = byPath.find(candidate => candidate.operation.method === method);
+
+  const result = { specId: meta.id, baseUrl: meta.baseUrl };
+  if (!found) {
+    return {
+      ...result,
+      operation: null,
+      valid: false,
+      violations: [{
+        in: 'operation',
+        message: byPath.length > 0
+          ? `${method} is not documented for ${byPath[0].operation.path}`
+          : `No operation matches ${method} ${relativePath}`
+      }]
+    };
+  }
+
+  const { operation, match } = found;
+  const pathParams = Object.fromEntries(operation.names.map((name, index) => {
+    try {
+      return [name, decodeURIComponent(match[index + 1])];
+    } catch (error) {
+      return [name, match[index + 1]];
+    }
+  }));
+
+  const responseCheck = validateResponse(compiled, operation, response);
+  const violations = [...validateRequest(compiled, operation, request, url, pathParams), ...responseCheck.violations];
+  countExercise(userId, meta.id, operation.key, responseCheck.responseKey);
+
+  return {
+    ...result,
+    operation: { method: operation.method, path: operation.path, ...(operation.operationId && { operationId: operation.operationId }) },
+    valid: violations.length === 0,
+    violations: violations.slice(0, openApiConfig.maxViolations),
+    ...(violations.length > openApiConfig.maxViolations && { truncated: true })
+  };
+};
+
+/**
+ * Which operations and documented responses have been exercised since the spec was stored
+ * @param {string} userId - Owning user
+ * @param {string} id - Spec ID
+ * @returns {Promise<object|null>}
+ */
+const getCoverage = async (userId, id) => {
+  const stored = await getSpec(userId, id);
+  if (!stored) return null;
+
+  const { operations } = getCompiledSpec(userId, stored.spec, stored.document);
+  const responseKeys = operations.map(operation => [
+    ...Object.keys(operation.responses).map(key => (key === 'DEFAULT' ? 'default' : key)),
+    'undocumented'
+  ]);
+  const keys = operations.flatMap((operation, index) => responseKeys[index]
+    .map(responseKey => coverageKey(userId, id, operation.key, responseKey)));
+  const counts = keys.length > 0 ? await cache.mget(keys) : [];
+
+  let offset = 0;
+  const report = operations.map((operation, index) => {
+    const responses = Object.fromEntries(responseKeys[index].map(responseKey => [responseKey, Number(counts[offset++]) || 0]));
+    const calls = Object.values(responses).reduce((sum, count) => sum + count, 0);
+    return {
+      method: operation.method,
+      path: operation.path,
+      ...(operation.operationId && { operationId: operation.operationId }),
+      calls,
+      covered: calls > 0,
+      responses
+    };
+  });
+
+  const documentedResponses = report.reduce((sum, entry) => sum + Object.keys(entry.responses).length - 1, 0);
+  const coveredResponses = report.reduce((sum, entry) => sum + Object.entries(entry.responses)
+    .filter(([key, count]) => key !== 'undocumented' && count > 0).length, 0);
+  const coveredOperations = report.filter(entry => entry.covered).length;
+
+  return {
+    specId: id,
+    baseUrl: stored.spec.baseUrl,
+    since: stored.spec.updatedAt,
+    summary: {
+      operations: report.length,
+      coveredOperations,
+      operationCoverage: report.length > 0 ? coveredOperations / report.length : null,
+      responses: documentedResponses,
+      coveredResponses,
+      responseCoverage: documentedResponses > 0 ? coveredResponses / documentedResponses : null
+    },
+    operations: report
+  };
+};
+
+/**
+ * Forget which operations were exercised
+ * @param {string} userId - Owning user
+ * @param {string} id - Spec ID
+ * @returns {Promise<number>} - Counters removed
+ */
+const resetCoverage = (userId, id) => cache.delPattern(`openapi:${userId}:coverage:${id}:*`);
+
+module.exports = {
+  openApiConfig,
+  parseDocument,
+  listSpecs,
+  getSpec,
+  saveSpec,
+  deleteSpec,
+  checkContract,
+  getCoverage,
+  resetCoverage
+};
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { cache } = require('./cache');
+require('dotenv').config();
+
+// Error code returned with every quota rejection
+const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+
+const MB = 1024 * 1024;
+
+// Built-in tiers; a limit of 0 or null means unlimited
+const DEFAULT_TIERS = {
+  free: {
+    connectionsPerMinute: 10,
+    executionsPerMinute: 60,
+    concurrentPending: 10,
+    bytesPerDay: 100 * MB
+  },
+  pro: {
+    connectionsPerMinute: 30,
+    executionsPerMinute: 600,
+    concurrentPending: 50,
+    bytesPerDay: 2048 * MB
+  },
+  unlimited: {
+    connectionsPerMinute: null,
+    executionsPerMinute: null,
+    concurrentPending: null,
+    bytesPerDay: null
+  }
+};
+
+// Tiers from QUOTA_TIERS_FILE (JSON object of tier name -> limits) are merged over the defaults
+const loadTiers = () => {
+  if (!process.env.QUOTA_TIERS_FILE) return DEFAULT_TIERS;
+
+  const tiers = JSON.parse(fs.readFileSync(process.env.QUOTA_TIERS_FILE, 'utf8'));
+  if (!tiers || typeof tiers !== 'object' || Array.isArray(tiers)) {
+    throw new Error(`Invalid quota tiers file: ${process.env.QUOTA_TIERS_FILE}`);
+  }
+  return { ...DEFAULT_TIERS, ...tiers };
+};
+
+// Quota configuration
+const quotaConfig = {
+  enabled: process.env.QUOTAS_ENABLED !== 'false',
+  tiers: loadTiers(),
+  defaultTier: process.env.QUOTA_DEFAULT_TIER || 'free',
+  tierClaim: process.env.QUOTA_TIER_CLAIM || 'tier',
+  // Limits applied per client IP, regardless of user
+  ipLimits: {
+    connectionsPerMinute: parseInt(process.env.QUOTA_IP_CONNECTIONS_PER_MINUTE || '10'),
+    executionsPerMinute: parseInt(process.env.QUOTA_IP_EXECUTIONS_PER_MINUTE || '300'),
+    concurrentPending: parseInt(process.env.QUOTA_IP_CONCURRENT_PENDING || '50'),
+    bytesPerDay: parseInt(process.env.QUOTA_IP_BYTES_PER_DAY || String(1024 * MB))
+  },
+  // Concurrency slots expire on their own if an instance dies mid-request
+  pendingTtlSeconds: parseInt(process.env.REQUEST_MAX_TIMEOUT_SECONDS || '120') * 2 + 60
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tier names come from tokens and admins; only configured tiers count, never Object.prototype members
+const hasTier = (tier) => typeof tier === 'string' && Object.prototype.hasOwnProperty.call(quotaConfig.tiers, tier);
+
+// Sorted set of in-flight executions, scored by when each slot expires
+const inFlightKey = (scope, id) => `quota:inFlight:${scope}:${id}`;
+
+// Number of unexpired slots in an in-flight set
+const countInFlight = async (key) => (await cache.zRangeByScore(key, Date.now(), '+inf')).length;
+
+/**
+ * Build a structured quota rejection
+ * @param {string} quota - Limit name (e.g. 'executionsPerMinute')
+ * @param {string} scope - 'user' or 'ip'
+ * @param {number} limit - Configured limit
+ * @param {number} retryAfter - Seconds until the request may succeed
+ * @returns {object}
+ */
+const quotaExceeded = (quota, scope, limit, retryAfter) => ({
+  error: true,
+  code: QUOTA_EXCEEDED,
+  message: `Quota exceeded: ${quota} (${scope} limit ${limit})`,
+  quota,
+  scope,
+  limit,
+  retryAfter: Math.max(retryAfter, 1)
+});
+
+// Key for a fixed window counter, plus the seconds left in that window
+const windowKey = (quota, scope, id, windowMs) => {
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  return {
+    key: `quota:${quota}:${scope}:${id}:${window}`,
+    secondsLeft: Math.ceil(((window + 1) * windowMs - now) / 1000)
+  };
+};
+
+// Count one event in a fixed window; returns a rejection when over the limit
+const consumeWindow = async (quota, scope, id, limit, windowMs) => {
+  if (!limit) return null;
+
+  const { key, secondsLeft } = windowKey(quota, scope, id, windowMs);
+  const count = await cache.incrBy(key, 1, Math.ceil(windowMs / 1000));
+  return count > limit ? quotaExceeded(quota, scope, limit, secondsLeft) : null;
+};
+
+/**
+ * Resolve the quota tier for a user: admin assignment, then token claim, then the default tier
+ * @param {string} userId
+ * @param {object} [claims] - Verified token claims
+ * @returns {Promise<{ name: string, limits: object }>}
+ */
+const resolveTier = async (userId, claims) => {
+  const assigned = await cache.get(`quota:tier:${userId}`);
+  const claimed = claims && claims[quotaConfig.tierClaim];
+
+  const name = [assigned, claimed].find(hasTier) || quotaConfig.defaultTier;
+  return { name, limits: hasTier(name) ? quotaConfig.tiers[name] : DEFAULT_TIERS.free };
+};
+
+/**
+ * Assign a tier to a user (null clears the assignment)
+ * @param {string} userId
+ * @param {string|null} tier
+ * @returns {Promise<boolean>} - False when the tier does not exist
+ */
+const assignTier = async (userId, tier) => {
+  if (tier === null) {
+    await cache.del(`quota:tier:${userId}`);
+    return true;
+  }
+  if (!hasTier(tier)) return false;
+  return cache.set(`quota:tier:${userId}`, tier, 0);
+};
+
+/**
+ * Count a connection attempt against a per-minute limit
+ * @param {string} scope - 'user' or 'ip'
+ * @param {string} id - User ID or IP
+ * @param {object} limits - Tier limits or quotaConfig.ipLimits
+ * @returns {Promise<object|null>} - Rejection, or null when allowed
+ */
+const checkConnectionQuota = async (scope, id, limits) => {
+  if (!quotaConfig.enabled) return null;
+  return consumeWindow('connectionsPerMinute', scope, id, limits.connectionsPerMinute, MINUTE_MS);
+};
+
+/**
+ * Reserve quota for one relayed execution. Checks daily bytes, counts the execution
+ * and takes a concurrency slot for both the user and the client IP.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.ip
+ * @param {object} params.limits - The user's tier limits
+ * @param {number} params.requestBytes - Request body size, counted towards bytesPerDay
+ * @returns {Promise<{ release: Function }>} - Call release(responseBytes) once settled
+ * @throws {object} - Quota rejection
+ */
+const acquireExecution = async ({ userId, ip, limits, requestBytes }) => {
+  const subjects = [
+    { scope: 'user', id: userId, limits },
+    { scope: 'ip', id: ip, limits: quotaConfig.ipLimits }
+  ];
+  const held = [];
+  const leaseId = crypto.randomUUID();
+
+  const releaseSlots = () => Promise.all(held.map(key => cache.zRem(key, leaseId)));
+
+  const addBytes = (bytes) => Promise.all(subjects.map(({ scope, id, limits: subjectLimits }) => {
+    if (!subjectLimits.bytesPerDay || !bytes) return null;
+    const { key } = windowKey('bytesPerDay', scope, id, DAY_MS);
+    return cache.incrBy(key, bytes, Math.ceil(DAY_MS / 1000));
+  }));
+
+  if (!quotaConfig.enabled) {
+    return { release: () => Promise.resolve() };
+  }
+
+  for (const { scope, id, limits: subjectLimits } of subjects) {
+    if (subjectLimits.bytesPerDay) {
+      const { key, secondsLeft } = windowKey('bytesPerDay', scope, id, DAY_MS);
+      const used = (await cache.get(key)) || 0;
+      if (used >= subjectLimits.bytesPerDay) {
+        await releaseSlots();
+        throw quotaExceeded('bytesPerDay', scope, subjectLimits.bytesPerDay, secondsLeft);
+      }
+    }
+
+    const rateRejection = await consumeWindow('executionsPerMinute', scope, id, subjectLimits.executionsPerMinute, MINUTE_MS);
+    if (rateRejection) {
+      await releaseSlots();
+      throw rateRejection;
+    }
+
+    if (subjectLimits.concurrentPending) {
+      // Each slot carries its own expiry, so slots leaked by a crashed instance drop out
+      // even while the user keeps the set alive with new requests
+      const key = inFlightKey(scope, id);
+      const now = Date.now();
+      await cache.zRemRangeByScore(key, '-inf', now);
+      held.push(key);
+      await cache.zAdd(key, now + quotaConfig.pendingTtlSeconds * 1000, leaseId, quotaConfig.pendingTtlSeconds);
+      if (await countInFlight(key) > subjectLimits.concurrentPending) {
+        await releaseSlots();
+        throw quotaExceeded('concurrentPending', scope, subjectLimits.concurrentPending, 1);
+      }
+    }
+  }
+
+  await addBytes(requestBytes);
+
+  let released = false;
+  return {
+    release: async (responseBytes) => {
+      if (released) return;
+      released = true;
+      await Promise.all([releaseSlots(), addBytes(responseBytes)]);
+    }
+  };
+};
+
+/**
+ * Current usage for a user against their tier
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+const getUserQuotaUsage = async (userId) => {
+  const tier = await resolveTier(userId);
+  const read = async (quota, windowMs) => (await cache.get(windowKey(quota, 'user', userId, windowMs).key)) || 0;
+
+  return {
+    tier: tier.name,
+    limits: tier.limits,
+    usage: {
+      connectionsPerMinute: await read('connectionsPerMinute', MINUTE_MS),
+      executionsPerMinute: await read('executionsPerMinute', MINUTE_MS),
+      concurrentPending: await countInFlight(inFlightKey('user', userId)),
+      bytesPerDay: await read('bytesPerDay', DAY_MS)
+    }
+  };
+};
+
+/**
+ * express-rate-limit store backed by Redis counters, so HTTP limits hold across instances
+ * @param {string} prefix - Key prefix distinguishing limiters
+ */
+class RedisRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `ratelimit:${prefix}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  windowFor(key) {
+    const window = Math.floor(Date.now() / this.windowMs);
+    return {
+      redisKey: `${this.prefix}${key}:${window}`,
+      resetTime: new Date((window + 1) * this.windowMs)
+    };
+  }
+
+  async increment(key) {
+    const { redisKey, resetTime } = this.windowFor(key);
+    const totalHits = await cache.incrBy(redisKey, 1, Math.ceil(this.windowMs / 1000));
+    return { totalHits, resetTime };
+  }
+
+  async decrement(key) {
+    await cache.incrBy(this.windowFor(key).redisKey, -1);
+  }
+
+  async resetKey(key) {
+    await cache.del(this.windowFor(key).redisKey);
+  }
+}
+
+/**
+ * Send a quota rejection as an HTTP 429 with Retry-After
+ * @param {import('express').Response} res
+ * @param {object} rejection - Result of quotaExceeded()
+ */
+const sendQuotaRejection = (res, rejection) => {
+  res.set('Retry-After', String(rejection.retryAfter));
+  res.status(429).json(rejection);
+};
+
+module.exports = {
+  QUOTA_EXCEEDED,
+  quotaConfig,
+  resolveTier,
+  assignTier,
+  checkConnectionQuota,
+  acquireExecution,
+  getUserQuotaUsage,
+  RedisRateLimitStore,
+  sendQuotaRejection
+};
@@ -0,0 +1,98 @@
+const REDACTED = '[REDACTED]';
+
+/**
+ * Parse a comma-separated rule list. Plain entries match names case-insensitively;
+ * entries wrapped in slashes (e.g. /^x-.*-token$/) are regular expressions.
+ * @param {string} value - Rule list
+ * @returns {Array<string|RegExp>}
+ */
+const parseRedactionRules = (value) => (value || '')
+  .split(',')
+  .map(rule => rule.trim())
+  .filter(Boolean)
+  .map(rule => {
+    const match = rule.match(/^\/(.+)\/([a-z]*)$/);
+    if (match) {
+      return new RegExp(match[1], match[2].includes('i') ? match[2] : match[2] + 'i');
+    }
+    return rule.toLowerCase();
+  });
+
+/**
+ * Check whether a name matches any redaction rule
+ * @param {string} name - Header, query parameter or field name
+ * @param {Array<string|RegExp>} rules - Parsed rules
+ * @returns {boolean}
+ */
+const matchesRule = (name, rules) => {
+  const lower = String(name).toLowerCase();
+  return rules.some(rule => (rule instanceof RegExp ? rule.test(lower) : rule === lower));
+};
+
+/**
+ * Replace the values of matching headers
+ * @param {object} headers - Header map
+ * @param {Array<string|RegExp>} rules - Parsed rules
+ * @returns {object} - New header map
+ */
+const redactHeaders = (headers, rules) => {
+  const redacted = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    redacted[name] = matchesRule(name, rules) ? REDACTED : value;
+  });
+  return redacted;
+};
+
+/**
+ * Replace the values of matching query parameters, leaving the rest of the URL as is
+ * @param {string} url - Absolute or relative URL
+ * @param {Array<string|RegExp>} rules - Parsed rules
+ * @returns {string}
+ */
+const redactQuery = (url, rules) => {
+  const queryIndex = url.indexOf('?');
+  if (queryIndex === -1) return url;
+
+  const hashIndex = url.indexOf('#', queryIndex);
+  const query = url.slice(queryIndex + 1, hashIndex === -1 ? undefined : hashIndex);
+  const redacted = query.split('&').map((pair) => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) return pair;
+
+    let name = pair.slice(0, separator);
+    try {
+      name = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (e) {
+      // Malformed escapes are matched as written
+    }
+    return matchesRule(name, rules) ? `${pair.slice(0, separator)}=${REDACTED}` : pair;
+  }).join('&');
+
+  return `${url.slice(0, queryIndex + 1)}${redacted}${hashIndex === -1 ? '' : url.slice(hashIndex)}`;
+};
+
+/**
+ * Replace the values of matching fields at any depth of an object or array
+ * @param {any} value - Value to redact
+ * @param {Array<string|RegExp>} rules - Parsed rules
+ * @returns {any} - Redacted copy
+ */
+const redactFields = (value, rules) => {
+  if (Array.isArray(value)) return value.map(item => redactFields(item, rules));
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return value;
+
+  const redacted = {};
+  Object.entries(value).forEach(([name, item]) => {
+    redacted[name] = matchesRule(name, rules) ? REDACTED : redactFields(item, rules);
+  });
+  return redacted;
+};
+
+module.exports = {
+  REDACTED,
+  parseRedactionRules,
+  matchesRule,
+  redactHeaders,
+  redactQuery,
+  redactFields
+};
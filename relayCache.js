@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { cache } = require('./cache');
+const { serializeBody, deserializeBody } = require('./requestBody');
+require('dotenv').config();
+
+// Relay response cache configuration
+const relayCacheConfig = {
+  enabled: process.env.RELAY_CACHE_ENABLED !== 'false',
+  defaultTtlSeconds: parseInt(process.env.RELAY_CACHE_DEFAULT_TTL_SECONDS || '0'),
+  maxTtlSeconds: parseInt(process.env.RELAY_CACHE_MAX_TTL_SECONDS || '3600'),
+  maxBodyBytes: parseInt(process.env.RELAY_CACHE_MAX_BODY_BYTES || String(1024 * 1024))
+};
+
+const CACHEABLE_METHODS = ['GET', 'HEAD'];
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 404, 410];
+
+const entryKey = (userId, hash) => `relaycache:${userId}:entry:${hash}`;
+const indexKey = (userId) => `relaycache:${userId}:index`;
+
+const getHeader = (headers, name) => {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return match ? String(headers[match]) : undefined;
+};
+
+// Parse a Cache-Control header into { directive: value|true }
+const parseCacheControl = (value) => {
+  const directives = {};
+  (value || '').split(',').forEach(part => {
+    const [name, arg] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = arg === undefined ? true : arg.replace(/^"|"$/g, '');
+    }
+  });
+  return directives;
+};
+
+/**
+ * Read the caching options a `localhost:execute` request opted into
+ * @param {object} request - Relay request with `cache: true` or `cache: { varyHeaders }`
+ * @returns {{ varyHeaders: string[] }|null} - Options, or null when the request is not cacheable
+ */
+const getCacheOptions = (request) => {
+  if (!relayCacheConfig.enabled || !request.cache) return null;
+  if (!CACHEABLE_METHODS.includes(request.method.toUpperCase())) return null;
+
+  const varyHeaders = Array.isArray(request.cache.varyHeaders)
+    ? request.cache.varyHeaders.map(name => String(name).toLowerCase()).sort()
+    : [];
+  return { varyHeaders };
+};
+
+/**
+ * Build the cache key from user, target agent, environment, method, URL and the selected request headers.
+ * The agent is part of the key because an agent is a different machine than the browser.
+ * @param {string} userId - Owning user
+ * @param {object} request - Relay request
+ * @param {{ varyHeaders: string[] }} options - Cache options
+ * @returns {string} - Key hash
+ */
+const buildCacheKey = (userId, request, options) => {
+  const varyValues = options.varyHeaders.map(name => `${name}:${getHeader(request.headers, name) || ''}`);
+  return crypto.createHash('sha256')
+    .update([
+      userId,
+      request.agent || '',
+      request.environment || '',
+      request.method.toUpperCase(),
+      request.url,
+      ...varyValues
+    ].join('\n'))
+    .digest('hex');
+};
+
+// Work out how long a response stays fresh; null means it must not be stored
+const getFreshness = (response) => {
+  if (!CACHEABLE_STATUSES.includes(response.status) || response.streamed) return null;
+
+  const cacheControl = parseCacheControl(getHeader(response.headers, 'cache-control'));
+  if (cacheControl['no-store']) return null;
+
+  const etag = getHeader(response.headers, 'etag');
+  const lastModified = getHeader(response.headers, 'last-modified');
+  const hasValidators = Boolean(etag || lastModified);
+
+  let freshSeconds = relayCacheConfig.defaultTtlSeconds;
+  if (cacheControl['s-maxage'] !== undefined) {
+    freshSeconds = parseInt(cacheControl['s-maxage']) || 0;
+  } else if (cacheControl['max-age'] !== undefined) {
+    freshSeconds = parseInt(cacheControl['max-age']) || 0;
+  } else if (getHeader(response.headers, 'expires')) {
+    const expires = new Date(getHeader(response.headers, 'expires')).getTime();
+    freshSeconds = Number.isNaN(expires) ? 0 : Math.max(Math.floor((expires - Date.now()) / 1000), 0);
+  }
+
+  if (cacheControl['no-cache']) {
+    freshSeconds = 0;
+  }
+  freshSeconds = Math.min(freshSeconds, relayCacheConfig.maxTtlSeconds);
+
+  // Responses without freshness or validators would never be usable
+  if (freshSeconds <= 0 && !hasValidators) return null;
+
+  return {
+    freshSeconds,
+    etag,
+    lastModified,
+    // Keep revalidatable entries around after they go stale
+    ttlSeconds: hasValidators ? relayCacheConfig.maxTtlSeconds : freshSeconds
+  };
+};
+
+const storeResponse = async (userId, hash, request, response, freshness) => {
+  const body = serializeBody(response.body, relayCacheConfig.maxBodyBytes);
+  if (body && body.truncated) return false;
+
+  const now = Date.now();
+  const entry = {
+    url: request.url,
+    method: request.method.toUpperCase(),
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    body,
+    etag: freshness.etag,
+    lastModified: freshness.lastModified,
+    storedAt: now,
+    freshUntil: now + freshness.freshSeconds * 1000
+  };
+
+  await cache.set(entryKey(userId, hash), entry, freshness.ttlSeconds);
+  // Trim members whose entries have expired, and let the index itself expire
+  // once no entry can outlive it (entry TTLs are capped at maxTtlSeconds)
+  await cache.zRemRangeByScore(indexKey(userId), '-inf', now);
+  await cache.zAdd(
+    indexKey(userId),
+    now + freshness.ttlSeconds * 1000,
+    `${hash} ${request.url}`,
+    Math.max(relayCacheConfig.maxTtlSeconds, freshness.ttlSeconds)
+  );
+  return true;
+};
+
+// Rebuild a callback response from a cache entry
+const toCachedResponse = (request, entry, meta) => ({
+  requestId: request.requestId,
+  status: entry.status,
+  statusText: entry.statusText,
+  headers: entry.headers,
+  body: deserializeBody(entry.body),
+  timestamp: new Date().toISOString(),
+  cache: {
+    hit: true,
+    age: Math.floor((Date.now() - entry.storedAt) / 1000),
+    freshUntil: new Date(entry.freshUntil).toISOString(),
+    ...meta
+  }
+});
+
+/**
+ * Execute a request through the relay cache: fresh hits skip the browser,
+ * stale entries with validators are revalidated with a conditional request
+ * @param {string} userId - Owning user
+ * @param {object} request - Relay request
+ * @param {{ varyHeaders: string[] }} options - From getCacheOptions
+ * @param {Function} execute - (request) => Promise<response>, performs the browser round trip
+ * @returns {Promise<object>} - Response with `cache` metadata
+ */
+const executeWithCache = async (userId, request, options, execute) => {
+  const hash = buildCacheKey(userId, request, options);
+  const entry = await cache.get(entryKey(userId, hash));
+
+  if (entry && entry.freshUntil > Date.now()) {
+    return toCachedResponse(request, entry, { revalidated: false });
+  }
+
+  // Ask the browser for a conditional request when we hold validators
+  let outgoing = request;
+  if (entry && (entry.etag || entry.lastModified)) {
+    outgoing = {
+      ...request,
+      headers: {
+        ...request.headers,
+        ...(entry.etag && { 'If-None-Match': entry.etag }),
+        ...(entry.lastModified && { 'If-Modified-Since': entry.lastModified })
+      }
+    };
+  }
+
+  const response = await execute(outgoing);
+
+  if (entry && response.status === 304) {
+    // Not modified: refresh the stored entry with the new freshness information
+    const freshness = getFreshness({ ...response, status: entry.status, headers: { ...entry.headers, ...response.headers } });
+    if (freshness) {
+      await storeResponse(userId, hash, request, {
+        ...entry,
+        headers: { ...entry.headers, ...response.headers },
+        body: deserializeBody(entry.body)
+      }, freshness);
+    }
+    const refreshed = await cache.get(entryKey(userId, hash));
+    return toCachedResponse(request, refreshed || entry, { revalidated: true });
+  }
+
+  const freshness = getFreshness(response);
+  const stored = freshness ? await storeResponse(userId, hash, request, response, freshness) : false;
+  return {
+    ...response,
+    cache: { hit: false, stored }
+  };
+};
+
+/**
+ * Invalidate a user's cached responses whose URL starts with a prefix
+ * @param {string} userId - Owning user
+ * @param {string} urlPrefix - URL prefix
+ * @returns {Promise<number>} - Number of entries removed
+ */
+const invalidateByPrefix = async (userId, urlPrefix) => {
+  // Drop index members whose entries have already expired
+  await cache.zRemRangeByScore(indexKey(userId), '-inf', Date.now());
+
+  const members = await cache.zRangeByScore(indexKey(userId), '-inf', '+inf');
+  const matching = members.filter(member => member.slice(member.indexOf(' ') + 1).startsWith(urlPrefix));
+
+  let removed = 0;
+  for (const member of matching) {
+    removed += await cache.del(entryKey(userId, member.slice(0, member.indexOf(' '))));
+  }
+  if (matching.length > 0) {
+    await cache.zRem(indexKey(userId), matching);
+  }
+  return removed;
+};
+
+module.exports = {
+  relayCacheConfig,
+  getCacheOptions,
+  buildCacheKey,
+  executeWithCache,
+  invalidateByPrefix
+};
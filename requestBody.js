@@ -0,0 +1,165 @@
+require('dotenv').config();
+
+// Request size configuration
+const bodyConfig = {
+  maxBodyBytes: parseInt(process.env.REQUEST_MAX_BODY_BYTES || String(10 * 1024 * 1024)),
+  maxMetadataBytes: parseInt(process.env.REQUEST_MAX_METADATA_BYTES || String(64 * 1024)),
+  maxMultipartParts: parseInt(process.env.REQUEST_MAX_MULTIPART_PARTS || '100')
+};
+
+/**
+ * Check whether a value is binary (Socket.IO delivers attachments as Buffers)
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isBinary = (value) => Buffer.isBuffer(value) ||
+  value instanceof ArrayBuffer ||
+  ArrayBuffer.isView(value);
+
+/**
+ * Size of a body value in bytes without converting binary data to strings
+ * @param {any} value - String, binary or JSON-serializable value
+ * @returns {number}
+ */
+const byteLength = (value) => {
+  if (value === undefined || value === null) return 0;
+  if (isBinary(value)) return value.byteLength;
+  if (typeof value === 'string') return Buffer.byteLength(value);
+  return Buffer.byteLength(JSON.stringify(value));
+};
+
+// Validate multipart parts: { name, filename?, contentType?, data }
+const measureMultipart = (parts) => {
+  if (!Array.isArray(parts)) {
+    return { error: 'multipart must be an array of parts' };
+  }
+
+  if (parts.length > bodyConfig.maxMultipartParts) {
+    return { error: `Too many multipart parts (max ${bodyConfig.maxMultipartParts})` };
+  }
+
+  let bytes = 0;
+  for (const part of parts) {
+    if (!part || typeof part !== 'object' || typeof part.name !== 'string' || !part.name) {
+      return { error: 'Each multipart part requires a field name' };
+    }
+    if (part.filename !== undefined && typeof part.filename !== 'string') {
+      return { error: `Invalid filename for multipart part "${part.name}"` };
+    }
+    if (part.contentType !== undefined && typeof part.contentType !== 'string') {
+      return { error: `Invalid content type for multipart part "${part.name}"` };
+    }
+    if (typeof part.data !== 'string' && !isBinary(part.data)) {
+      return { error: `Multipart part "${part.name}" requires string or binary data` };
+    }
+    bytes += byteLength(part.data);
+  }
+
+  return { bytes };
+};
+
+/**
+ * Measure a `localhost:execute` request, separating body bytes from metadata bytes
+ * @param {object} request - Relay request
+ * @returns {{ bodyBytes?: number, metadataBytes?: number, error?: string }}
+ */
+const measureRequest = (request) => {
+  const { body, multipart, ...metadata } = request;
+
+  if (body !== undefined && body !== null && multipart !== undefined) {
+    return { error: 'Use either body or multipart, not both' };
+  }
+
+  let bodyBytes = byteLength(body);
+  if (multipart !== undefined) {
+    const result = measureMultipart(multipart);
+    if (result.error) return result;
+    bodyBytes = result.bytes;
+  }
+
+  return {
+    bodyBytes,
+    metadataBytes: Buffer.byteLength(JSON.stringify(metadata))
+  };
+};
+
+/**
+ * Validate request sizes against the configured limits
+ * @param {object} request - Relay request
+ * @returns {string|null} - Error message, or null if the request is acceptable
+ */
+const validateRequestSize = (request) => {
+  const size = measureRequest(request);
+  if (size.error) return size.error;
+
+  if (size.metadataBytes > bodyConfig.maxMetadataBytes) {
+    return 'Request metadata too large';
+  }
+
+  if (size.bodyBytes > bodyConfig.maxBodyBytes) {
+    return 'Request body too large';
+  }
+
+  return null;
+};
+
+/**
+ * Mark binary response bodies so callers don't treat them as text
+ * @param {object} response - Response from `localhost:fetchComplete`
+ * @returns {object}
+ */
+const describeResponseBody = (response) => {
+  if (!isBinary(response.body)) return response;
+
+  return {
+    ...response,
+    bodyEncoding: 'binary',
+    size: response.size !== undefined ? response.size : response.body.byteLength
+  };
+};
+
+/**
+ * Serialize a body for JSON storage without lossy string conversion of binary data
+ * @param {any} body - String, binary or JSON-serializable body
+ * @param {number} maxBytes - Larger bodies are stored as size only
+ * @returns {{ size: number, text?: string, encoding?: string, json?: boolean, truncated?: boolean }|null}
+ */
+const serializeBody = (body, maxBytes) => {
+  if (body === undefined || body === null) return null;
+
+  const size = byteLength(body);
+  if (size > maxBytes) {
+    return { size, truncated: true };
+  }
+
+  if (isBinary(body)) {
+    return { size, encoding: 'base64', text: Buffer.from(body).toString('base64') };
+  }
+  if (typeof body === 'string') {
+    return { size, text: body };
+  }
+  return { size, json: true, text: JSON.stringify(body) };
+};
+
+/**
+ * Restore a body stored by serializeBody
+ * @param {object|null} stored - Serialized body
+ * @returns {any}
+ */
+const deserializeBody = (stored) => {
+  if (!stored || stored.text === undefined) return undefined;
+  if (stored.encoding === 'base64') return Buffer.from(stored.text, 'base64');
+  if (stored.json) return JSON.parse(stored.text);
+  return stored.text;
+};
+
+module.exports = {
+  bodyConfig,
+  isBinary,
+  byteLength,
+  measureRequest,
+  validateRequestSize,
+  describeResponseBody,
+  serializeBody,
+  deserializeBody
+};
@@ -0,0 +1,177 @@
+require('dotenv').config();
+
+// Per-request timeout and retry configuration
+const requestPolicyConfig = {
+  defaultTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_SECONDS || '30') * 1000,
+  maxTimeoutMs: parseInt(process.env.REQUEST_MAX_TIMEOUT_SECONDS || '120') * 1000,
+  maxRetries: parseInt(process.env.REQUEST_MAX_RETRIES || '5'),
+  maxBackoffMs: parseInt(process.env.REQUEST_MAX_BACKOFF_MS || '30000')
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const DEFAULT_RETRY_STATUSES = [502, 503, 504];
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Parse the optional `policy` of a relay request
+ *
+ * {
+ *   timeoutSeconds: 10,                    // per attempt, capped at REQUEST_MAX_TIMEOUT_SECONDS
+ *   retries: 3,                            // extra attempts, capped at REQUEST_MAX_RETRIES
+ *   backoff: { initialMs: 200, multiplier: 2, maxMs: 5000, jitter: true },
+ *   retryOn: { networkError: true, timeout: false, statuses: [502, 503, 504], methods: ['GET', ...] | 'any' }
+ * }
+ *
+ * @param {object} [policy]
+ * @returns {object} - Normalized policy, or { error } when invalid
+ */
+const parseRequestPolicy = (policy) => {
+  if (policy === undefined || policy === null) {
+    return {
+      timeoutMs: requestPolicyConfig.defaultTimeoutMs,
+      retries: 0,
+      explicit: false
+    };
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { error: 'policy must be an object' };
+  }
+
+  const { timeoutSeconds, retries = 0, backoff = {}, retryOn = {} } = policy;
+
+  if (timeoutSeconds !== undefined && (!isNonNegativeNumber(timeoutSeconds) || timeoutSeconds === 0)) {
+    return { error: 'policy.timeoutSeconds must be a positive number' };
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    return { error: 'policy.retries must be a non-negative integer' };
+  }
+  if (backoff === null || typeof backoff !== 'object' || Array.isArray(backoff)) {
+    return { error: 'policy.backoff must be an object' };
+  }
+  if (['initialMs', 'multiplier', 'maxMs'].some(k => backoff[k] !== undefined && !isNonNegativeNumber(backoff[k]))) {
+    return { error: 'policy.backoff values must be non-negative numbers' };
+  }
+  if (retryOn === null || typeof retryOn !== 'object' || Array.isArray(retryOn)) {
+    return { error: 'policy.retryOn must be an object' };
+  }
+  if (retryOn.statuses !== undefined && !Array.isArray(retryOn.statuses)) {
+    return { error: 'policy.retryOn.statuses must be an array of status codes' };
+  }
+  if (retryOn.methods !== undefined && retryOn.methods !== 'any' && !Array.isArray(retryOn.methods)) {
+    return { error: 'policy.retryOn.methods must be an array of methods or "any"' };
+  }
+
+  return {
+    timeoutMs: timeoutSeconds === undefined
+      ? requestPolicyConfig.defaultTimeoutMs
+      : Math.min(Math.round(timeoutSeconds * 1000), requestPolicyConfig.maxTimeoutMs),
+    retries: Math.min(retries, requestPolicyConfig.maxRetries),
+    backoff: {
+      initialMs: backoff.initialMs === undefined ? 200 : backoff.initialMs,
+      multiplier: backoff.multiplier === undefined ? 2 : backoff.multiplier,
+      maxMs: Math.min(backoff.maxMs === undefined ? 5000 : backoff.maxMs, requestPolicyConfig.maxBackoffMs),
+      jitter: backoff.jitter !== false
+    },
+    retryOn: {
+      networkError: retryOn.networkError !== false,
+      timeout: retryOn.timeout === true,
+      statuses: retryOn.statuses || DEFAULT_RETRY_STATUSES,
+      methods: retryOn.methods === 'any'
+        ? 'any'
+        : (retryOn.methods || IDEMPOTENT_METHODS).map(m => String(m).toUpperCase())
+    },
+    explicit: true
+  };
+};
+
+// Delay before the given retry (1-based): exponential, capped, with full jitter
+const backoffDelay = (backoff, retry) => {
+  const delay = Math.min(backoff.initialMs * Math.pow(backoff.multiplier, retry - 1), backoff.maxMs);
+  return backoff.jitter ? Math.round(Math.random() * delay) : Math.round(delay);
+};
+
+// Classify a failed attempt; only network errors and timeouts are retryable failures
+const classifyError = (error) => {
+  if (error && error.code === 'REQUEST_TIMEOUT') return 'timeout';
+  if (error && error.cancelled) return 'cancelled';
+  if (error && error.code) return 'rejected';
+  return 'network_error';
+};
+
+/**
+ * Run a relay request under a policy, retrying failed attempts
+ * @param {object} request - Relay request
+ * @param {object} policy - Result of parseRequestPolicy()
+ * @param {Function} attempt - (timeoutMs) => Promise<response>
+ * @param {object} [options]
+ * @param {Function} [options.isRetryable] - () => boolean, false once a retry is no longer possible (e.g. a stream started)
+ * @param {object} [options.signal] - { aborted, onAbort } set by the caller to stop waiting between attempts
+ * @returns {Promise<object>} - Final response; includes `attempts` when the request set a policy
+ * @throws {object} - Final error; includes `attempts` when the request set a policy
+ */
+const executeWithPolicy = async (request, policy, attempt, options = {}) => {
+  const { isRetryable = () => true, signal = {} } = options;
+  const methodAllowed = policy.retries > 0 &&
+    (policy.retryOn.methods === 'any' || policy.retryOn.methods.includes(request.method.toUpperCase()));
+  const attempts = [];
+
+  const withAttempts = (result) => (policy.explicit ? { ...result, attempts } : result);
+
+  for (let number = 1; ; number++) {
+    const startedAt = Date.now();
+    let response;
+    let error;
+    try {
+      response = await attempt(policy.timeoutMs);
+    } catch (e) {
+      error = e;
+    }
+    const durationMs = Date.now() - startedAt;
+
+    const outcome = error ? classifyError(error) : 'response';
+    attempts.push({
+      attempt: number,
+      outcome,
+      ...(response && { status: response.status }),
+      ...(error && { error: error.message }),
+      durationMs
+    });
+
+    const retryable = methodAllowed && number <= policy.retries && isRetryable() && !signal.aborted && (
+      (outcome === 'response' && policy.retryOn.statuses.includes(response.status)) ||
+      (outcome === 'network_error' && policy.retryOn.networkError) ||
+      (outcome === 'timeout' && policy.retryOn.timeout)
+    );
+
+    if (!retryable) {
+      if (error) throw withAttempts(error);
+      return withAttempts(response);
+    }
+
+    const delayMs = backoffDelay(policy.backoff, number);
+    attempts[attempts.length - 1].retryInMs = delayMs;
+
+    // Wait for the backoff, or stop early if the request is cancelled meanwhile
+    const aborted = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), delayMs);
+      signal.onAbort = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+    });
+    signal.onAbort = null;
+
+    if (aborted) {
+      throw withAttempts({ error: true, code: 'REQUEST_CANCELLED', cancelled: true, message: 'Request cancelled' });
+    }
+  }
+};
+
+module.exports = {
+  requestPolicyConfig,
+  parseRequestPolicy,
+  executeWithPolicy
+};
@@ -0,0 +1,223 @@
+const express = require('express');
+const crypto = require('crypto');
+const { recordAuditEvent, listAuditEvents } = require('../audit');
+const { quotaConfig, assignTier, getUserQuotaUsage } = require('../quotas');
+const { logger } = require('../logger');
+require('dotenv').config();
+
+const log = logger.child({ component: 'admin' });
+
+// Admin credentials as "name:key" pairs; the name is recorded as the actor in the audit trail
+const adminKeys = (process.env.ADMIN_API_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return separator === -1
+      ? { name: 'admin', key: Buffer.from(entry) }
+      : { name: entry.slice(0, separator), key: Buffer.from(entry.slice(separator + 1)) };
+  });
+
+const NOTICE_LEVELS = ['info', 'warning', 'critical'];
+
+// Middleware to verify the admin credential (separate from user JWTs)
+const verifyAdmin = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : (req.headers['x-admin-key'] || ''));
+
+  const match = adminKeys.find(({ key }) => key.length === provided.length && crypto.timingSafeEqual(key, provided));
+  if (!match) {
+    return res.status(401).json({ error: 'Admin credential required' });
+  }
+
+  req.adminName = match.name;
+  next();
+};
+
+/**
+ * Create the admin router
+ * @param {object} deps - Session management functions provided by server.js
+ * @param {Function} deps.listSessions - () => Promise<object[]>
+ * @param {Function} deps.listPendingRequests - (sessionId) => Promise<object[]|null>
+ * @param {Function} deps.disconnectSession - (sessionId) => Promise<number> sockets disconnected
+ * @param {Function} deps.disconnectUser - (userId) => Promise<number> sockets disconnected
+ * @param {Function} deps.cancelPendingRequest - (requestId) => Promise<boolean>
+ * @param {Function} deps.broadcastNotice - (notice) => void
+ * @returns {express.Router}
+ */
+const createAdminRouter = (deps) => {
+  const router = express.Router();
+  router.use(verifyAdmin);
+
+  const audit = (req, action, target, result) => recordAuditEvent({
+    actor: req.adminName,
+    action,
+    target,
+    result,
+    ip: req.ip
+  });
+
+  // List active sessions
+  router.get('/sessions', async (req, res) => {
+    try {
+      const sessions = await deps.listSessions();
+      res.json({
+        success: true,
+        sessions: sessions.map(s => ({
+          sessionId: s.sessionId,
+          userId: s.userId,
+          ip: s.ip,
+          instanceId: s.instanceId,
+          connectedAt: s.connectedAt,
+          lastActivity: s.lastActivity,
+          requestCount: s.requestCount
+        }))
+      });
+    } catch (error) {
+      log.error('Admin SESSIONS error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to list sessions' });
+    }
+  });
+
+  // In-flight requests of a session
+  router.get('/sessions/:sessionId/pending', async (req, res) => {
+    try {
+      const pending = await deps.listPendingRequests(req.params.sessionId);
+      if (!pending) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ success: true, sessionId: req.params.sessionId, pending });
+    } catch (error) {
+      log.error('Admin PENDING error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to list pending requests' });
+    }
+  });
+
+  // Force-disconnect a session
+  router.delete('/sessions/:sessionId', async (req, res) => {
+    try {
+      const disconnected = await deps.disconnectSession(req.params.sessionId);
+      await audit(req, 'session.disconnect', { sessionId: req.params.sessionId }, disconnected > 0
+        ? { success: true }
+        : { success: false, reason: 'Session not found' });
+      if (disconnected === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      log.error('Admin DISCONNECT error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to disconnect session' });
+    }
+  });
+
+  // Force-disconnect every session of a user
+  router.delete('/users/:userId/sessions', async (req, res) => {
+    try {
+      const disconnected = await deps.disconnectUser(req.params.userId);
+      await audit(req, 'user.disconnect', { userId: req.params.userId }, { success: true, disconnected });
+      res.json({ success: true, disconnected });
+    } catch (error) {
+      log.error('Admin DISCONNECT USER error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to disconnect user sessions' });
+    }
+  });
+
+  // Cancel a pending request
+  router.delete('/pending/:requestId', async (req, res) => {
+    try {
+      const cancelled = await deps.cancelPendingRequest(req.params.requestId);
+      await audit(req, 'request.cancel', { requestId: req.params.requestId }, { cancelled });
+      if (!cancelled) {
+        return res.status(404).json({ error: 'Pending request not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      log.error('Admin CANCEL error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to cancel request' });
+    }
+  });
+
+  // Broadcast a maintenance notice to every connected client
+  router.post('/broadcast', async (req, res) => {
+    try {
+      const { message, level = 'info', startsAt, endsAt } = req.body || {};
+      if (!message || typeof message !== 'string') {
+        return res.status(400).json({ error: 'message is required' });
+      }
+      if (!NOTICE_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of ${NOTICE_LEVELS.join(', ')}` });
+      }
+      if ([startsAt, endsAt].some(time => time !== undefined && time !== null && (typeof time !== 'string' || Number.isNaN(Date.parse(time))))) {
+        return res.status(400).json({ error: 'startsAt and endsAt must be ISO 8601 timestamps' });
+      }
+
+      const notice = {
+        message,
+        level,
+        startsAt: startsAt || null,
+        endsAt: endsAt || null,
+        sentAt: new Date().toISOString()
+      };
+      deps.broadcastNotice(notice);
+      await audit(req, 'notice.broadcast', null, notice);
+      res.json({ success: true, notice });
+    } catch (error) {
+      log.error('Admin BROADCAST error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to broadcast notice' });
+    }
+  });
+
+  // Quota tier and current usage of a user
+  router.get('/users/:userId/quota', async (req, res) => {
+    try {
+      const quota = await getUserQuotaUsage(req.params.userId);
+      res.json({ success: true, userId: req.params.userId, ...quota });
+    } catch (error) {
+      log.error('Admin QUOTA error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to read quota usage' });
+    }
+  });
+
+  // Assign a quota tier to a user (null restores the token claim / default tier)
+  router.put('/users/:userId/tier', async (req, res) => {
+    try {
+      const { tier } = req.body || {};
+      if (tier !== null && !quotaConfig.tiers[tier]) {
+        return res.status(400).json({
+          error: 'Unknown tier',
+          tiers: Object.keys(quotaConfig.tiers)
+        });
+      }
+
+      const success = await assignTier(req.params.userId, tier);
+      await audit(req, 'user.assignTier', { userId: req.params.userId }, { tier, success });
+      if (!success) {
+        return res.status(500).json({ error: 'Failed to assign tier' });
+      }
+      res.json({ success: true, userId: req.params.userId, tier });
+    } catch (error) {
+      log.error('Admin TIER error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to assign tier' });
+    }
+  });
+
+  // Read the audit trail
+  router.get('/audit', async (req, res) => {
+    try {
+      const events = await listAuditEvents({
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit ? Math.min(parseInt(req.query.limit), 1000) : undefined
+      });
+      res.json({ success: true, events });
+    } catch (error) {
+      log.error('Admin AUDIT error', { admin: req.adminName, error });
+      res.status(500).json({ error: 'Failed to read audit trail' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
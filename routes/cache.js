@@ -1,119 +1,274 @@
 const express = require('express');
+const crypto = require('crypto');
 const { cache } = require('../cache');
+const { collectCacheStats, toPrometheus } = require('../cacheReport');
+const { logger } = require('../logger');
+require('dotenv').config();
+
 const router = express.Router();
+const log = logger.child({ component: 'cache-api' });
+
+const CACHE_SCOPES = ['read', 'write', 'delete'];
+
+const KEY_PREFIX = 'cacheapi';
+
+/**
+ * Parse cache API clients from "clientId:secret:scope|scope" entries (scopes default to read)
+ * @param {string} value - Comma-separated entries
+ * @returns {Array<{ id: string, secret: string, scopes: string[] }>}
+ */
+const parseClients = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const [id, secret, scopes = 'read'] = entry.split(':');
+    if (!/^[\w-]+$/.test(id || '') || !secret) {
+      throw new Error(`Invalid CACHE_API_CLIENTS entry for "${id}": expected clientId:secret:scopes`);
+    }
+
+    const parsedScopes = scopes.split('|').map(scope => scope.trim()).filter(Boolean);
+    const unknown = parsedScopes.find(scope => !CACHE_SCOPES.includes(scope));
+    if (unknown) {
+      throw new Error(`Invalid CACHE_API_CLIENTS scope "${unknown}" for "${id}"`);
+    }
+    return { id, secret, scopes: parsedScopes };
+  });
+
+// Cache API configuration
+const cacheApiConfig = {
+  clients: parseClients(process.env.CACHE_API_CLIENTS),
+  maxSkewSeconds: parseInt(process.env.CACHE_API_MAX_SKEW_SECONDS || '300'),
+  maxBulkKeys: parseInt(process.env.CACHE_API_MAX_BULK_KEYS || '100')
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Compare digests so neither the length nor the content of a secret leaks through timing
+const secretsMatch = (provided, expected) => crypto.timingSafeEqual(sha256(provided), sha256(expected));
+
+const findClientByKey = (apiKey) => cacheApiConfig.clients.find(client => secretsMatch(apiKey, client.secret)) || null;
+
+/**
+ * Signature over "<timestamp>\n<METHOD>\n<path and query>\n<hex sha256 of the raw body>"
+ * @param {string} secret - Client secret
+ * @param {string} timestamp - Unix seconds from X-Cache-Timestamp
+ * @param {object} req - Express request
+ * @returns {string} - Hex HMAC-SHA256
+ */
+const signRequest = (secret, timestamp, req) => {
+  const bodyHash = sha256(req.rawBody || Buffer.alloc(0)).toString('hex');
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}\n${req.method.toUpperCase()}\n${req.originalUrl}\n${bodyHash}`)
+    .digest('hex');
+};
 
-// Middleware to verify internal requests only
-const verifyInternalRequest = (req, res, next) => {
-  // In production, you should implement proper authentication
-  // For now, we'll check if the request is coming from localhost
-  const clientIP = req.connection.remoteAddress || req.socket.remoteAddress;
-  const isLocal = clientIP === '::1' || clientIP === '127.0.0.1' || clientIP.startsWith('::ffff:127.0.0.1');
-  
-  if (!isLocal) {
-    return res.status(403).json({ error: 'Forbidden: Internal use only' });
+const verifySignature = (req) => {
+  const client = cacheApiConfig.clients.find(c => c.id === req.get('X-Cache-Client'));
+  const timestamp = req.get('X-Cache-Timestamp') || '';
+  const signature = req.get('X-Cache-Signature') || '';
+
+  // Checked before the timestamp so unknown clients and bad signatures look the same
+  if (!client || !secretsMatch(signature, signRequest(client.secret, timestamp, req))) {
+    return { error: 'Invalid signature' };
+  }
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > cacheApiConfig.maxSkewSeconds) {
+    return { error: 'Signature timestamp outside the allowed window' };
+  }
+  return { client };
+};
+
+// Authenticate with an HMAC-signed request (X-Cache-Client/-Timestamp/-Signature) or an API key
+// (Authorization: Bearer <key> or X-Api-Key)
+const authenticateCacheClient = (req, res, next) => {
+  if (req.get('X-Cache-Signature')) {
+    const { client, error } = verifySignature(req);
+    if (!client) {
+      return res.status(401).json({ error: `Unauthorized: ${error}` });
+    }
+    req.cacheClient = client;
+    return next();
+  }
+
+  const header = req.get('Authorization') || '';
+  const apiKey = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Api-Key');
+  const client = apiKey ? findClientByKey(apiKey) : null;
+  if (!client) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
-  
+
+  req.cacheClient = client;
   next();
 };
 
-// Get cache value
-router.get('/:key', verifyInternalRequest, async (req, res) => {
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.cacheClient.scopes.includes(scope)) {
+    return res.status(403).json({ error: `Forbidden: requires the ${scope} scope`, scope });
+  }
+  next();
+};
+
+// Keys (and patterns) are stored under the client's namespace and returned without it
+const namespaced = (req, key) => `${KEY_PREFIX}:${req.cacheClient.id}:${key}`;
+
+const isValidKey = (key) => typeof key === 'string' && key.length > 0;
+
+router.use(authenticateCacheClient);
+
+// Get cache stats
+// Registered before /:key, which would otherwise match "stats"
+// Query: format=json (default) or format=prometheus
+router.get('/stats', requireScope('read'), async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'prometheus'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or prometheus' });
+  }
+
   try {
-    const { key } = req.params;
-    const value = await cache.get(key);
-    
-    if (value === null) {
-      return res.status(404).json({ error: 'Key not found' });
+    const stats = await collectCacheStats();
+    if (format === 'prometheus') {
+      return res.type('text/plain; version=0.0.4').send(toPrometheus(stats));
     }
-    
-    res.json({ key, value });
+    res.json({ namespace: `${KEY_PREFIX}:${req.cacheClient.id}`, ...stats });
   } catch (error) {
-    console.error('Cache GET error:', error);
-    res.status(500).json({ error: 'Failed to get cache value' });
+    log.error('Cache STATS error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to get cache stats' });
   }
 });
 
-// Set cache value
-router.post('/', verifyInternalRequest, async (req, res) => {
+// Get several values: { keys: [...] } -> { values: { key: value|null } }
+router.post('/mget', requireScope('read'), async (req, res) => {
   try {
-    const { key, value, ttl } = req.body;
-    
-    if (!key || value === undefined) {
-      return res.status(400).json({ error: 'Key and value are required' });
+    const { keys } = req.body || {};
+    if (!Array.isArray(keys) || keys.length === 0 || !keys.every(isValidKey)) {
+      return res.status(400).json({ error: 'keys must be a non-empty array of strings' });
     }
-    
-    const success = await cache.set(key, value, ttl);
-    
-    if (success) {
-      res.status(201).json({ message: 'Value cached successfully', key });
-    } else {
-      res.status(500).json({ error: 'Failed to cache value' });
+    if (keys.length > cacheApiConfig.maxBulkKeys) {
+      return res.status(400).json({ error: `Too many keys (max ${cacheApiConfig.maxBulkKeys})` });
     }
+
+    const values = await cache.mget(keys.map(key => namespaced(req, key)));
+    res.json({ values: Object.fromEntries(keys.map((key, index) => [key, values[index]])) });
   } catch (error) {
-    console.error('Cache SET error:', error);
-    res.status(500).json({ error: 'Failed to set cache value' });
+    log.error('Cache MGET error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to get cache values' });
   }
 });
 
-// Delete cache key
-router.delete('/:key', verifyInternalRequest, async (req, res) => {
+// Set several values: { entries: [{ key, value, ttl }], ttl }
+router.post('/mset', requireScope('write'), async (req, res) => {
   try {
-    const { key } = req.params;
-    const deletedCount = await cache.del(key);
-    
-    if (deletedCount > 0) {
-      res.json({ message: 'Key deleted successfully', key });
+    const { entries, ttl } = req.body || {};
+    if (!Array.isArray(entries) || entries.length === 0 ||
+      !entries.every(entry => entry && isValidKey(entry.key) && entry.value !== undefined)) {
+      return res.status(400).json({ error: 'entries must be a non-empty array of { key, value, ttl }' });
+    }
+    if (entries.length > cacheApiConfig.maxBulkKeys) {
+      return res.status(400).json({ error: `Too many keys (max ${cacheApiConfig.maxBulkKeys})` });
+    }
+
+    const success = await cache.mset(
+      entries.map(entry => ({ ...entry, key: namespaced(req, entry.key) })),
+      ttl
+    );
+
+    if (success) {
+      res.status(201).json({ message: 'Values cached successfully', keys: entries.map(entry => entry.key) });
     } else {
-      res.status(404).json({ error: 'Key not found' });
+      res.status(500).json({ error: 'Failed to cache values' });
     }
   } catch (error) {
-    console.error('Cache DELETE error:', error);
-    res.status(500).json({ error: 'Failed to delete cache key' });
+    log.error('Cache MSET error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to set cache values' });
+  }
+});
+
+// Delete keys by pattern
+router.delete('/pattern/:pattern', requireScope('delete'), async (req, res) => {
+  try {
+    const { pattern } = req.params;
+    const deletedCount = await cache.delPattern(namespaced(req, pattern));
+
+    log.info('Deleted cache keys by pattern', { clientId: req.cacheClient.id, pattern, deletedCount });
+    res.json({ message: `Deleted ${deletedCount} keys matching pattern`, pattern, deletedCount });
+  } catch (error) {
+    log.error('Cache DELETE pattern error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to delete cache keys by pattern' });
   }
 });
 
-// Check if key exists
-router.head('/:key', verifyInternalRequest, async (req, res) => {
+// Check if key exists (before GET, which Express would otherwise use for HEAD)
+router.head('/:key', requireScope('read'), async (req, res) => {
   try {
     const { key } = req.params;
-    const exists = await cache.exists(key);
-    
+    const exists = await cache.exists(namespaced(req, key));
+
     if (exists) {
       res.status(200).end();
     } else {
       res.status(404).end();
     }
   } catch (error) {
-    console.error('Cache EXISTS error:', error);
+    log.error('Cache EXISTS error', { clientId: req.cacheClient.id, error });
     res.status(500).end();
   }
 });
 
-// Delete keys by pattern
-router.delete('/pattern/:pattern', verifyInternalRequest, async (req, res) => {
+// Get cache value
+router.get('/:key', requireScope('read'), async (req, res) => {
   try {
-    const { pattern } = req.params;
-    const deletedCount = await cache.delPattern(pattern);
-    
-    res.json({ message: `Deleted ${deletedCount} keys matching pattern`, pattern, deletedCount });
+    const { key } = req.params;
+    const value = await cache.get(namespaced(req, key));
+
+    if (value === null) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    res.json({ key, value });
   } catch (error) {
-    console.error('Cache DELETE pattern error:', error);
-    res.status(500).json({ error: 'Failed to delete cache keys by pattern' });
+    log.error('Cache GET error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to get cache value' });
   }
 });
 
-// Get cache stats
-router.get('/stats', verifyInternalRequest, async (req, res) => {
+// Set cache value
+router.post('/', requireScope('write'), async (req, res) => {
   try {
-    // Redis info command equivalent
-    res.json({ 
-      message: 'Cache stats endpoint - implement based on your Redis setup',
-      timestamp: new Date().toISOString()
-    });
+    const { key, value, ttl } = req.body || {};
+
+    if (!isValidKey(key) || value === undefined) {
+      return res.status(400).json({ error: 'Key and value are required' });
+    }
+
+    const success = await cache.set(namespaced(req, key), value, ttl);
+
+    if (success) {
+      res.status(201).json({ message: 'Value cached successfully', key });
+    } else {
+      res.status(500).json({ error: 'Failed to cache value' });
+    }
   } catch (error) {
-    console.error('Cache STATS error:', error);
-    res.status(500).json({ error: 'Failed to get cache stats' });
+    log.error('Cache SET error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to set cache value' });
+  }
+});
+
+// Delete cache key
+router.delete('/:key', requireScope('delete'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const deletedCount = await cache.del(namespaced(req, key));
+
+    if (deletedCount > 0) {
+      res.json({ message: 'Key deleted successfully', key });
+    } else {
+      res.status(404).json({ error: 'Key not found' });
+    }
+  } catch (error) {
+    log.error('Cache DELETE error', { clientId: req.cacheClient.id, error });
+    res.status(500).json({ error: 'Failed to delete cache key' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
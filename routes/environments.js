@@ -0,0 +1,99 @@
+const express = require('express');
+const { authenticateRequest } = require('../auth');
+const { logger } = require('../logger');
+const {
+  describeEnvironment,
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment
+} = require('../environments');
+
+const router = express.Router();
+const log = logger.child({ component: 'environments' });
+
+router.use(authenticateRequest);
+
+// List environments (names and variable counts only)
+router.get('/', async (req, res) => {
+  try {
+    const environments = await listEnvironments(req.userId);
+    res.json({ success: true, total: environments.length, environments });
+  } catch (error) {
+    log.error('Environments LIST error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to list environments' });
+  }
+});
+
+// Get an environment; secret values are not returned
+router.get('/:name', async (req, res) => {
+  try {
+    const environment = await getEnvironment(req.userId, req.params.name);
+    if (!environment) {
+      return res.status(404).json({ error: 'Environment not found' });
+    }
+    res.json({ success: true, environment: describeEnvironment(environment) });
+  } catch (error) {
+    log.error('Environments GET error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to get environment' });
+  }
+});
+
+// Create or replace an environment
+// Body: { variables: { name: value | { value, secret } } }
+router.put('/:name', async (req, res) => {
+  try {
+    const { environment, created, error } = await saveEnvironment(req.userId, req.params.name, (req.body || {}).variables);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    log.info(created ? 'Environment created' : 'Environment replaced', { userId: req.userId, environment: environment.name });
+    res.status(created ? 201 : 200).json({ success: true, environment: describeEnvironment(environment) });
+  } catch (error) {
+    log.error('Environments PUT error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to save environment' });
+  }
+});
+
+// Change some variables; null removes one
+// Body: { variables: { name: value | { value, secret } | null } }
+router.patch('/:name', async (req, res) => {
+  try {
+    const { environment, notFound, error } = await saveEnvironment(
+      req.userId,
+      req.params.name,
+      (req.body || {}).variables,
+      { merge: true }
+    );
+    if (notFound) {
+      return res.status(404).json({ error: 'Environment not found' });
+    }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    log.info('Environment updated', { userId: req.userId, environment: environment.name });
+    res.json({ success: true, environment: describeEnvironment(environment) });
+  } catch (error) {
+    log.error('Environments PATCH error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to update environment' });
+  }
+});
+
+// Delete an environment
+router.delete('/:name', async (req, res) => {
+  try {
+    if (!(await deleteEnvironment(req.userId, req.params.name))) {
+      return res.status(404).json({ error: 'Environment not found' });
+    }
+
+    log.info('Environment deleted', { userId: req.userId, environment: req.params.name });
+    res.json({ success: true, message: 'Environment deleted' });
+  } catch (error) {
+    log.error('Environments DELETE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to delete environment' });
+  }
+});
+
+module.exports = router;
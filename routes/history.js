@@ -0,0 +1,146 @@
+const express = require('express');
+const crypto = require('crypto');
+const { authenticateRequest } = require('../auth');
+const { REDACTED } = require('../redact');
+const { QUOTA_EXCEEDED, sendQuotaRejection } = require('../quotas');
+const { TARGET_NOT_ALLOWED } = require('../targetPolicy');
+const { ENVIRONMENT_NOT_FOUND } = require('../environments');
+const { logger } = require('../logger');
+const {
+  listHistory,
+  getHistoryEntry,
+  summarizeEntry,
+  deserializeBody,
+  toHar
+} = require('../history');
+
+const log = logger.child({ component: 'history' });
+
+// Parse list/export filters from the query string
+const parseFilters = (query) => ({
+  from: query.from,
+  to: query.to,
+  method: query.method,
+  status: query.status,
+  url: query.url,
+  errorsOnly: query.errorsOnly === 'true',
+  ids: query.ids ? String(query.ids).split(',').map(id => id.trim()) : undefined,
+  limit: query.limit ? Math.min(parseInt(query.limit), 500) : undefined,
+  offset: query.offset ? parseInt(query.offset) : undefined
+});
+
+/**
+ * Create the request history router
+ * @param {object} deps
+ * @param {Function} deps.relayForUser - (userId, request, source) => Promise<response|null>
+ * @returns {express.Router}
+ */
+const createHistoryRouter = ({ relayForUser }) => {
+  const router = express.Router();
+  router.use(authenticateRequest);
+
+  // List and filter history entries
+  router.get('/', async (req, res) => {
+    try {
+      const { total, entries } = await listHistory(req.userId, parseFilters(req.query));
+      res.json({ success: true, total, entries: entries.map(summarizeEntry) });
+    } catch (error) {
+      log.error('History LIST error', { userId: req.userId, error });
+      res.status(500).json({ error: 'Failed to list history' });
+    }
+  });
+
+  // Export a range of entries as HAR 1.2 (registered before /:id so it is reachable)
+  router.get('/export.har', async (req, res) => {
+    try {
+      const { entries } = await listHistory(req.userId, parseFilters(req.query));
+      res.setHeader('Content-Disposition', 'attachment; filename="relay-history.har"');
+      res.json(toHar(entries));
+    } catch (error) {
+      log.error('History EXPORT error', { userId: req.userId, error });
+      res.status(500).json({ error: 'Failed to export history' });
+    }
+  });
+
+  // Get a single entry
+  router.get('/:id', async (req, res) => {
+    try {
+      const entry = await getHistoryEntry(req.userId, req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'History entry not found' });
+      }
+      res.json({ success: true, entry });
+    } catch (error) {
+      log.error('History GET error', { userId: req.userId, error });
+      res.status(500).json({ error: 'Failed to get history entry' });
+    }
+  });
+
+  // Replay an entry through the user's currently connected session
+  router.post('/:id/replay', async (req, res) => {
+    try {
+      const entry = await getHistoryEntry(req.userId, req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'History entry not found' });
+      }
+
+      if (entry.request.body && entry.request.body.truncated) {
+        return res.status(422).json({ error: 'Request body was not stored in full and cannot be replayed' });
+      }
+
+      // Redacted headers were never stored, so they are left out of the replay
+      const headers = {};
+      const droppedHeaders = [];
+      Object.entries(entry.request.headers || {}).forEach(([name, value]) => {
+        if (value === REDACTED) {
+          droppedHeaders.push(name);
+        } else {
+          headers[name] = value;
+        }
+      });
+
+      const request = {
+        requestId: `replay-${crypto.randomUUID()}`,
+        method: entry.request.method,
+        url: entry.request.url,
+        headers,
+        body: deserializeBody(entry.request.body),
+        // Requests first run on an agent are replayed on the same agent
+        ...(entry.request.agent && { agent: entry.request.agent }),
+        // Masked secrets are resolved from the environment again
+        ...(entry.request.environment && { environment: entry.request.environment })
+      };
+
+      const response = await relayForUser(req.userId, request, 'replay');
+      if (!response) {
+        return res.status(409).json({ error: 'No connected session for this user' });
+      }
+
+      // JSON cannot carry raw bytes, so binary bodies are returned base64-encoded
+      const body = Buffer.isBuffer(response.body)
+        ? { body: response.body.toString('base64'), bodyEncoding: 'base64' }
+        : {};
+
+      res.json({ success: true, replayOf: entry.id, droppedHeaders, response: { ...response, ...body } });
+    } catch (error) {
+      if (error && error.code === QUOTA_EXCEEDED) {
+        return sendQuotaRejection(res, error);
+      }
+      if (error && error.code === ENVIRONMENT_NOT_FOUND) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      if (error && error.code === TARGET_NOT_ALLOWED) {
+        return res.status(403).json({ error: error.message, code: error.code, rule: error.rule });
+      }
+      if (error && error.error) {
+        return res.status(502).json({ error: error.message });
+      }
+      log.error('History REPLAY error', { userId: req.userId, error });
+      res.status(500).json({ error: 'Failed to replay request' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createHistoryRouter;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { authenticateRequest } = require('../auth');
+const { logger } = require('../logger');
+const {
+  listMocks,
+  getMock,
+  createMock,
+  updateMock,
+  deleteMock,
+  clearMocks,
+  getRecording,
+  setRecording
+} = require('../mocks');
+
+const router = express.Router();
+const log = logger.child({ component: 'mocks' });
+
+router.use(authenticateRequest);
+
+// List mocks in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    const mocks = await listMocks(req.userId);
+    res.json({ success: true, total: mocks.length, mocks });
+  } catch (error) {
+    log.error('Mocks LIST error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to list mocks' });
+  }
+});
+
+// Create a mock
+router.post('/', async (req, res) => {
+  try {
+    const { mock, error } = await createMock(req.userId, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    log.info('Mock created', { userId: req.userId, mockId: mock.id, url: mock.match.url });
+    res.status(201).json({ success: true, mock });
+  } catch (error) {
+    log.error('Mocks CREATE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to create mock' });
+  }
+});
+
+// Delete all mocks
+router.delete('/', async (req, res) => {
+  try {
+    const deletedCount = await clearMocks(req.userId);
+    log.info('Mocks cleared', { userId: req.userId, deletedCount });
+    res.json({ success: true, deletedCount });
+  } catch (error) {
+    log.error('Mocks CLEAR error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to delete mocks' });
+  }
+});
+
+// Passthrough recording settings (registered before /:id so they are reachable)
+router.get('/recording', async (req, res) => {
+  try {
+    res.json({ success: true, recording: await getRecording(req.userId) });
+  } catch (error) {
+    log.error('Mocks RECORDING error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to get recording settings' });
+  }
+});
+
+// Body: { enabled, urlPrefix, durationSeconds }
+router.put('/recording', async (req, res) => {
+  try {
+    const { recording, error } = await setRecording(req.userId, req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    log.info('Mock recording updated', { userId: req.userId, ...recording });
+    res.json({ success: true, recording });
+  } catch (error) {
+    log.error('Mocks RECORDING error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to update recording settings' });
+  }
+});
+
+// Get a single mock
+router.get('/:id', async (req, res) => {
+  try {
+    const mock = await getMock(req.userId, req.params.id);
+    if (!mock) {
+      return res.status(404).json({ error: 'Mock not found' });
+    }
+    res.json({ success: true, mock });
+  } catch (error) {
+    log.error('Mocks GET error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to get mock' });
+  }
+});
+
+// Replace a mock's definition
+router.put('/:id', async (req, res) => {
+  try {
+    const result = await updateMock(req.userId, req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Mock not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    log.info('Mock updated', { userId: req.userId, mockId: req.params.id });
+    res.json({ success: true, mock: result.mock });
+  } catch (error) {
+    log.error('Mocks UPDATE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to update mock' });
+  }
+});
+
+// Delete a mock
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await deleteMock(req.userId, req.params.id))) {
+      return res.status(404).json({ error: 'Mock not found' });
+    }
+
+    log.info('Mock deleted', { userId: req.userId, mockId: req.params.id });
+    res.json({ success: true, message: 'Mock deleted' });
+  } catch (error) {
+    log.error('Mocks DELETE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to delete mock' });
+  }
+});
+
+module.exports = router;
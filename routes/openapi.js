@@ -0,0 +1,133 @@
+const express = require('express');
+const { authenticateRequest } = require('../auth');
+const { logger } = require('../logger');
+const {
+  openApiConfig,
+  listSpecs,
+  getSpec,
+  saveSpec,
+  deleteSpec,
+  getCoverage,
+  resetCoverage
+} = require('../openapi');
+
+const router = express.Router();
+const log = logger.child({ component: 'openapi' });
+
+router.use(authenticateRequest);
+
+// YAML (or JSON) documents may also be uploaded as the raw body, with baseUrl and name in the query
+router.use(express.text({
+  type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'],
+  limit: openApiConfig.maxDocumentBytes
+}));
+
+const readUpload = (req) => (typeof req.body === 'string'
+  ? { document: req.body, baseUrl: req.query.baseUrl, name: req.query.name }
+  : req.body || {});
+
+// List specs
+router.get('/', async (req, res) => {
+  try {
+    const specs = await listSpecs(req.userId);
+    res.json({ success: true, total: specs.length, specs });
+  } catch (error) {
+    log.error('OpenAPI LIST error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to list specs' });
+  }
+});
+
+// Upload a spec
+// Body: { document, baseUrl, name } with document as an object, JSON or YAML text
+router.post('/', async (req, res) => {
+  try {
+    const { spec, error, conflict } = await saveSpec(req.userId, readUpload(req));
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({ error });
+    }
+
+    log.info('OpenAPI spec uploaded', { userId: req.userId, specId: spec.id, baseUrl: spec.baseUrl, operations: spec.operationCount });
+    res.status(201).json({ success: true, spec });
+  } catch (error) {
+    log.error('OpenAPI UPLOAD error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to store spec' });
+  }
+});
+
+// Get a spec with its document
+router.get('/:id', async (req, res) => {
+  try {
+    const stored = await getSpec(req.userId, req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Spec not found' });
+    }
+    res.json({ success: true, spec: stored.spec, document: stored.document });
+  } catch (error) {
+    log.error('OpenAPI GET error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to get spec' });
+  }
+});
+
+// Replace a spec's document or base URL (coverage starts over)
+router.put('/:id', async (req, res) => {
+  try {
+    const { spec, error, conflict, notFound } = await saveSpec(req.userId, readUpload(req), req.params.id);
+    if (notFound) {
+      return res.status(404).json({ error: 'Spec not found' });
+    }
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({ error });
+    }
+
+    log.info('OpenAPI spec replaced', { userId: req.userId, specId: spec.id, baseUrl: spec.baseUrl });
+    res.json({ success: true, spec });
+  } catch (error) {
+    log.error('OpenAPI UPDATE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to update spec' });
+  }
+});
+
+// Delete a spec
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await deleteSpec(req.userId, req.params.id))) {
+      return res.status(404).json({ error: 'Spec not found' });
+    }
+
+    log.info('OpenAPI spec deleted', { userId: req.userId, specId: req.params.id });
+    res.json({ success: true, message: 'Spec deleted' });
+  } catch (error) {
+    log.error('OpenAPI DELETE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to delete spec' });
+  }
+});
+
+// Coverage report: operations and documented responses exercised since the spec was stored
+router.get('/:id/coverage', async (req, res) => {
+  try {
+    const coverage = await getCoverage(req.userId, req.params.id);
+    if (!coverage) {
+      return res.status(404).json({ error: 'Spec not found' });
+    }
+    res.json({ success: true, coverage });
+  } catch (error) {
+    log.error('OpenAPI COVERAGE error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to get coverage' });
+  }
+});
+
+// Reset coverage
+router.delete('/:id/coverage', async (req, res) => {
+  try {
+    if (!(await getSpec(req.userId, req.params.id))) {
+      return res.status(404).json({ error: 'Spec not found' });
+    }
+    const deletedCount = await resetCoverage(req.userId, req.params.id);
+    res.json({ success: true, deletedCount });
+  } catch (error) {
+    log.error('OpenAPI COVERAGE reset error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to reset coverage' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { authenticateRequest } = require('../auth');
+const { REDACTED } = require('../redact');
+const { logger } = require('../logger');
+const { getHistoryEntry, deserializeBody } = require('../history');
+const { snippetConfig, EXPORT_FORMATS, importCommand, exportRequest } = require('../snippets');
+
+const router = express.Router();
+const log = logger.child({ component: 'snippets' });
+
+router.use(authenticateRequest);
+
+// Commands may also be posted as the raw text body
+router.use(express.text({ type: 'text/plain', limit: snippetConfig.maxCommandBytes }));
+
+// Rebuild an exportable request from a history entry; redacted headers were never stored
+const requestFromHistory = (entry) => {
+  const headers = {};
+  const droppedHeaders = [];
+  Object.entries(entry.request.headers || {}).forEach(([name, value]) => {
+    if (value === REDACTED) {
+      droppedHeaders.push(name);
+    } else {
+      headers[name] = value;
+    }
+  });
+
+  const body = deserializeBody(entry.request.body);
+  return {
+    request: {
+      method: entry.request.method,
+      url: entry.request.url,
+      headers,
+      ...(Buffer.isBuffer(body) ? { body: body.toString('base64'), bodyEncoding: 'base64' } : { body }),
+      ...(entry.request.environment && { environment: entry.request.environment })
+    },
+    droppedHeaders
+  };
+};
+
+// Parse a curl or HTTPie command into a localhost:execute request
+// Body: { command } or the command as text/plain
+router.post('/import', (req, res) => {
+  try {
+    const command = typeof req.body === 'string' ? req.body : (req.body || {}).command;
+    const { error, ...result } = importCommand(command);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    log.debug('Snippet imported', { userId: req.userId, format: result.format, unsupported: result.unsupported.length });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log.error('Snippets IMPORT error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to import command' });
+  }
+});
+
+// Render a request as curl, HTTPie, fetch and Python snippets
+// Body: { request } or { historyId }, with optional formats: ['curl', 'httpie', 'fetch', 'python']
+router.post('/export', async (req, res) => {
+  try {
+    const { request, historyId, formats = EXPORT_FORMATS } = req.body || {};
+
+    let source = request;
+    let droppedHeaders;
+    if (historyId !== undefined) {
+      const entry = await getHistoryEntry(req.userId, String(historyId));
+      if (!entry) {
+        return res.status(404).json({ error: 'History entry not found' });
+      }
+      if (entry.request.body && entry.request.body.truncated) {
+        return res.status(422).json({ error: 'Request body was not stored in full and cannot be exported' });
+      }
+      ({ request: source, droppedHeaders } = requestFromHistory(entry));
+    }
+
+    const { snippets, warnings, error } = exportRequest(source, formats);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ success: true, snippets, warnings, ...(droppedHeaders && { droppedHeaders }) });
+  } catch (error) {
+    log.error('Snippets EXPORT error', { userId: req.userId, error });
+    res.status(500).json({ error: 'Failed to export request' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const crypto = require('crypto');
+const { authenticateRequest } = require('../auth');
+const { parseBatch, runBatch } = require('../batch');
+const { evaluateAssertions } = require('../assertions');
+const { toJsonReport, toJUnitXml } = require('../testReport');
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'tests' });
+
+const NO_SESSION = 'NO_SESSION';
+
+/**
+ * Create the test suite router
+ * @param {object} deps
+ * @param {Function} deps.relayForUser - (userId, request, source) => Promise<response|null>
+ * @returns {express.Router}
+ */
+const createTestRouter = ({ relayForUser }) => {
+  const router = express.Router();
+  router.use(authenticateRequest);
+
+  /**
+   * Run a suite through the user's connected session
+   * Body: { name, mode, variables, steps } in the localhost:executeBatch format; step requests may carry assertions
+   * Query: format=json (default) or format=junit
+   */
+  router.post('/run', async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'junit'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or junit' });
+    }
+
+    const suite = req.body || {};
+    const name = suite.name || 'relay-suite';
+    const batch = { ...suite, batchId: suite.batchId || `suite-${crypto.randomUUID()}` };
+    const parsed = parseBatch(batch);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+      const startedAt = new Date();
+      const execute = async (request) => {
+        const requestStartedAt = Date.now();
+        try {
+          const response = await relayForUser(req.userId, request, 'suite');
+          if (!response) {
+            return { error: true, code: NO_SESSION, message: 'No connected session for this user' };
+          }
+          return request.assertions
+            ? { ...response, assertions: evaluateAssertions(request.assertions, response, Date.now() - requestStartedAt) }
+            : response;
+        } catch (error) {
+          return {
+            error: true,
+            ...(error.code && { code: error.code }),
+            message: error.message || 'Request failed'
+          };
+        }
+      };
+
+      const result = await runBatch(batch, parsed.groups, {
+        execute,
+        onProgress: () => {}
+      });
+
+      // Nothing ran if the user had no session to run it through
+      const first = result.steps[0];
+      if (first && first.response && first.response.code === NO_SESSION) {
+        return res.status(409).json({ error: 'No connected session for this user' });
+      }
+
+      const report = toJsonReport(name, result, startedAt);
+      if (format === 'junit') {
+        return res.type('application/xml').send(toJUnitXml(report));
+      }
+      res.json(report);
+    } catch (error) {
+      log.error('Tests RUN error', { userId: req.userId, error });
+      res.status(500).json({ error: 'Failed to run test suite' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createTestRouter;
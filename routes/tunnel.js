@@ -0,0 +1,137 @@
+const express = require('express');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { tunnelConfig } = require('../tunnels');
+const { bodyConfig, isBinary } = require('../requestBody');
+const { rateLimitHandler } = require('../metrics');
+const { QUOTA_EXCEEDED, RedisRateLimitStore, sendQuotaRejection } = require('../quotas');
+const { TARGET_NOT_ALLOWED } = require('../targetPolicy');
+
+// Headers that describe a single HTTP hop and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'content-length'
+];
+
+// The browser's fetch() has already decoded the body, so encoding headers no longer apply
+const DROPPED_RESPONSE_HEADERS = [...HOP_BY_HOP_HEADERS, 'content-encoding'];
+
+const RELAY_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+const filterHeaders = (headers, dropped) => {
+  const filtered = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (!dropped.includes(name.toLowerCase())) {
+      filtered[name] = value;
+    }
+  });
+  return filtered;
+};
+
+// Stream sink that writes a streamed browser response straight to the HTTP response
+const httpSink = (res) => ({
+  start: (meta) => {
+    res.status(meta.status || 200);
+    res.set(filterHeaders(meta.headers, DROPPED_RESPONSE_HEADERS));
+    res.flushHeaders();
+  },
+  chunk: (chunk) => new Promise((resolve) => {
+    res.write(isBinary(chunk.data) ? Buffer.from(chunk.data) : chunk.data, () => resolve());
+  }),
+  end: () => {
+    res.end();
+  },
+  error: () => {
+    res.destroy();
+  }
+});
+
+const sendResponse = (res, response) => {
+  res.status(response.status || 502);
+  res.set(filterHeaders(response.headers, DROPPED_RESPONSE_HEADERS));
+
+  const { body } = response;
+  if (body === undefined || body === null) return res.end();
+  if (isBinary(body)) return res.end(Buffer.from(body));
+  if (typeof body === 'string') return res.send(body);
+  return res.json(body);
+};
+
+/**
+ * Create the public HTTP ingress router
+ * @param {object} deps
+ * @param {Function} deps.relayTunnelRequest - (tunnelId, request, sink) => Promise<response|null>
+ * @returns {express.Router}
+ */
+const createTunnelRouter = ({ relayTunnelRequest }) => {
+  const router = express.Router();
+
+  // Each tunnel gets its own rate limit, independent of the client IP
+  const tunnelLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: tunnelConfig.rateLimitPerMinute,
+    keyGenerator: (req) => req.params.tunnelId,
+    message: { error: 'Too many requests for this tunnel, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: rateLimitHandler('tunnel'),
+    store: new RedisRateLimitStore('tunnel')
+  });
+
+  const rawBody = express.raw({ type: () => true, limit: bodyConfig.maxBodyBytes });
+
+  const handleTunnelRequest = async (req, res) => {
+    const method = req.method.toUpperCase();
+    if (!RELAY_METHODS.includes(method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const queryIndex = req.originalUrl.indexOf('?');
+    const request = {
+      requestId: `tunnel-${crypto.randomUUID()}`,
+      method,
+      path: req.params[0] || '',
+      search: queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex),
+      headers: filterHeaders(req.headers, HOP_BY_HOP_HEADERS),
+      body: Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : undefined,
+      clientIP: req.ip
+    };
+
+    try {
+      const response = await relayTunnelRequest(req.params.tunnelId, request, httpSink(res));
+      if (!response) {
+        return res.status(404).json({ error: 'Tunnel not found' });
+      }
+
+      // Streamed responses have already been written by the sink
+      if (!response.streamed) {
+        sendResponse(res, response);
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        return res.end();
+      }
+      if (error.code === QUOTA_EXCEEDED) {
+        return sendQuotaRejection(res, error);
+      }
+      if (error.code === TARGET_NOT_ALLOWED) {
+        return res.status(403).json({ error: error.message, code: error.code, rule: error.rule });
+      }
+      res.status(502).json({ error: error.message || 'Tunnel request failed' });
+    }
+  };
+
+  router.all(['/:tunnelId', '/:tunnelId/*'], tunnelLimiter, rawBody, handleTunnelRequest);
+
+  return router;
+};
+
+module.exports = createTunnelRouter;
@@ -18,19 +18,122 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 require('dotenv').config();
 
+// Structured JSON logging
+const { logger } = require('./logger');
+const log = logger.child({ component: 'server' });
+const wsLog = logger.child({ component: 'websocket' });
+
 // Redis cache
-const { cache, connectRedis } = require('./cache');
+const { cache, connectRedis, getCacheStatus } = require('./cache');
+
+// JWT authentication
+const { verifyToken, getHandshakeToken, isAuthConfigured, AUTH_ERRORS } = require('./auth');
+
+// Clustered mode (Redis adapter + shared session state)
+const { clusterConfig, setupCluster, isClustered, sessionStore, pendingStore } = require('./cluster');
+
+// Streamed responses (fetchStart / fetchChunk / fetchEnd)
+const { streamConfig, startStream, pushChunk, endStream, abortStream, socketSink, bufferSink } = require('./stream');
+
+// Binary and multipart request bodies
+const { bodyConfig, validateRequestSize, describeResponseBody, measureRequest, byteLength, isBinary } = require('./requestBody');
+
+// Public HTTP ingress tunnels
+const {
+  createTunnel,
+  getTunnel,
+  getSessionTunnels,
+  removeTunnel,
+  removeSessionTunnels,
+  buildTargetUrl,
+  recordTunnelRequest,
+  describeTunnel,
+  tunnelConfig
+} = require('./tunnels');
+const createTunnelRouter = require('./routes/tunnel');
+
+// Per-user request history
+const { recordExecution } = require('./history');
+const createHistoryRouter = require('./routes/history');
+
+// Relay-side response caching for GET/HEAD
+const { getCacheOptions, executeWithCache, invalidateByPrefix } = require('./relayCache');
+
+// Named environments and {{variable}} substitution
+const { resolveEnvironment } = require('./environments');
+const environmentRoutes = require('./routes/environments');
+
+// OpenAPI contract validation and coverage
+const { checkContract } = require('./openapi');
+const openApiRoutes = require('./routes/openapi');
+
+// Per-user mock responses
+const { findMock, renderMockResponse, recordMock } = require('./mocks');
+const mockRoutes = require('./routes/mocks');
+
+// curl/HTTPie import and snippet export
+const snippetRoutes = require('./routes/snippets');
+
+// Prometheus metrics
+const { metrics, bindMetricSources, rateLimitHandler, setupMetrics } = require('./metrics');
+
+// Admin API
+const createAdminRouter = require('./routes/admin');
+
+// Distributed quotas and rate limits
+const {
+  QUOTA_EXCEEDED,
+  quotaConfig,
+  resolveTier,
+  checkConnectionQuota,
+  acquireExecution,
+  RedisRateLimitStore
+} = require('./quotas');
+
+// Relay target policy
+const { checkTarget } = require('./targetPolicy');
+
+// Per-request timeout and retry policy
+const { requestPolicyConfig, parseRequestPolicy, executeWithPolicy } = require('./requestPolicy');
+
+// Batch and chained execution
+const { parseBatch, runBatch } = require('./batch');
+
+// Response assertions and test suites
+const { validateAssertions, evaluateAssertions } = require('./assertions');
+const createTestRouter = require('./routes/tests');
+
+// WebSocket tunnel channels
+const {
+  wsConfig,
+  CLOSE_CODES,
+  createWsIngress,
+  toWebSocketUrl,
+  parseProtocols,
+  rejectUpgrade,
+  sendableCloseCode,
+  sendableCloseReason
+} = require('./wsTunnel');
 
 const app = express();
 const httpServer = createServer(app);
 
+// Tunnel ingress is public (webhook senders have no Origin) and reads raw bodies,
+// so it is mounted before the CORS, JSON and global rate-limit middleware
+app.use('/tunnel', createTunnelRouter({ relayTunnelRequest }));
+
 // Security middleware
-app.use(express.json({ limit: '10mb' })); // Limit request size
+app.use(express.json({
+  limit: '10mb', // Limit request size
+  // Kept for endpoints that verify HMAC signatures over the exact bytes received
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Enhanced CORS configuration with security
@@ -69,7 +172,10 @@ app.use((req, res, next) => {
 const cacheRoutes = require('./routes/cache');
 app.use('/api/cache', cacheRoutes);
 
-// Rate limiting middleware
+// Prometheus metrics (token-protected here, or on a separate bind address)
+setupMetrics(app);
+
+// Rate limiting middleware (covers every API below, including the admin API)
 const rateLimit = require('express-rate-limit');
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -77,9 +183,39 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rateLimitHandler('global'),
+  store: new RedisRateLimitStore('global'),
 });
 app.use(limiter);
 
+// Request history routes
+app.use('/api/history', createHistoryRouter({ relayForUser }));
+
+// Test suite runner
+app.use('/api/tests', createTestRouter({ relayForUser }));
+
+// Environments
+app.use('/api/environments', environmentRoutes);
+
+// Mock definitions
+app.use('/api/mocks', mockRoutes);
+
+// OpenAPI specs and coverage
+app.use('/api/openapi', openApiRoutes);
+
+// Request snippets
+app.use('/api/snippets', snippetRoutes);
+
+// Admin routes (separate admin credential)
+app.use('/api/admin', createAdminRouter({
+  listSessions: listAllSessions,
+  listPendingRequests: listSessionPendingRequests,
+  disconnectSession: (sessionId) => terminateSockets(sessionId, 'Session terminated by administrator'),
+  disconnectUser: (userId) => terminateSockets(`user:${userId}`, 'Sessions terminated by administrator'),
+  cancelPendingRequest,
+  broadcastNotice: (notice) => io.emit('server:notice', notice)
+}));
+
 // Socket.IO with enhanced security
 const io = new Server(httpServer, {
   cors: {
@@ -100,7 +236,9 @@ const io = new Server(httpServer, {
   path: '/socket.io',
   transports: ['websocket'], // Only allow WebSocket transport for better security
   serveClient: false, // Don't serve client files
+  maxHttpBufferSize: bodyConfig.maxBodyBytes + bodyConfig.maxMetadataBytes, // Allow binary bodies up to the configured limit
   allowEIO3: false, // Disable Engine.IO v3 support
+  destroyUpgrade: false, // Tunnel WebSocket upgrades are handled below and may wait on the browser
   cookie: {
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
@@ -114,24 +252,38 @@ const activeSessions = new Map();
 // Store pending requests (waiting for browser to execute)
 const pendingRequests = new Map();
 
-// Rate limiting for WebSocket connections
-const connectionAttempts = new Map();
-const MAX_CONNECTIONS_PER_IP = 10;
-const CONNECTION_WINDOW_MS = 60 * 1000; // 1 minute
+// Recently cancelled requests (requestId -> { sessionId, cancelledAt }) so late browser events are ignored
+const cancelledRequests = new Map();
+const CANCELLED_REQUEST_RETENTION_MS = 5 * 60 * 1000;
+
+// Requests running under a retry policy (requestId -> { sessionId, signal }), including between attempts
+const activeRetries = new Map();
+
+// Open WebSocket tunnel channels (channelId -> { sessionId, userId, tunnelId, url, peer, ... })
+const wsChannels = new Map();
+const wsIngress = createWsIngress();
 
 // Health check endpoint with security
 app.get('/', (req, res) => {
   // Don't expose detailed server information in production
+  const cacheStatus = getCacheStatus();
   const response = {
     service: 'API Tester Relay Server',
     status: 'running',
-    version: '1.0.0'
+    version: '1.0.0',
+    // Degraded while the in-memory backend stands in for Redis
+    cache: {
+      backend: cacheStatus.active,
+      degraded: cacheStatus.active !== cacheStatus.configured
+    }
   };
   
   // Only expose detailed stats in development
   if (process.env.NODE_ENV !== 'production') {
+    response.cache = { ...response.cache, ...cacheStatus };
     response.activeSessions = activeSessions.size;
     response.pendingRequests = pendingRequests.size;
+    response.wsChannels = wsChannels.size;
     response.uptime = process.uptime();
   }
   
@@ -139,7 +291,7 @@ app.get('/', (req, res) => {
 });
 
 // Stats endpoint with authentication
-app.get('/stats', (req, res) => {
+app.get('/stats', async (req, res) => {
   // In production, this should be protected
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({ 
@@ -148,403 +300,1503 @@ app.get('/stats', (req, res) => {
     });
   }
   
+  const sessions = await listAllSessions();
+  
   res.json({
     success: true,
     stats: {
-      activeSessions: activeSessions.size,
+      instanceId: clusterConfig.instanceId,
+      clustered: isClustered(),
+      cache: getCacheStatus(),
+      activeSessions: sessions.length,
       pendingRequests: pendingRequests.size,
-      sessions: Array.from(activeSessions.values()).map(s => ({
+      wsChannels: wsChannels.size,
+      sessions: sessions.map(s => ({
         sessionId: s.sessionId,
         userId: s.userId,
+        instanceId: s.instanceId || clusterConfig.instanceId,
         connectedAt: s.connectedAt,
         lastActivity: s.lastActivity,
-        requestCount: s.requestCount
+        requestCount: s.requestCount,
+        agent: s.agent || null
       }))
     }
   });
 });
 
 // Enhanced WebSocket connection handling with security
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   // Get client IP
   const clientIP = socket.handshake.address || socket.request.connection.remoteAddress;
   
-  // Rate limiting for connection attempts
-  const now = Date.now();
-  const attempts = connectionAttempts.get(clientIP) || [];
-  
-  // Filter out old attempts
-  const recentAttempts = attempts.filter(time => now - time < CONNECTION_WINDOW_MS);
+  // Per-IP connection quota (checked before the token so floods are cheap to reject)
+  const ipRejection = await checkConnectionQuota('ip', clientIP, quotaConfig.ipLimits);
+  if (ipRejection) {
+    return next(handshakeError(QUOTA_EXCEEDED, ipRejection.message, ipRejection));
+  }
   
-  // Check if limit exceeded
-  if (recentAttempts.length >= MAX_CONNECTIONS_PER_IP) {
-    return next(new Error('Too many connection attempts'));
+  // Verify authentication token
+  try {
+    const { userId, claims, expiresAt } = verifyToken(getHandshakeToken(socket.handshake));
+    socket.data.userId = userId;
+    socket.data.tokenClaims = claims;
+    socket.data.tokenExpiresAt = expiresAt;
+  } catch (error) {
+    return next(handshakeError(error.code || AUTH_ERRORS.TOKEN_INVALID, error.message));
   }
   
-  // Record this attempt
-  recentAttempts.push(now);
-  connectionAttempts.set(clientIP, recentAttempts);
+  // Headless agents name themselves so the user's browser sessions can target them
+  const agentName = socket.handshake.auth && socket.handshake.auth.agent;
+  if (agentName !== undefined) {
+    if (!isValidAgentName(agentName)) {
+      return next(handshakeError('AGENT_NAME_INVALID', 'Agent names are 1-64 letters, digits, dots, dashes or underscores'));
+    }
+    socket.data.agent = agentName;
+  }
   
-  // Validate authentication token
-  const userId = socket.handshake.auth?.userId;
-  if (!userId) {
-    return next(new Error('Authentication required'));
+  // Per-user connection quota for the user's tier
+  const tier = await resolveTier(socket.data.userId, socket.data.tokenClaims);
+  const userRejection = await checkConnectionQuota('user', socket.data.userId, tier.limits);
+  if (userRejection) {
+    return next(handshakeError(QUOTA_EXCEEDED, userRejection.message, userRejection));
   }
   
   // Validate origin
   const origin = socket.handshake.headers.origin;
   if (origin && allowedOrigins.indexOf(origin) === -1) {
-    return next(new Error('Origin not allowed'));
+    return next(handshakeError('ORIGIN_NOT_ALLOWED', 'Origin not allowed'));
   }
   
   next();
 });
 
-// Store CORS configuration for localhost requests
-const localhostCorsConfig = new Map();
+// Agent names as given in the handshake and in a request's `agent` field
+function isValidAgentName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9][\w.-]{0,63}$/.test(name);
+}
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log(`[WebSocket] Client connected:`);
+// Build a handshake error the client can inspect via err.data.code in `connect_error`
+function handshakeError(code, message, details) {
+  metrics.handshakeRejections.inc({ reason: code });
+  const error = new Error(message);
+  error.data = { ...details, code };
+  return error;
+}
+
+// Settle a pending request owned by this instance with the browser's outcome
+function settlePendingRequest(requestId, outcome, payload) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) return false;
   
-  // Initialize session with security enhancements
-  const sessionId = socket.id;
-  const userId = socket.handshake.auth?.userId || 'anonymous';
+  clearTimeout(pending.timeout);
+  pendingRequests.delete(requestId);
+  pendingStore.remove(requestId);
   
-  // Validate user ID format
-  if (userId !== 'anonymous' && typeof userId !== 'string') {
-    socket.disconnect(true);
-    return;
+  if (outcome === 'complete') {
+    // Retry attempts are relayed under their own ID; callers see the request's
+    pending.resolve(describeResponseBody({ ...payload, requestId: pending.requestData.requestId }));
+  } else {
+    abortStream(pending, payload.error);
+    pending.reject({
+      error: true,
+      message: payload.error,
+      ...(payload.code && { code: payload.code }),
+      ...(typeof payload.cause === 'string' && { cause: payload.cause }),
+      ...(outcome === 'cancelled' && { code: 'REQUEST_CANCELLED', cancelled: true })
+    });
+  }
+  return true;
+}
+
+// Session that owns an in-flight request on this instance, if any
+// Requests relayed through an agent belong to the session that sent them, not to the agent
+function requestOwner(requestId) {
+  const retry = activeRetries.get(requestId);
+  if (retry) return retry.requesterId;
+  const pending = pendingRequests.get(requestId);
+  return pending ? pending.sessionId : null;
+}
+
+// Cancel a pending request owned by this instance and tell its browser to abort the fetch
+function cancelRelayRequest(requestId, reason) {
+  // Stop further retry attempts, including one waiting out its backoff
+  const retry = activeRetries.get(requestId);
+  if (retry) {
+    retry.signal.aborted = true;
+    if (retry.signal.onAbort) retry.signal.onAbort();
   }
   
-  activeSessions.set(sessionId, {
-    sessionId,
-    userId,
-    connectedAt: new Date(),
-    lastActivity: new Date(),
-    requestCount: 0,
-    ip: socket.handshake.address || socket.request.connection.remoteAddress
-  });
+  const attemptId = retry ? retry.attemptId : requestId;
+  const pending = pendingRequests.get(attemptId);
+  if (!pending) return Boolean(retry);
+  
+  cancelledRequests.set(attemptId, { sessionId: pending.sessionId, cancelledAt: Date.now() });
+  settlePendingRequest(attemptId, 'cancelled', { error: reason });
+  
+  const socket = io.sockets.sockets.get(pending.sessionId);
+  if (socket) {
+    socket.emit('localhost:abortFetch', { requestId: attemptId, reason });
+  }
+  return true;
+}
 
-  // Handle localhost request from frontend with validation
-  socket.on('localhost:execute', async (request, callback) => {
-    console.log(`[WebSocket] Received localhost request: ${request.method} ${request.url}`);
-    
-    // Validate callback is a function
-    if (typeof callback !== 'function') {
-      return;
-    }
-    
-    const session = activeSessions.get(sessionId);
-    if (!session) {
-      callback({ error: true, message: 'Session not found' });
-      return;
-    }
+// Validate a relay request sent by a socket's user; returns a rejection or null
+function validateRelayRequest(request, socket) {
+  const reject = (message) => ({ error: true, message });
+  
+  // Validate request structure
+  if (!request || typeof request !== 'object') {
+    return reject('Invalid request format');
+  }
 
-    // Update session activity
-    session.lastActivity = new Date();
-    session.requestCount++;
+  // Validate required fields
+  if (!request.requestId || !request.method || !request.url) {
+    return reject('Missing required fields: requestId, method, url');
+  }
 
-    // Validate request structure
-    if (!request || typeof request !== 'object') {
-      callback({ 
-        error: true, 
-        message: 'Invalid request format' 
-      });
-      return;
-    }
+  // Validate the target against the relay policy (includes the deciding rule)
+  const targetRejection = checkTarget(request.url, policySubject(socket));
+  if (targetRejection) {
+    return targetRejection;
+  }
 
-    // Validate required fields
-    if (!request.requestId || !request.method || !request.url) {
-      callback({ 
-        error: true, 
-        message: 'Missing required fields: requestId, method, url' 
-      });
-      return;
-    }
+  // Validate the optional agent name
+  if (request.agent !== undefined && !isValidAgentName(request.agent)) {
+    return reject('Invalid agent name');
+  }
 
-    // Validate localhost URL
-    if (!isLocalhostUrl(request.url)) {
-      callback({ 
-        error: true, 
-        message: 'Only localhost URLs are allowed for relay execution' 
-      });
-      return;
-    }
+  // Validate method
+  const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+  if (typeof request.method !== 'string' || !validMethods.includes(request.method.toUpperCase())) {
+    return reject('Invalid HTTP method');
+  }
 
-    // Validate method
-    const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
-    if (!validMethods.includes(request.method.toUpperCase())) {
-      callback({ 
-        error: true, 
-        message: 'Invalid HTTP method' 
-      });
-      return;
-    }
+  // Validate the optional timeout/retry policy
+  const policy = parseRequestPolicy(request.policy);
+  if (policy.error) {
+    return reject(policy.error);
+  }
 
-    // Limit request size
-    const requestSize = JSON.stringify(request).length;
-    if (requestSize > 64 * 1024) { // 64KB limit
-      callback({ 
-        error: true, 
-        message: 'Request too large' 
-      });
-      return;
+  // Validate assertions up front so a bad schema or regex fails before the request runs
+  const assertionError = validateAssertions(request.assertions);
+  if (assertionError) {
+    return reject(assertionError);
+  }
+
+  // Limit body and metadata size separately (binary bodies are not stringified)
+  const sizeError = validateRequestSize(request);
+  return sizeError ? reject(sizeError) : null;
+}
+
+// The user and token claims that select per-user and per-team policy overrides
+function policySubject(socket) {
+  return { userId: socket.data.userId, claims: socket.data.tokenClaims };
+}
+
+// Record execute counts, latency and payload sizes
+function observeExecution(request, outcome, startedAt, response) {
+  const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+  const method = request && typeof request.method === 'string' && validMethods.includes(request.method.toUpperCase())
+    ? request.method.toUpperCase()
+    : 'OTHER';
+  
+  metrics.executeRequests.inc({ method, outcome });
+  if (outcome === 'rejected') return;
+  
+  metrics.executeDuration.observe({ method, outcome }, (Date.now() - startedAt) / 1000);
+  
+  const size = measureRequest(request);
+  if (!size.error) {
+    metrics.payloadBytes.observe({ direction: 'request' }, size.bodyBytes + size.metadataBytes);
+  }
+  if (response) {
+    metrics.payloadBytes.observe({ direction: 'response' }, response.size !== undefined ? response.size : byteLength(response.body));
+  }
+}
+
+// Relay a request through a session's browser (or agent) and save it to the user's history
+// requesterId is the session that may cancel the request; it differs from socket.id for agent requests
+async function executeAndRecord(socket, request, sink, source, requesterId = socket.id) {
+  const startedAt = Date.now();
+  const execution = {
+    userId: socket.data.userId,
+    sessionId: socket.id,
+    source,
+    request,
+    startedAt
+  };
+  
+  // Retrying is only possible until a streamed response has started reaching the sink
+  let streamStarted = false;
+  const trackedSink = {
+    ...sink,
+    start: (meta) => {
+      streamStarted = true;
+      return sink.start(meta);
     }
+  };
+  
+  const signal = { aborted: false, onAbort: null };
+  const retry = { sessionId: socket.id, requesterId, signal, attemptId: request.requestId };
+  activeRetries.set(request.requestId, retry);
+  
+  // Retries go out as "<requestId>#<attempt>" so a late answer to a timed-out attempt cannot settle the next one
+  let attempt = 0;
+  const relayAttempt = (timeoutMs) => {
+    attempt++;
+    retry.attemptId = attempt === 1 ? request.requestId : `${request.requestId}#${attempt}`;
+    return relayToBrowser(socket, request, trackedSink, timeoutMs, retry.attemptId);
+  };
+  
+  try {
+    const response = await executeWithPolicy(
+      request,
+      parseRequestPolicy(request.policy),
+      relayAttempt,
+      { isRetryable: () => socket.connected && !streamStarted, signal }
+    );
+    saveToHistory({ ...execution, response, durationMs: Date.now() - startedAt });
+    return response;
+  } catch (error) {
+    saveToHistory({ ...execution, error: error.message, durationMs: Date.now() - startedAt });
+    throw error;
+  } finally {
+    activeRetries.delete(request.requestId);
+  }
+}
 
-    try {
-      // Create promise to wait for browser response with timeout
-      const responsePromise = new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          pendingRequests.delete(request.requestId);
-          reject({ error: true, message: 'Request timeout - browser did not respond' });
-        }, parseInt(process.env.REQUEST_TIMEOUT_SECONDS || '30') * 1000);
-
-        pendingRequests.set(request.requestId, {
-          requestData: request,
-          resolve,
-          reject,
-          timeout,
-          sessionId
-        });
-      });
+// Answer a request from the user's mocks and save it to history; resolves with null when no mock matches
+async function answerFromMock(userId, sessionId, request, source) {
+  let matched;
+  try {
+    matched = await findMock(userId, request);
+  } catch (error) {
+    // Mocks are a convenience; a failed lookup lets the request go through
+    wsLog.error('Mock lookup failed', { userId, requestId: request.requestId, error });
+    return null;
+  }
+  if (!matched) return null;
+  
+  const startedAt = Date.now();
+  const response = await renderMockResponse(matched, request);
+  saveToHistory({ userId, sessionId, source, request, response, startedAt, durationMs: Date.now() - startedAt });
+  return response;
+}
 
-      // Zero-configuration enhancement: Add CORS headers for localhost requests
-      // This allows users to test localhost APIs without manually configuring CORS
-      const enhancedRequest = {
-        ...request,
-        headers: {
-          ...request.headers,
-          // Add CORS bypass headers
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, PATCH, HEAD, OPTIONS',
-          'Access-Control-Allow-Headers': '*',
-          'Access-Control-Allow-Credentials': 'true'
-        }
-      };
+// Save an execution to the user's history without holding up (or failing) the response
+function saveToHistory(execution) {
+  recordExecution(execution)
+    .catch(error => wsLog.warn('Failed to save history entry', { userId: execution.userId, requestId: execution.request.requestId, error }));
+}
 
-      // Send command to browser to execute local fetch
-      socket.emit('localhost:performFetch', enhancedRequest);
+// Save a real response as a mock while the user's passthrough recording is on
+function recordMockResponse(userId, request, response) {
+  recordMock(userId, request, response)
+    .then((mock) => {
+      if (mock) wsLog.info('Recorded mock response', { userId, requestId: request.requestId, mockId: mock.id });
+    })
+    .catch(error => wsLog.warn('Failed to record mock response', { userId, requestId: request.requestId, error }));
+}
 
-      // Wait for browser response
-      const response = await responsePromise;
-      callback(response);
+// Evaluate assertions and check the exchange against the user's OpenAPI spec for its base URL
+async function annotateResponse(userId, request, response, startedAt) {
+  const durationMs = Date.now() - startedAt;
+  let contract = null;
+  try {
+    contract = await checkContract(userId, request, response);
+  } catch (error) {
+    wsLog.error('Contract validation failed', { userId, requestId: request.requestId, error });
+  }
+  
+  return {
+    ...response,
+    ...(request.assertions && { assertions: evaluateAssertions(request.assertions, response, durationMs) }),
+    ...(contract && { contract })
+  };
+}
 
-    } catch (error) {
-      console.error('[WebSocket] Request execution error:', error);
-      callback({ 
-        error: true, 
-        message: error.message || 'Failed to execute localhost request' 
-      });
-    }
-  });
+// Report placeholders an environment left unresolved alongside a response or rejection
+function withUnresolved(result, unresolved) {
+  return unresolved.length > 0 ? { ...result, unresolved } : result;
+}
 
-  // Handle response from browser (after local fetch) with validation
-  socket.on('localhost:fetchComplete', (response) => {
-    // Validate response structure
-    if (!response || typeof response !== 'object') {
-      return;
-    }
+// Run a localhost:execute request for a socket: environment, validation, mocks, caching, relay and metrics
+// Resolves with the response, or with the error payload sent back to the client
+async function executeForSession(socket, request, source = 'execute') {
+  const session = activeSessions.get(socket.id);
+  if (!session) {
+    return { error: true, message: 'Session not found' };
+  }
+
+  // Update session activity
+  session.lastActivity = new Date();
+  session.requestCount++;
+  sessionStore.save(session);
+
+  const startedAt = Date.now();
+
+  // Resolve {{placeholders}} from the named environment before the target is validated
+  const resolved = await resolveEnvironment(socket.data.userId, request);
+  if (resolved.error) {
+    observeExecution(request, 'rejected', startedAt);
+    return withUnresolved(resolved.error, resolved.unresolved);
+  }
+  return withUnresolved(await executeResolved(socket, resolved.request, source, startedAt), resolved.unresolved);
+}
+
+async function executeResolved(socket, request, source, startedAt) {
+  // Validate request structure, target, method and size
+  const rejection = validateRelayRequest(request, socket);
+  if (rejection) {
+    observeExecution(request, 'rejected', startedAt);
+    return rejection;
+  }
+
+  // A matching mock answers before the cache, agents and the browser
+  const mocked = await answerFromMock(socket.data.userId, socket.id, request, source);
+  if (mocked) {
+    observeExecution(request, 'mocked', startedAt, mocked);
+    return annotateResponse(socket.data.userId, request, mocked, startedAt);
+  }
+
+  // Requests naming an agent run on that agent instead of this session's browser
+  const agentSocket = request.agent !== undefined ? findUserSocket(socket.data.userId, request.agent) : socket;
+  if (!agentSocket && !isClustered()) {
+    observeExecution(request, 'rejected', startedAt);
+    return agentNotConnected(request.agent);
+  }
+  if (agentSocket && agentSocket !== socket) {
+    const agentSession = activeSessions.get(agentSocket.id);
+    agentSession.lastActivity = new Date();
+    agentSession.requestCount++;
+    sessionStore.save(agentSession);
+  }
+
+  try {
+    // Send command to browser and wait for its response; an agent on another instance answers through relayForUser
+    const execute = agentSocket
+      ? (outgoing) => executeAndRecord(agentSocket, outgoing, socketSink(socket), source, socket.id)
+      : async (outgoing) => {
+        const response = await relayResolvedForUser(socket.data.userId, outgoing, source);
+        if (!response) throw agentNotConnected(request.agent);
+        return response;
+      };
     
-    console.log(`[WebSocket] Received browser response for request: ${response.requestId}`);
+    // Opt-in GET/HEAD caching may answer without a browser round trip
+    const cacheOptions = getCacheOptions(request);
+    const response = cacheOptions
+      ? await executeWithCache(socket.data.userId, request, cacheOptions, execute)
+      : await execute(request);
     
-    const pending = pendingRequests.get(response.requestId);
-    if (pending) {
-      // Verify this response is from the correct session
-      if (pending.sessionId !== sessionId) {
-        return;
-      }
-      
-      clearTimeout(pending.timeout);
-      pending.resolve(response);
-      pendingRequests.delete(response.requestId);
-    }
-  });
+    observeExecution(request, response.cache && response.cache.hit ? 'cache_hit' : 'success', startedAt, response);
+    recordMockResponse(socket.data.userId, request, response);
+    
+    return annotateResponse(socket.data.userId, request, response, startedAt);
 
-  // Handle fetch error from browser with validation
-  socket.on('localhost:fetchError', (data) => {
-    // Validate data structure
-    if (!data || typeof data !== 'object' || !data.requestId) {
-      return;
+  } catch (error) {
+    const outcome = error.code === 'REQUEST_TIMEOUT' ? 'timeout'
+      : error.code === QUOTA_EXCEEDED ? 'rejected'
+      : error.cancelled ? 'cancelled'
+      : 'error';
+    observeExecution(request, outcome, startedAt);
+    wsLog.error('Request execution failed', {
+      sessionId: socket.id,
+      userId: socket.data.userId,
+      requestId: request.requestId,
+      error
+    });
+    // Quota rejections carry quota, scope, limit and retryAfter
+    if (error.code === QUOTA_EXCEEDED) {
+      return error;
     }
-    
-    console.error(`[WebSocket] Browser fetch error: ${data.error}`);
-    
-    const pending = pendingRequests.get(data.requestId);
-    if (pending) {
-      // Verify this error is from the correct session
-      if (pending.sessionId !== sessionId) {
-        return;
-      }
-      
-      clearTimeout(pending.timeout);
-      pending.reject({ error: true, message: data.error });
-      pendingRequests.delete(data.requestId);
+    return { 
+      error: true, 
+      ...(error.code && { code: error.code }),
+      ...(error.cancelled && { cancelled: true }),
+      ...(error.attempts && { attempts: error.attempts }),
+      message: error.message || 'Failed to execute localhost request' 
+    };
+  }
+}
+
+function agentNotConnected(agent) {
+  return { error: true, code: 'AGENT_NOT_CONNECTED', message: `Agent "${agent}" is not connected` };
+}
+
+// Find the most recently active local browser socket for a user, or the user's agent of that name
+function findUserSocket(userId, agent) {
+  let latest = null;
+  activeSessions.forEach((session) => {
+    if (session.userId !== userId || (session.agent || undefined) !== agent) return;
+    if (!latest || session.lastActivity > latest.lastActivity) {
+      latest = session;
     }
   });
+  return latest ? io.sockets.sockets.get(latest.sessionId) || null : null;
+}
 
-  // Handle disconnection
-  socket.on('disconnect', (reason) => {
-    console.log(`[WebSocket] Client disconnected:  (${reason})`);
+// Relay a server-initiated request (e.g. a replay) through one of the user's connected sessions,
+// or through the agent named by request.agent, after resolving its environment
+// Resolves with null when the user has no matching session on any instance
+async function relayForUser(userId, template, source) {
+  const resolved = await resolveEnvironment(userId, template);
+  if (resolved.error) {
+    throw withUnresolved(resolved.error, resolved.unresolved);
+  }
+  const response = await relayResolvedForUser(userId, resolved.request, source);
+  return response ? withUnresolved(response, resolved.unresolved) : response;
+}
+
+// Same as relayForUser for a request whose placeholders are already resolved
+async function relayResolvedForUser(userId, request, source) {
+  const socket = findUserSocket(userId, request.agent);
+  if (socket) {
+    // Validated before mocks, as in executeResolved, so mocked replays and suite steps get the same checks
+    const rejection = validateRelayRequest(request, socket);
+    if (rejection) {
+      throw rejection;
+    }
     
-    // Clean up session
-    activeSessions.delete(sessionId);
+    const session = activeSessions.get(socket.id);
+    session.lastActivity = new Date();
+    session.requestCount++;
+    sessionStore.save(session);
     
-    // Reject all pending requests for this session
-    pendingRequests.forEach((pending, requestId) => {
-      if (pending.sessionId === sessionId) {
-        clearTimeout(pending.timeout);
-        pending.reject({ error: true, message: 'WebSocket connection closed' });
-        pendingRequests.delete(requestId);
-      }
+    const mocked = await answerFromMock(userId, socket.id, request, source);
+    if (mocked) return mocked;
+    return executeAndRecord(socket, request, bufferSink(), source);
+  }
+  
+  if (!isClustered()) return null;
+  
+  // The user may be connected to another instance, which validates and consults mocks there
+  return new Promise((resolve, reject) => {
+    const timeoutMs = (parseInt(process.env.REQUEST_TIMEOUT_SECONDS || '30') + 5) * 1000;
+    io.timeout(timeoutMs).serverSideEmit('relay:userRequest', { userId, request, source }, (err, responses) => {
+      const reply = (responses || []).find(r => r);
+      if (!reply) return resolve(null);
+      if (reply.error) return reject(reply.error);
+      resolve(reply.response);
     });
   });
+}
 
-  // Handle errors
-  socket.on('error', (error) => {
-    console.error(`[WebSocket] Socket error for ${socket.id}:`, error);
-  });
-
-  // Send ready confirmation
-  socket.emit('localhost:ready', { sessionId, message: 'WebSocket relay ready' });
+// Handle server-initiated user requests relayed from other instances
+io.on('relay:userRequest', async ({ userId, request, source }, ack) => {
+  if (!findUserSocket(userId, request.agent)) {
+    ack(null);
+    return;
+  }
+  
+  try {
+    const response = await relayResolvedForUser(userId, request, source);
+    ack(response ? { response: { ...response, streamed: false } } : null);
+  } catch (error) {
+    ack({ error });
+  }
 });
 
-// Cleanup old sessions every 5 minutes
-const cleanupInterval = setInterval(() => {
-  const now = new Date();
-  const sessionTimeoutMinutes = parseInt(process.env.SESSION_TIMEOUT_MINUTES || '10');
+// Send a request to a session's browser via localhost:performFetch and wait for the response
+// attemptId is the ID the browser sees; it differs from request.requestId for retry attempts
+async function relayToBrowser(socket, request, sink, timeoutMs = requestPolicyConfig.defaultTimeoutMs, attemptId = request.requestId) {
+  const sessionId = socket.id;
+  const userId = socket.data.userId;
   
-  activeSessions.forEach((session, sessionId) => {
-    const inactiveMinutes = (now.getTime() - session.lastActivity.getTime()) / 1000 / 60;
-    if (inactiveMinutes > sessionTimeoutMinutes) {
-      console.log(`[WebSocket] Cleaning up inactive session: ${sessionId}`);
-      activeSessions.delete(sessionId);
-      
-      // Clean up pending requests for this session
-      pendingRequests.forEach((pending, requestId) => {
-        if (pending.sessionId === sessionId) {
-          clearTimeout(pending.timeout);
-          pendingRequests.delete(requestId);
-        }
-      });
-    }
+  // Reserve the user's and IP's execution quota; throws a structured rejection when exhausted
+  const tier = await resolveTier(userId, socket.data.tokenClaims);
+  const quotaLease = await acquireExecution({
+    userId,
+    ip: activeSessions.has(sessionId) ? activeSessions.get(sessionId).ip : socket.handshake.address,
+    limits: tier.limits,
+    requestBytes: measureRequest(request).bodyBytes || 0
   });
   
-  // Clean up old connection attempts
-  const cleanupTime = Date.now() - CONNECTION_WINDOW_MS;
-  connectionAttempts.forEach((attempts, ip) => {
-    const recentAttempts = attempts.filter(time => time > cleanupTime);
-    if (recentAttempts.length > 0) {
-      connectionAttempts.set(ip, recentAttempts);
-    } else {
-      connectionAttempts.delete(ip);
+  // Create promise to wait for browser response with timeout
+  const responsePromise = new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      pendingRequests.delete(attemptId);
+      pendingStore.remove(attemptId);
+      metrics.requestTimeouts.inc();
+      // Stop the browser's fetch and drop its late result, like a cancelled request
+      cancelledRequests.set(attemptId, { sessionId, cancelledAt: Date.now() });
+      socket.emit('localhost:abortFetch', { requestId: attemptId, reason: 'Request timed out' });
+      reject({ error: true, code: 'REQUEST_TIMEOUT', message: 'Request timeout - browser did not respond' });
+    }, timeoutMs);
+
+    pendingRequests.set(attemptId, {
+      requestData: request,
+      resolve,
+      reject,
+      timeout,
+      sessionId,
+      userId,
+      sink,
+      startedAt: new Date()
+    });
+    pendingStore.save(attemptId, { sessionId, userId }, Math.ceil(timeoutMs / 1000) + 30);
+  });
+
+  // Zero-configuration enhancement: Add CORS headers for localhost requests
+  // This allows users to test localhost APIs without manually configuring CORS
+  const enhancedRequest = {
+    ...request,
+    requestId: attemptId,
+    headers: {
+      ...request.headers,
+      // Add CORS bypass headers
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, PATCH, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': '*',
+      'Access-Control-Allow-Credentials': 'true'
     }
+  };
+
+  wsLog.debug('Relaying request to browser', {
+    sessionId,
+    userId,
+    requestId: attemptId,
+    method: request.method,
+    url: request.url,
+    headers: request.headers,
+    timeoutMs
   });
-}, parseInt(process.env.CLEANUP_INTERVAL_MINUTES || '5') * 60 * 1000);
 
-// Helper to validate localhost URLs with enhanced security
-function isLocalhostUrl(url) {
+  // Send command to browser to execute local fetch
+  socket.emit('localhost:performFetch', enhancedRequest);
+
   try {
-    const urlObj = new URL(url);
+    const response = await responsePromise;
+    quotaLease.release(response.size !== undefined ? response.size : byteLength(response.body));
+    return response;
+  } catch (error) {
+    quotaLease.release(0);
+    throw error;
+  }
+}
+
+// Relay an HTTP tunnel request through the browser session that owns the tunnel
+// Resolves with null when no instance knows the tunnel
+async function relayTunnelRequest(tunnelId, tunnelRequest, sink) {
+  const tunnel = getTunnel(tunnelId);
+  
+  if (!tunnel) {
+    if (!isClustered()) return null;
     
-    // Only allow http protocol (no https for localhost in this context)
-    if (urlObj.protocol !== 'http:') {
-      return false;
+    // The tunnel may belong to a session on another instance
+    return new Promise((resolve, reject) => {
+      const timeoutMs = (parseInt(process.env.REQUEST_TIMEOUT_SECONDS || '30') + 5) * 1000;
+      io.timeout(timeoutMs).serverSideEmit('relay:tunnelRequest', { tunnelId, tunnelRequest }, (err, responses) => {
+        const reply = (responses || []).find(r => r);
+        if (!reply) return resolve(null);
+        if (reply.error) return reject(reply.error);
+        resolve(reply.response);
+      });
+    });
+  }
+  
+  const socket = io.sockets.sockets.get(tunnel.sessionId);
+  const session = activeSessions.get(tunnel.sessionId);
+  if (!socket || !session) return null;
+  
+  const { path, search, clientIP, ...request } = tunnelRequest;
+  request.url = buildTargetUrl(tunnel, path, search);
+  
+  // Re-validate the mapped URL so paths cannot escape the target policy
+  const targetRejection = checkTarget(request.url, policySubject(socket));
+  if (targetRejection) {
+    throw targetRejection;
+  }
+  
+  const sizeError = validateRequestSize(request);
+  if (sizeError) {
+    throw { error: true, message: sizeError };
+  }
+  
+  // Tunnel traffic keeps the session alive
+  session.lastActivity = new Date();
+  session.requestCount++;
+  sessionStore.save(session);
+  
+  const startedAt = Date.now();
+  const logEntry = {
+    requestId: request.requestId,
+    method: request.method,
+    path: `/${path}${search}`,
+    clientIP,
+    requestBytes: request.body ? request.body.length : 0
+  };
+  
+  try {
+    const response = await relayToBrowser(socket, request, sink);
+    recordTunnelRequest(tunnel, {
+      ...logEntry,
+      status: response.status,
+      responseBytes: response.size,
+      durationMs: Date.now() - startedAt
+    });
+    return response;
+  } catch (error) {
+    recordTunnelRequest(tunnel, {
+      ...logEntry,
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+    throw error;
+  }
+}
+
+// Handle tunnel requests relayed from other instances
+io.on('relay:tunnelRequest', async ({ tunnelId, tunnelRequest }, ack) => {
+  if (!getTunnel(tunnelId)) {
+    ack(null);
+    return;
+  }
+  
+  try {
+    // Streams are collected into one body since they cannot be piped across instances
+    const response = await relayTunnelRequest(tunnelId, tunnelRequest, bufferSink());
+    ack(response ? { response: { ...response, streamed: false } } : null);
+  } catch (error) {
+    ack({ error });
+  }
+});
+
+// Close a WebSocket channel on the relay and at the public client; the browser is told unless it asked
+function closeWsChannel(channelId, code, reason, notifyBrowser) {
+  const channel = wsChannels.get(channelId);
+  if (!channel) return false;
+  
+  wsChannels.delete(channelId);
+  const closeCode = sendableCloseCode(code);
+  const closeReason = sendableCloseReason(reason);
+  
+  // A channel still waiting on the browser has no client connection yet; its upgrade is refused instead
+  if (channel.peer) {
+    channel.peer.close(closeCode, closeReason);
+  }
+  if (notifyBrowser) {
+    io.to(channel.sessionId).emit('localhost:wsClose', { channelId, code: closeCode, reason: closeReason });
+  }
+  wsLog.info('Closed tunnel channel', { sessionId: channel.sessionId, userId: channel.userId, channelId, code: closeCode });
+  return true;
+}
+
+// Close every WebSocket channel of a session
+function closeSessionChannels(sessionId, reason, notifyBrowser) {
+  wsChannels.forEach((channel, channelId) => {
+    if (channel.sessionId === sessionId) {
+      closeWsChannel(channelId, CLOSE_CODES.GOING_AWAY, reason, notifyBrowser);
     }
+  });
+}
+
+function getSessionChannels(sessionId) {
+  return Array.from(wsChannels.values()).filter(channel => channel.sessionId === sessionId);
+}
+
+// Forward frames between the public client and the browser once the upgrade completes
+function bindChannelPeer(channel, peer) {
+  channel.peer = peer;
+  channel.state = 'open';
+  
+  // Frames the browser received from localhost before the client upgrade completed
+  channel.queued.forEach(({ data, binary }) => peer.send(data, { binary }));
+  channel.queued = [];
+  channel.queuedBytes = 0;
+  
+  peer.on('message', (data, binary) => {
+    channel.messagesIn++;
+    channel.bytesIn += data.length;
+    io.to(channel.sessionId).emit('localhost:wsMessage', {
+      channelId: channel.channelId,
+      data: binary ? data : data.toString('utf8'),
+      binary
+    });
+  });
+  
+  peer.on('close', (code, reason) => {
+    // Channels closed by the relay or the browser are already gone
+    if (!wsChannels.has(channel.channelId)) return;
+    wsChannels.delete(channel.channelId);
+    io.to(channel.sessionId).emit('localhost:wsClose', {
+      channelId: channel.channelId,
+      code: sendableCloseCode(code),
+      reason: reason.toString('utf8')
+    });
+    wsLog.info('Tunnel client closed channel', { sessionId: channel.sessionId, userId: channel.userId, channelId: channel.channelId, code });
+  });
+  
+  peer.on('error', (error) => {
+    wsLog.warn('Tunnel client error', { sessionId: channel.sessionId, userId: channel.userId, channelId: channel.channelId, error });
+  });
+}
+
+// Open a WebSocket channel from a public tunnel client to the tunnel target through the owning browser
+async function openTunnelWebSocket(req, socket, head, tunnelId, path, search) {
+  const tunnel = getTunnel(tunnelId);
+  const browserSocket = tunnel && io.sockets.sockets.get(tunnel.sessionId);
+  const session = tunnel && activeSessions.get(tunnel.sessionId);
+  
+  // Upgrades are not forwarded between instances; the client must reach the one owning the tunnel
+  if (!browserSocket || !session) {
+    rejectUpgrade(socket, 404, { error: 'Tunnel not found' });
+    return;
+  }
+  
+  const url = toWebSocketUrl(buildTargetUrl(tunnel, path, search));
+  const targetRejection = checkTarget(url, policySubject(browserSocket));
+  if (targetRejection) {
+    rejectUpgrade(socket, 403, { error: targetRejection.message, code: targetRejection.code, rule: targetRejection.rule });
+    return;
+  }
+  
+  if (getSessionChannels(session.sessionId).length >= wsConfig.maxChannelsPerSession) {
+    rejectUpgrade(socket, 429, { error: 'Too many WebSocket channels for this session' });
+    return;
+  }
+  
+  const channelId = `ws-${crypto.randomUUID()}`;
+  const channel = {
+    channelId,
+    sessionId: session.sessionId,
+    userId: session.userId,
+    tunnelId,
+    url,
+    state: 'connecting',
+    peer: null,
+    queued: [],
+    queuedBytes: 0,
+    openedAt: new Date(),
+    messagesIn: 0,
+    messagesOut: 0,
+    bytesIn: 0,
+    bytesOut: 0
+  };
+  wsChannels.set(channelId, channel);
+  
+  session.lastActivity = new Date();
+  session.requestCount++;
+  sessionStore.save(session);
+  
+  wsLog.info('Opening tunnel channel', { sessionId: session.sessionId, userId: session.userId, channelId, tunnelId, url });
+  
+  // The browser acks once its localhost WebSocket is open (or has failed)
+  const reply = await new Promise((resolve) => {
+    browserSocket.timeout(wsConfig.openTimeoutMs).emit('localhost:wsOpen', {
+      channelId,
+      url,
+      protocols: parseProtocols(req)
+    }, (err, response) => {
+      resolve(err
+        ? { error: true, message: 'Timed out waiting for the browser to open the WebSocket' }
+        : response || {});
+    });
+  });
+  
+  // The session may have ended while the browser was connecting
+  if (!wsChannels.has(channelId)) {
+    rejectUpgrade(socket, 502, { error: 'WebSocket channel closed before it opened' });
+    return;
+  }
+  
+  if (!reply.success) {
+    wsChannels.delete(channelId);
+    rejectUpgrade(socket, 502, { error: reply.message || 'Browser could not open the WebSocket' });
+    return;
+  }
+  
+  // The client gave up while the browser was connecting
+  if (socket.destroyed) {
+    closeWsChannel(channelId, CLOSE_CODES.GOING_AWAY, 'Client went away', true);
+    return;
+  }
+  
+  req.relayProtocol = reply.protocol;
+  wsIngress.handleUpgrade(req, socket, head, (peer) => bindChannelPeer(channel, peer));
+}
+
+// WebSocket upgrades on /tunnel/:tunnelId/*; Socket.IO handles its own path
+httpServer.on('upgrade', (req, socket, head) => {
+  const match = req.url.match(/^\/tunnel\/([^/?]+)([^?]*)(\?.*)?$/);
+  if (!match) {
+    if (!req.url.startsWith('/socket.io')) socket.destroy();
+    return;
+  }
+  
+  openTunnelWebSocket(req, socket, head, match[1], match[2], match[3] || '').catch((error) => {
+    wsLog.error('Tunnel WebSocket error', { error });
+    rejectUpgrade(socket, 500, { error: 'Failed to open WebSocket channel' });
+  });
+});
+
+// Apply a browser event (complete, error, start, chunk, end) to a pending request owned by this instance
+async function applyBrowserEvent(requestId, event, payload) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) {
+    return { ok: false, error: 'Unknown request' };
+  }
+  
+  switch (event) {
+    case 'complete':
+    case 'error':
+      settlePendingRequest(requestId, event, payload);
+      return { ok: true };
     
-    const hostname = urlObj.hostname.toLowerCase();
+    case 'start':
+      return startStream(pending, payload, () => {
+        settlePendingRequest(requestId, 'error', { error: 'Stream idle timeout - browser stopped sending chunks' });
+      });
     
-    // Allow localhost and loopback addresses
-    if (hostname === 'localhost' || 
-        hostname === '127.0.0.1' || 
-        hostname === '::1') {
-      return true;
+    case 'chunk': {
+      const result = await pushChunk(pending, activeSessions.get(pending.sessionId), payload);
+      if (!result.ok) {
+        settlePendingRequest(requestId, 'error', { error: result.error });
+      }
+      return result;
     }
     
-    // Allow local network addresses (192.168.x.x, 10.x.x.x, 172.16-31.x.x)
-    if (hostname.match(/^192\.168\.\d{1,3}\.\d{1,3}$/) || 
-        hostname.match(/^10\.\d{1,3}\.\d{1,3}\.\d{1,3}$/) || 
-        hostname.match(/^172\.(1[6-9]|2[0-9]|3[0-1])\.\d{1,3}\.\d{1,3}$/)) {
-      return true;
-    }
+    case 'end':
+      if (!pending.stream) {
+        return { ok: false, error: 'Stream not started' };
+      }
+      settlePendingRequest(requestId, 'complete', endStream(pending, payload));
+      return { ok: true };
     
-    return false;
-  } catch (e) {
-    return false;
+    default:
+      return { ok: false, error: 'Unknown event' };
+  }
+}
+
+// Forward a browser event to the instance that owns the pending request
+async function forwardToOwningInstance(requestId, userId, event, payload) {
+  if (!isClustered()) {
+    return { ok: false, error: 'Unknown request' };
   }
+  
+  const meta = await pendingStore.get(requestId);
+  if (!meta || meta.instanceId === clusterConfig.instanceId || meta.userId !== userId) {
+    return { ok: false, error: 'Unknown request' };
+  }
+  
+  // Wait for the owning instance's acknowledgement (needed for chunk backpressure)
+  return new Promise((resolve) => {
+    io.timeout(streamConfig.ackTimeoutMs).serverSideEmit(
+      'relay:fetchResult',
+      { requestId, userId, event, payload },
+      (err, responses) => {
+        const result = (responses || []).find(r => r && r.handled);
+        resolve(result ? result.result : { ok: false, error: 'Owning instance did not respond' });
+      }
+    );
+  });
 }
 
+// Handle browser events relayed from other instances
+io.on('relay:fetchResult', async ({ requestId, userId, event, payload }, ack) => {
+  const pending = pendingRequests.get(requestId);
+  
+  // Only the owning user may settle the request
+  if (!pending || pending.userId !== userId) {
+    if (typeof ack === 'function') ack(null);
+    return;
+  }
+  
+  const result = await applyBrowserEvent(requestId, event, payload);
+  if (typeof ack === 'function') ack({ handled: true, result });
+});
+
+// List sessions; in clustered mode, report sessions from every instance
+async function listAllSessions() {
+  const sessions = isClustered()
+    ? await sessionStore.list()
+    : Array.from(activeSessions.values());
+  return sessions.map(s => ({ ...s, instanceId: s.instanceId || clusterConfig.instanceId }));
+}
+
+// Describe the in-flight requests of a session owned by this instance
+function describeLocalPendingRequests(sessionId) {
+  return Array.from(pendingRequests.entries())
+    .filter(([, pending]) => pending.sessionId === sessionId)
+    .map(([requestId, pending]) => ({
+      requestId,
+      method: pending.requestData.method,
+      url: pending.requestData.url,
+      startedAt: pending.startedAt,
+      streaming: !!pending.stream
+    }));
+}
+
+// List a session's in-flight requests; resolves with null when no instance knows the session
+async function listSessionPendingRequests(sessionId) {
+  if (activeSessions.has(sessionId)) {
+    return describeLocalPendingRequests(sessionId);
+  }
+  if (!isClustered()) return null;
+  
+  return new Promise((resolve) => {
+    io.timeout(5000).serverSideEmit('relay:adminPending', { sessionId }, (err, responses) => {
+      resolve((responses || []).find(r => r) || null);
+    });
+  });
+}
+
+io.on('relay:adminPending', ({ sessionId }, ack) => {
+  ack(activeSessions.has(sessionId) ? describeLocalPendingRequests(sessionId) : null);
+});
+
+// Cancel a pending request wherever it is owned; resolves with whether it was found
+async function cancelPendingRequest(requestId) {
+  if (cancelRelayRequest(requestId, 'Request cancelled by administrator')) {
+    return true;
+  }
+  if (!isClustered()) return false;
+  
+  return new Promise((resolve) => {
+    io.timeout(5000).serverSideEmit('relay:adminCancel', { requestId }, (err, responses) => {
+      resolve((responses || []).some(r => r));
+    });
+  });
+}
+
+io.on('relay:adminCancel', ({ requestId }, ack) => {
+  ack(cancelRelayRequest(requestId, 'Request cancelled by administrator'));
+});
+
+// Notify and disconnect every socket in a room (a session ID or `user:<userId>`), on all instances
+async function terminateSockets(room, message) {
+  // fetchSockets() reaches every instance in clustered mode
+  const sockets = await io.in(room).fetchSockets();
+  if (sockets.length === 0) return 0;
+  
+  io.in(room).emit('session:terminated', { message });
+  io.in(room).disconnectSockets(true);
+  return sockets.length;
+}
+
+// WebSocket connection handling
+io.on('connection', (socket) => {
+  // Initialize session with security enhancements
+  const sessionId = socket.id;
+  const userId = socket.data.userId;
+  const sessionLog = wsLog.child({ sessionId, userId });
+  
+  sessionLog.info('Client connected', { ip: socket.handshake.address });
+  
+  // Disconnect the socket when its token expires, unless refreshed first
+  let tokenExpiryTimer = null;
+  const scheduleTokenExpiry = (expiresAt) => {
+    clearTimeout(tokenExpiryTimer);
+    if (!expiresAt) return;
+    
+    // setTimeout overflows past ~24.8 days; re-check later for long-lived tokens
+    const delay = Math.min(Math.max(expiresAt.getTime() - Date.now(), 0), 0x7fffffff);
+    tokenExpiryTimer = setTimeout(() => {
+      if (socket.data.tokenExpiresAt && socket.data.tokenExpiresAt.getTime() > Date.now()) {
+        scheduleTokenExpiry(socket.data.tokenExpiresAt);
+        return;
+      }
+      sessionLog.info('Token expired');
+      socket.emit('auth:expired', { code: AUTH_ERRORS.TOKEN_EXPIRED, message: 'Token expired' });
+      socket.disconnect(true);
+    }, delay);
+  };
+  scheduleTokenExpiry(socket.data.tokenExpiresAt);
+  
+  const newSession = {
+    sessionId,
+    userId,
+    connectedAt: new Date(),
+    lastActivity: new Date(),
+    requestCount: 0,
+    ip: socket.handshake.address || socket.request.connection.remoteAddress,
+    ...(socket.data.agent && { agent: socket.data.agent })
+  };
+  
+  // One session per agent name: a reconnecting agent replaces its stale session on any instance
+  if (socket.data.agent) {
+    const agentRoom = `agent:${userId}:${socket.data.agent}`;
+    io.to(agentRoom).emit('agent:replaced', { message: 'Another agent registered with the same name' });
+    io.in(agentRoom).disconnectSockets(true);
+    socket.join(agentRoom);
+    sessionLog.info('Agent registered', { agent: socket.data.agent });
+  }
+  
+  activeSessions.set(sessionId, newSession);
+  sessionStore.save(newSession);
+  
+  // Lets admins reach every session of a user across instances
+  socket.join(`user:${userId}`);
+
+  // Handle token refresh before the current token expires
+  socket.on('auth:refresh', (data, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    try {
+      const { userId: refreshedUserId, expiresAt } = verifyToken(data && data.token);
+      
+      // A refreshed token must belong to the same user as the session
+      if (refreshedUserId !== userId) {
+        callback({ error: true, code: AUTH_ERRORS.USER_MISMATCH, message: 'Token belongs to a different user' });
+        return;
+      }
+      
+      socket.data.tokenExpiresAt = expiresAt;
+      scheduleTokenExpiry(expiresAt);
+      callback({ success: true, expiresAt });
+    } catch (error) {
+      callback({ error: true, code: error.code || AUTH_ERRORS.TOKEN_INVALID, message: error.message });
+    }
+  });
+
+  // Handle localhost request from frontend with validation
+  socket.on('localhost:execute', async (request, callback) => {
+    // Validate callback is a function
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    if (request && typeof request === 'object') {
+      sessionLog.info('Received localhost request', { requestId: request.requestId, method: request.method, url: request.url });
+    }
+    
+    callback(await executeForSession(socket, request));
+  });
+
+  // List the user's connected agents (on every instance in clustered mode)
+  socket.on('agent:list', async (data, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    try {
+      const sessions = await listAllSessions();
+      callback({
+        agents: sessions
+          .filter(s => s.userId === userId && s.agent)
+          .map(s => ({
+            name: s.agent,
+            sessionId: s.sessionId,
+            instanceId: s.instanceId,
+            connectedAt: s.connectedAt,
+            lastActivity: s.lastActivity,
+            requestCount: s.requestCount
+          }))
+      });
+    } catch (error) {
+      sessionLog.error('Agent listing failed', { error });
+      callback({ error: true, message: 'Failed to list agents' });
+    }
+  });
+
+  // Run an ordered batch of requests, passing extracted values to later steps
+  socket.on('localhost:executeBatch', async (batch, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    const parsed = parseBatch(batch);
+    if (parsed.error) {
+      callback({ error: true, message: parsed.error });
+      return;
+    }
+    
+    sessionLog.info('Running batch', { batchId: batch.batchId, groups: parsed.groups.length });
+    
+    try {
+      const result = await runBatch(batch, parsed.groups, {
+        execute: (request) => executeForSession(socket, request, 'batch'),
+        onProgress: (event) => socket.emit('localhost:batchProgress', event)
+      });
+      callback(result);
+    } catch (error) {
+      sessionLog.error('Batch failed', { batchId: batch.batchId, error });
+      callback({ error: true, message: error.message });
+    }
+  });
+
+  // Invalidate this user's cached relay responses by URL prefix
+  socket.on('localhost:cacheInvalidate', async (data, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    const urlPrefix = data && data.urlPrefix;
+    if (typeof urlPrefix !== 'string' || !urlPrefix) {
+      callback({ error: true, message: 'urlPrefix is required' });
+      return;
+    }
+    
+    try {
+      const removed = await invalidateByPrefix(userId, urlPrefix);
+      callback({ success: true, removed });
+    } catch (error) {
+      sessionLog.error('Cache invalidation failed', { urlPrefix, error });
+      callback({ error: true, message: 'Failed to invalidate cached responses' });
+    }
+  });
+
+  // Register a public HTTP tunnel that forwards to a localhost base URL through this session
+  socket.on('tunnel:register', (data, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+      callback({ error: true, message: 'Session not found' });
+      return;
+    }
+    
+    const targetBaseUrl = data && data.targetBaseUrl;
+    if (typeof targetBaseUrl !== 'string') {
+      callback({ error: true, message: 'targetBaseUrl is required' });
+      return;
+    }
+    
+    const targetRejection = checkTarget(targetBaseUrl, policySubject(socket));
+    if (targetRejection) {
+      callback(targetRejection);
+      return;
+    }
+    
+    if (getSessionTunnels(sessionId).length >= tunnelConfig.maxPerSession) {
+      callback({ error: true, message: 'Too many tunnels for this session' });
+      return;
+    }
+    
+    const tunnel = createTunnel(session, targetBaseUrl);
+    sessionLog.info('Registered tunnel', { tunnelId: tunnel.tunnelId, targetBaseUrl: tunnel.targetBaseUrl });
+    callback({ success: true, tunnel: describeTunnel(tunnel) });
+  });
+
+  // List this session's tunnels
+  socket.on('tunnel:list', (data, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    callback({ success: true, tunnels: getSessionTunnels(sessionId).map(describeTunnel) });
+  });
+
+  // Get the request log of one of this session's tunnels
+  socket.on('tunnel:logs', (data, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    
+    const tunnel = getTunnel(data && data.tunnelId);
+    if (!tunnel || tunnel.sessionId !== sessionId) {
+      callback({ error: true, message: 'Tunnel not found' });
+      return;
+    }
+    
+    callback({ success: true, tunnelId: tunnel.tunnelId, logs: tunnel.logs });
+  });
+
+  // Close one of this session's tunnels
+  socket.on('tunnel:close', (data, callback) => {
+    const tunnel = getTunnel(data && data.tunnelId);
+    const owned = Boolean(tunnel && tunnel.sessionId === sessionId);
+    if (owned) {
+      removeTunnel(tunnel.tunnelId);
+    }
+    
+    if (typeof callback === 'function') {
+      callback(owned ? { success: true } : { error: true, message: 'Tunnel not found' });
+    }
+  });
+
+  // Route a browser event to the pending request it belongs to
+  const handleBrowserEvent = async (event, payload) => {
+    const pending = pendingRequests.get(payload.requestId);
+    if (pending) {
+      // Verify this event is from the correct session
+      if (pending.sessionId !== sessionId) {
+        return { ok: false, error: 'Unknown request' };
+      }
+      
+      return applyBrowserEvent(payload.requestId, event, payload);
+    }
+    
+    // Late results for a request this session cancelled are dropped without forwarding
+    const cancelled = cancelledRequests.get(payload.requestId);
+    if (cancelled && cancelled.sessionId === sessionId) {
+      return { ok: false, cancelled: true, error: 'Request was cancelled' };
+    }
+    
+    // The request may be waiting on another instance
+    return forwardToOwningInstance(payload.requestId, userId, event, payload);
+  };
+
+  // Cancel one of this session's in-flight requests
+  socket.on('localhost:cancel', (data, callback) => {
+    const requestId = data && data.requestId;
+    
+    // Requests of other sessions are indistinguishable from unknown ones
+    if (!requestId || requestOwner(requestId) !== sessionId) {
+      if (typeof callback === 'function') callback({ error: true, message: 'Unknown request' });
+      return;
+    }
+    
+    sessionLog.info('Cancelling request', { requestId });
+    cancelRelayRequest(requestId, 'Request cancelled');
+    if (typeof callback === 'function') callback({ success: true, requestId });
+  });
+
+  // Handle response from browser (after local fetch) with validation
+  socket.on('localhost:fetchComplete', async (response, ack) => {
+    // Validate response structure
+    if (!response || typeof response !== 'object') {
+      return;
+    }
+    
+    sessionLog.info('Received browser response', { requestId: response.requestId, status: response.status });
+    
+    const result = await handleBrowserEvent('complete', response);
+    if (typeof ack === 'function') ack(result);
+  });
+
+  // Handle fetch error from browser with validation
+  socket.on('localhost:fetchError', async (data, ack) => {
+    // Validate data structure
+    if (!data || typeof data !== 'object' || !data.requestId) {
+      return;
+    }
+    
+    sessionLog.warn('Browser fetch error', { requestId: data.requestId, error: data.error });
+    
+    const result = await handleBrowserEvent('error', data);
+    if (typeof ack === 'function') ack(result);
+  });
+
+  // Handle start of a streamed response (status and headers)
+  socket.on('localhost:fetchStart', async (data, ack) => {
+    if (!data || typeof data !== 'object' || !data.requestId) {
+      return;
+    }
+    
+    sessionLog.info('Browser started streaming response', { requestId: data.requestId, status: data.status });
+    
+    const result = await handleBrowserEvent('start', data);
+    if (typeof ack === 'function') ack(result);
+  });
+
+  // Handle a streamed response chunk; the ack is the browser's signal to send the next one
+  socket.on('localhost:fetchChunk', async (data, ack) => {
+    if (!data || typeof data !== 'object' || !data.requestId) {
+      return;
+    }
+    
+    const result = await handleBrowserEvent('chunk', data);
+    if (typeof ack === 'function') ack(result);
+  });
+
+  // Handle end of a streamed response
+  socket.on('localhost:fetchEnd', async (data, ack) => {
+    if (!data || typeof data !== 'object' || !data.requestId) {
+      return;
+    }
+    
+    sessionLog.info('Browser finished streaming response', { requestId: data.requestId });
+    
+    const result = await handleBrowserEvent('end', data);
+    if (typeof ack === 'function') ack(result);
+  });
+
+  // Look up a WebSocket channel owned by this session
+  const ownedChannel = (data) => {
+    const channel = data && wsChannels.get(data.channelId);
+    return channel && channel.sessionId === sessionId ? channel : null;
+  };
+
+  // Frame received by the browser's localhost WebSocket, forwarded to the public client
+  socket.on('localhost:wsMessage', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const channel = ownedChannel(data);
+    if (!channel) {
+      reply({ ok: false, error: 'Unknown channel' });
+      return;
+    }
+    
+    const binary = isBinary(data.data);
+    if (!binary && typeof data.data !== 'string') {
+      reply({ ok: false, error: 'data must be a string or binary' });
+      return;
+    }
+    
+    // Frames queued while the client upgrade completes count towards the same limit
+    const size = byteLength(data.data);
+    if (size + channel.queuedBytes > wsConfig.maxMessageBytes) {
+      closeWsChannel(channel.channelId, CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big', true);
+      reply({ ok: false, error: 'Message too big' });
+      return;
+    }
+    
+    const frame = binary ? Buffer.from(data.data) : data.data;
+    if (channel.peer) {
+      channel.peer.send(frame, { binary });
+    } else {
+      channel.queued.push({ data: frame, binary });
+      channel.queuedBytes += size;
+    }
+    channel.messagesOut++;
+    channel.bytesOut += size;
+    
+    const session = activeSessions.get(sessionId);
+    if (session) session.lastActivity = new Date();
+    reply({ ok: true });
+  });
+
+  // The localhost WebSocket closed
+  socket.on('localhost:wsClose', (data) => {
+    const channel = ownedChannel(data);
+    if (channel) {
+      closeWsChannel(channel.channelId, data.code, data.reason, false);
+    }
+  });
+
+  // The localhost WebSocket failed after opening
+  socket.on('localhost:wsError', (data) => {
+    const channel = ownedChannel(data);
+    if (!channel) {
+      return;
+    }
+    
+    sessionLog.warn('Browser WebSocket error', { channelId: channel.channelId, error: data.error });
+    closeWsChannel(channel.channelId, CLOSE_CODES.INTERNAL_ERROR, 'Upstream WebSocket error', false);
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', (reason) => {
+    sessionLog.info('Client disconnected', { reason });
+    
+    clearTimeout(tokenExpiryTimer);
+    
+    // Clean up session
+    activeSessions.delete(sessionId);
+    sessionStore.remove(sessionId);
+    removeSessionTunnels(sessionId);
+    closeSessionChannels(sessionId, 'Relay session closed', false);
+    
+    // Reject all pending requests for this session
+    pendingRequests.forEach((pending, requestId) => {
+      if (pending.sessionId === sessionId) {
+        clearTimeout(pending.timeout);
+        pending.reject({ error: true, message: 'WebSocket connection closed' });
+        pendingRequests.delete(requestId);
+        pendingStore.remove(requestId);
+      }
+    });
+  });
+
+  // Handle errors
+  socket.on('error', (error) => {
+    sessionLog.error('Socket error', { error });
+  });
+
+  // Send ready confirmation
+  socket.emit('localhost:ready', { sessionId, message: 'WebSocket relay ready' });
+});
+
+// Cleanup old sessions every 5 minutes
+const cleanupInterval = setInterval(() => {
+  const now = new Date();
+  const sessionTimeoutMinutes = parseInt(process.env.SESSION_TIMEOUT_MINUTES || '10');
+  
+  activeSessions.forEach((session, sessionId) => {
+    // Agents stay registered while connected; Socket.IO heartbeats detect dead ones
+    if (session.agent) return;
+    
+    const inactiveMinutes = (now.getTime() - session.lastActivity.getTime()) / 1000 / 60;
+    if (inactiveMinutes > sessionTimeoutMinutes) {
+      wsLog.info('Cleaning up inactive session', { sessionId, userId: session.userId, inactiveMinutes: Math.round(inactiveMinutes) });
+      activeSessions.delete(sessionId);
+      sessionStore.remove(sessionId);
+      removeSessionTunnels(sessionId);
+      closeSessionChannels(sessionId, 'Relay session expired', true);
+      
+      // Clean up pending requests for this session
+      pendingRequests.forEach((pending, requestId) => {
+        if (pending.sessionId === sessionId) {
+          clearTimeout(pending.timeout);
+          pending.reject({ error: true, message: 'Session expired' });
+          pendingRequests.delete(requestId);
+          pendingStore.remove(requestId);
+        }
+      });
+    }
+  });
+  
+  // Forget cancelled requests once late browser events can no longer arrive
+  cancelledRequests.forEach((cancelled, requestId) => {
+    if (Date.now() - cancelled.cancelledAt > CANCELLED_REQUEST_RETENTION_MS) {
+      cancelledRequests.delete(requestId);
+    }
+  });
+}, parseInt(process.env.CLEANUP_INTERVAL_MINUTES || '5') * 60 * 1000);
+
+// Report live counts to the metrics endpoint
+bindMetricSources({
+  sessions: () => activeSessions.size,
+  pending: () => pendingRequests.size,
+  wsChannels: () => wsChannels.size
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('[Server] SIGTERM received, shutting down gracefully...');
+  log.info('SIGTERM received, shutting down gracefully');
   clearInterval(cleanupInterval);
-  httpServer.close(() => {
-    console.log('[Server] Server closed');
+  // io.close() disconnects sessions first, so connected clients (and agents) cannot hold the HTTP server open
+  io.close(() => {
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('[Server] SIGINT received, shutting down gracefully...');
+  log.info('SIGINT received, shutting down gracefully');
   clearInterval(cleanupInterval);
-  httpServer.close(() => {
-    console.log('[Server] Server closed');
+  io.close(() => {
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
 // Error handling
 process.on('uncaughtException', (err) => {
-  console.error('[Server] Uncaught Exception:', err);
+  log.error('Uncaught exception', { error: err });
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[Server] Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  log.error('Unhandled rejection', { error: reason instanceof Error ? reason : String(reason) });
   process.exit(1);
 });
 
 // Start server
 const PORT = process.env.PORT || 8080;
 
-// Connect to Redis before starting server
-connectRedis().then(() => {
-  httpServer.listen(PORT, () => {
-    console.log(`
-╔════════════════════════════════════════════════════════════════╗
-║                                                                ║
-║    WebSocket Relay Server Running                           ║
-║                                                                ║
-║   Port: ${PORT}                                                    ║
-║   Environment: ${process.env.NODE_ENV || 'development'}                                   ║
-║   Allowed Origins: ${allowedOrigins.length} configured                       ║
-║                                                                ║
-║   Endpoints:                                                   ║
-║   • Health Check: GET /                                        ║
-║   • Statistics: GET /stats                                     ║
-║   • WebSocket: ws://localhost:${PORT}/socket.io                   ║
-║                                                                ║
-╚════════════════════════════════════════════════════════════════╝
-  `);
-  });
+if (!isAuthConfigured()) {
+  log.warn('JWT_SECRET or JWT_JWKS_FILE is not set - all WebSocket connections will be rejected');
+}
+
+const logListening = (redis) => log.info('WebSocket relay server running', {
+  port: Number(PORT),
+  environment: process.env.NODE_ENV || 'development',
+  allowedOrigins: allowedOrigins.length,
+  redis,
+  cacheBackend: getCacheStatus().active,
+  endpoints: { health: 'GET /', stats: 'GET /stats', websocket: '/socket.io' }
+});
+
+// Connect to Redis (and attach the cluster adapter) before starting server
+// connectRedis gives up waiting after REDIS_CONNECT_TIMEOUT_SECONDS, so an unreachable Redis no longer blocks startup
+connectRedis().then(async (redisReady) => {
+  await setupCluster(io);
+  httpServer.listen(PORT, () => logListening(redisReady));
 }).catch((error) => {
-  console.error('Failed to connect to Redis, starting server anyway:', error);
-  httpServer.listen(PORT, () => {
-    console.log(`
-╔════════════════════════════════════════════════════════════════╗
-║                                                                ║
-║    WebSocket Relay Server Running (No Redis)                ║
-║                                                                ║
-║   Port: ${PORT}                                                    ║
-║   Environment: ${process.env.NODE_ENV || 'development'}                                   ║
-║   Allowed Origins: ${allowedOrigins.length} configured                       ║
-║                                                                ║
-║   Endpoints:                                                   ║
-║   • Health Check: GET /                                        ║
-║   • Statistics: GET /stats                                     ║
-║   • WebSocket: ws://localhost:${PORT}/socket.io                   ║
-║                                                                ║
-╚════════════════════════════════════════════════════════════════╝
-  `);
-  });
+  log.error('Failed to connect to Redis, starting server anyway', { error });
+  httpServer.listen(PORT, () => logListening(false));
 });
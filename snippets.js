@@ -0,0 +1,1032 @@
+require('dotenv').config();
+
+// Snippet import/export configuration
+const snippetConfig = {
+  maxCommandBytes: parseInt(process.env.SNIPPETS_MAX_COMMAND_BYTES || String(256 * 1024))
+};
+
+const EXPORT_FORMATS = ['curl', 'httpie', 'fetch', 'python'];
+
+// Request bodies without a content type are sent by the browser as fetch sends strings
+const TEXT_CONTENT_TYPE = 'text/plain;charset=UTF-8';
+
+const findHeader = (headers, name) => Object.keys(headers)
+  .find(key => key.toLowerCase() === name.toLowerCase());
+
+// Repeated headers are folded the way HTTP allows; cookies use their own separator
+const addHeader = (headers, name, value) => {
+  const existing = findHeader(headers, name);
+  if (existing === undefined) {
+    headers[name] = value;
+  } else {
+    headers[existing] = `${headers[existing]}${name.toLowerCase() === 'cookie' ? '; ' : ', '}${value}`;
+  }
+};
+
+const setDefaultHeader = (headers, name, value) => {
+  if (findHeader(headers, name) === undefined) headers[name] = value;
+};
+
+const basicAuthorization = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+const withScheme = (url, scheme, warnings) => {
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(url)) return url;
+  warnings.push(`No scheme in "${url}"; assumed ${scheme}://`);
+  return `${scheme}://${url}`;
+};
+
+const appendQuery = (url, query) => {
+  if (!query) return url;
+  const [base, fragment] = url.split('#');
+  const joined = `${base}${base.includes('?') ? '&' : '?'}${query}`;
+  return fragment === undefined ? joined : `${joined}#${fragment}`;
+};
+
+// ============================================================================
+// SHELL TOKENIZER
+// ============================================================================
+
+const ANSI_C_ESCAPES = { a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+// Body of a $'...' string starting after the opening quote; returns the text and the closing index
+const readAnsiC = (command, start) => {
+  let text = '';
+  let i = start;
+  while (i < command.length && command[i] !== "'") {
+    if (command[i] !== '\\' || i + 1 >= command.length) {
+      text += command[i++];
+      continue;
+    }
+
+    const next = command[i + 1];
+    const hex = { x: /^[\da-fA-F]{1,2}/, u: /^[\da-fA-F]{1,4}/, U: /^[\da-fA-F]{1,8}/ }[next];
+    const digits = hex ? command.slice(i + 2).match(hex) : null;
+    const octal = command.slice(i + 1).match(/^[0-7]{1,3}/);
+    if (digits) {
+      text += String.fromCodePoint(parseInt(digits[0], 16));
+      i += 2 + digits[0].length;
+    } else if (octal) {
+      text += String.fromCharCode(parseInt(octal[0], 8));
+      i += 1 + octal[0].length;
+    } else {
+      text += ANSI_C_ESCAPES[next] !== undefined ? ANSI_C_ESCAPES[next] : `\\${next}`;
+      i += 2;
+    }
+  }
+  if (i >= command.length) throw new Error('Unterminated $\'...\' string');
+  return { text, end: i };
+};
+
+/**
+ * Split a shell command line into words the way a POSIX shell would, without expansion.
+ * Handles single, double and $'...' quotes, backslash escapes and line continuations
+ * (including cmd.exe "^" and PowerShell "`"). Parsing stops at the first pipe, list
+ * operator or redirection, which is reported in `stoppedAt`.
+ * @param {string} command - Command line
+ * @returns {{ words: string[], variables: string[], stoppedAt?: string }}
+ */
+const tokenize = (command) => {
+  const words = [];
+  const variables = new Set();
+  let current = '';
+  let inWord = false;
+  let i = 0;
+
+  const endWord = () => {
+    if (inWord) words.push(current);
+    current = '';
+    inWord = false;
+  };
+  const noteVariable = (from) => {
+    const match = command.slice(from).match(/^\$(\{?)([A-Za-z_]\w*)\}?/);
+    if (match) variables.add(match[2]);
+  };
+
+  while (i < command.length) {
+    const c = command[i];
+    const next = command[i + 1];
+
+    // Line continuations
+    if ((c === '\\' || c === '^' || c === '`') && (next === '\n' || (next === '\r' && command[i + 2] === '\n'))) {
+      i += next === '\n' ? 2 : 3;
+      continue;
+    }
+
+    if (/\s/.test(c)) {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (c === '#' && !inWord) {
+      while (i < command.length && command[i] !== '\n') i++;
+      continue;
+    }
+
+    const operator = (c === '|' || c === ';' || (c === '&' && (next === '&' || next === undefined || /\s/.test(next))))
+      ? command.slice(i, i + (next === c ? 2 : 1))
+      : ((c === '>' || c === '<') && (!inWord || /^\d$/.test(current)) ? c : null);
+    if (operator) {
+      if (/^\d$/.test(current)) current = '';
+      endWord();
+      return { words, variables: [...variables], stoppedAt: operator };
+    }
+
+    inWord = true;
+
+    if (c === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      current += command.slice(i + 1, end);
+      i = end + 1;
+    } else if (c === '$' && next === "'") {
+      const { text, end } = readAnsiC(command, i + 2);
+      current += text;
+      i = end + 1;
+    } else if (c === '"') {
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && i + 1 < command.length && '"\\$`\n'.includes(command[i + 1])) {
+          if (command[i + 1] !== '\n') current += command[i + 1];
+          i += 2;
+          continue;
+        }
+        if (command[i] === '$') noteVariable(i);
+        current += command[i++];
+      }
+      if (i >= command.length) throw new Error('Unterminated double quote');
+      i++;
+    } else if (c === '\\' && next !== undefined) {
+      current += next;
+      i += 2;
+    } else {
+      if (c === '$') noteVariable(i);
+      current += c;
+      i++;
+    }
+  }
+
+  endWord();
+  return { words, variables: [...variables] };
+};
+
+// ============================================================================
+// CURL
+// ============================================================================
+
+const CURL_IGNORED_FLAGS = {
+  '-s': 'output', '--silent': 'output', '-S': 'output', '--show-error': 'output',
+  '-v': 'output', '--verbose': 'output', '-i': 'output', '--include': 'output',
+  '-f': 'output', '--fail': 'output', '--fail-with-body': 'output',
+  '-N': 'output', '--no-buffer': 'output', '-#': 'output', '--progress-bar': 'output',
+  '--no-progress-meter': 'output', '-O': 'output', '--remote-name': 'output',
+  '-J': 'output', '--remote-header-name': 'output', '--create-dirs': 'output',
+  '-g': 'globbing', '--globoff': 'globbing',
+  '-L': 'The browser follows redirects', '--location': 'The browser follows redirects',
+  '--compressed': 'The browser negotiates and decodes compression itself',
+  '-0': 'The browser picks the HTTP version', '--http1.0': 'The browser picks the HTTP version',
+  '--http1.1': 'The browser picks the HTTP version', '--http2': 'The browser picks the HTTP version',
+  '--http2-prior-knowledge': 'The browser picks the HTTP version', '--http3': 'The browser picks the HTTP version',
+  '--basic': 'Basic is the default'
+};
+
+const CURL_IGNORED_OPTIONS = {
+  '-o': 'output', '--output': 'output', '-w': 'output', '--write-out': 'output',
+  '-D': 'output', '--dump-header': 'output', '--stderr': 'output', '--trace': 'output',
+  '--trace-ascii': 'output', '-c': 'Cookies are not saved', '--cookie-jar': 'Cookies are not saved',
+  '--max-redirs': 'The browser follows redirects'
+};
+
+const CURL_UNSUPPORTED_FLAGS = {
+  '-k': 'TLS verification cannot be disabled in the browser',
+  '--insecure': 'TLS verification cannot be disabled in the browser',
+  '--digest': 'Only Basic and Bearer authentication can be converted',
+  '--ntlm': 'Only Basic and Bearer authentication can be converted',
+  '--negotiate': 'Only Basic and Bearer authentication can be converted',
+  '--anyauth': 'Only Basic and Bearer authentication can be converted',
+  '-n': 'Credentials from .netrc are not available', '--netrc': 'Credentials from .netrc are not available',
+  '--location-trusted': 'The browser decides which headers follow redirects',
+  '-Z': 'Only one request is converted', '--parallel': 'Only one request is converted',
+  '-:': 'Only one request is converted', '--next': 'Only one request is converted'
+};
+
+const CURL_UNSUPPORTED_OPTIONS = {
+  '-x': 'Proxies are not supported', '--proxy': 'Proxies are not supported',
+  '-U': 'Proxies are not supported', '--proxy-user': 'Proxies are not supported',
+  '-E': 'Client certificates are not supported', '--cert': 'Client certificates are not supported',
+  '--key': 'Client certificates are not supported', '--cacert': 'Custom CA certificates are not supported',
+  '--capath': 'Custom CA certificates are not supported',
+  '-T': 'Uploading local files is not supported', '--upload-file': 'Uploading local files is not supported',
+  '--resolve': 'DNS overrides are not supported', '--connect-to': 'DNS overrides are not supported',
+  '--interface': 'Network interfaces cannot be chosen', '--limit-rate': 'Rate limits are not supported',
+  '--connect-timeout': 'Only an overall timeout (-m) is supported', '--retry-delay': 'Retry delays use the policy backoff',
+  '--retry-max-time': 'Retry delays use the policy backoff',
+  '-K': 'Config files are not read', '--config': 'Config files are not read',
+  '-r': 'Use a Range header instead', '--range': 'Use a Range header instead',
+  '-z': 'Use an If-Modified-Since header instead', '--time-cond': 'Use an If-Modified-Since header instead',
+  '--unix-socket': 'Unix sockets are not supported', '--aws-sigv4': 'Request signing is not supported'
+};
+
+// Options that build the request: the handler receives the parse state and the option's value
+const CURL_OPTIONS = {
+  '-X': 'request', '--request': 'request',
+  '-H': 'header', '--header': 'header',
+  '-d': 'data', '--data': 'data', '--data-ascii': 'data',
+  '--data-raw': 'data-raw', '--data-binary': 'data-binary', '--data-urlencode': 'data-urlencode',
+  '--json': 'json',
+  '-F': 'form', '--form': 'form', '--form-string': 'form-string',
+  '-u': 'user', '--user': 'user', '--oauth2-bearer': 'bearer',
+  '-A': 'user-agent', '--user-agent': 'user-agent',
+  '-e': 'referer', '--referer': 'referer',
+  '-b': 'cookie', '--cookie': 'cookie',
+  '--url': 'url',
+  '-m': 'max-time', '--max-time': 'max-time', '--retry': 'retry'
+};
+
+const CURL_FLAGS = { '-G': 'get', '--get': 'get', '-I': 'head', '--head': 'head' };
+
+const takesValue = (option) => CURL_OPTIONS[option] !== undefined ||
+  CURL_IGNORED_OPTIONS[option] !== undefined ||
+  CURL_UNSUPPORTED_OPTIONS[option] !== undefined;
+
+const fromFile = (value) => value.startsWith('@') && value !== '@';
+
+// Each handler returns an error message or nothing
+const CURL_HANDLERS = {
+  request: (state, value) => { state.method = value.toUpperCase(); },
+  header: (state, value, option) => {
+    if (fromFile(value)) return state.unsupported.push({ option: `${option} ${value}`, reason: 'Headers from files are not read' });
+    const colon = value.indexOf(':');
+    if (colon === -1) {
+      // "Name;" sends an empty header
+      if (value.endsWith(';')) return state.headers.push([value.slice(0, -1).trim(), '']);
+      return state.warnings.push(`Ignored malformed header "${value}"`);
+    }
+    const name = value.slice(0, colon).trim();
+    const headerValue = value.slice(colon + 1).trim();
+    if (!headerValue) {
+      return state.ignored.push({ option: `${option} ${value}`, reason: 'Removes a header curl would add itself' });
+    }
+    state.headers.push([name, headerValue]);
+  },
+  data: (state, value, option) => {
+    if (fromFile(value)) return state.unsupported.push({ option: `${option} ${value}`, reason: 'Reading the body from a file is not supported' });
+    state.data.push(value);
+  },
+  'data-raw': (state, value) => { state.data.push(value); },
+  'data-binary': (state, value, option) => CURL_HANDLERS.data(state, value, option),
+  'data-urlencode': (state, value, option) => {
+    const equals = value.indexOf('=');
+    const at = value.indexOf('@');
+    if (at !== -1 && (equals === -1 || at < equals)) {
+      return state.unsupported.push({ option: `${option} ${value}`, reason: 'Reading the body from a file is not supported' });
+    }
+    if (equals === -1) return state.data.push(encodeURIComponent(value));
+    const name = value.slice(0, equals);
+    const encoded = encodeURIComponent(value.slice(equals + 1));
+    state.data.push(name ? `${name}=${encoded}` : encoded);
+  },
+  json: (state, value, option) => {
+    if (fromFile(value)) return state.unsupported.push({ option: `${option} ${value}`, reason: 'Reading the body from a file is not supported' });
+    state.data.push(value);
+    state.json = true;
+  },
+  form: (state, value, option) => {
+    const equals = value.indexOf('=');
+    if (equals === -1) return state.warnings.push(`Ignored malformed form field "${value}"`);
+
+    const name = value.slice(0, equals);
+    const content = value.slice(equals + 1);
+    if (content.startsWith('@') || content.startsWith('<')) {
+      return state.unsupported.push({ option: `${option} ${value}`, reason: 'Uploading local files is not supported' });
+    }
+
+    // name="value";type=...;filename=... (the value may be quoted to contain ";")
+    const quoted = content.match(/^"((?:[^"\\]|\\.)*)"(.*)$/);
+    const [data, rest] = quoted
+      ? [quoted[1].replace(/\\(.)/g, '$1'), quoted[2]]
+      : [content.split(';')[0], content.slice(content.split(';')[0].length)];
+    const part = { name, data };
+    rest.split(';').slice(1).forEach(attribute => {
+      const [key, ...attributeValue] = attribute.split('=');
+      const text = attributeValue.join('=').replace(/^"(.*)"$/, '$1');
+      if (key.trim() === 'type') part.contentType = text;
+      else if (key.trim() === 'filename') part.filename = text;
+      else if (key.trim()) state.warnings.push(`Ignored form field attribute "${attribute}" of "${name}"`);
+    });
+    state.form.push(part);
+  },
+  'form-string': (state, value) => {
+    const equals = value.indexOf('=');
+    if (equals === -1) return state.warnings.push(`Ignored malformed form field "${value}"`);
+    state.form.push({ name: value.slice(0, equals), data: value.slice(equals + 1) });
+  },
+  user: (state, value) => {
+    if (!value.includes(':')) {
+      state.warnings.push(`curl would prompt for the password of "${value}"; an empty password was used`);
+    }
+    state.authorization = basicAuthorization(value.includes(':') ? value : `${value}:`);
+  },
+  bearer: (state, value) => { state.authorization = `Bearer ${value}`; },
+  'user-agent': (state, value) => { state.headers.push(['User-Agent', value]); },
+  referer: (state, value) => { state.headers.push(['Referer', value.replace(/;auto$/, '')]); },
+  cookie: (state, value, option) => {
+    if (!value.includes('=')) {
+      return state.unsupported.push({ option: `${option} ${value}`, reason: 'Cookie files are not read' });
+    }
+    state.headers.push(['Cookie', value]);
+  },
+  url: (state, value) => { state.urls.push(value); },
+  'max-time': (state, value, option) => {
+    const seconds = Number(value);
+    if (!(seconds > 0)) return state.warnings.push(`Ignored invalid ${option} "${value}"`);
+    state.policy.timeoutSeconds = seconds;
+  },
+  retry: (state, value, option) => {
+    const retries = Number(value);
+    if (!Number.isInteger(retries) || retries < 0) return state.warnings.push(`Ignored invalid ${option} "${value}"`);
+    state.policy.retries = retries;
+  }
+};
+
+const applyCurlOption = (state, option, value) => {
+  if (CURL_FLAGS[option]) {
+    state[CURL_FLAGS[option]] = true;
+  } else if (CURL_OPTIONS[option]) {
+    CURL_HANDLERS[CURL_OPTIONS[option]](state, value, option);
+  } else if (CURL_IGNORED_FLAGS[option] || CURL_IGNORED_OPTIONS[option]) {
+    const reason = CURL_IGNORED_FLAGS[option] || CURL_IGNORED_OPTIONS[option];
+    state.ignored.push({
+      option: value === undefined ? option : `${option} ${value}`,
+      reason: reason === 'output' ? 'Only affects curl\'s output' : reason === 'globbing' ? 'URL globbing is not expanded' : reason
+    });
+  } else if (CURL_UNSUPPORTED_FLAGS[option] || CURL_UNSUPPORTED_OPTIONS[option]) {
+    state.unsupported.push({
+      option: value === undefined ? option : `${option} ${value}`,
+      reason: CURL_UNSUPPORTED_FLAGS[option] || CURL_UNSUPPORTED_OPTIONS[option]
+    });
+  } else {
+    state.unsupported.push({ option, reason: 'Unknown curl option' });
+  }
+};
+
+const parseCurl = (words) => {
+  const state = {
+    method: null,
+    urls: [],
+    headers: [],
+    data: [],
+    form: [],
+    json: false,
+    get: false,
+    head: false,
+    authorization: null,
+    policy: {},
+    unsupported: [],
+    ignored: [],
+    warnings: []
+  };
+
+  let optionsEnded = false;
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i];
+    const nextValue = () => {
+      if (i + 1 >= words.length) throw new Error(`Option ${word} requires a value`);
+      return words[++i];
+    };
+
+    if (optionsEnded || !word.startsWith('-') || word === '-') {
+      state.urls.push(word);
+    } else if (word === '--') {
+      optionsEnded = true;
+    } else if (word.startsWith('--')) {
+      applyCurlOption(state, word, takesValue(word) ? nextValue() : undefined);
+    } else {
+      // Short options can be combined (-sSL) and take their value attached (-XPOST)
+      for (let j = 1; j < word.length; j++) {
+        const option = `-${word[j]}`;
+        if (takesValue(option)) {
+          applyCurlOption(state, option, j + 1 < word.length ? word.slice(j + 1) : nextValue());
+          break;
+        }
+        applyCurlOption(state, option, undefined);
+      }
+    }
+  }
+
+  if (state.urls.length === 0) throw new Error('No URL found in the curl command');
+  state.urls.slice(1).forEach(url => state.unsupported.push({ option: url, reason: 'Only the first URL is converted' }));
+  if (state.data.length > 0 && state.form.length > 0) {
+    throw new Error('curl cannot combine -d/--data with -F/--form');
+  }
+
+  const headers = {};
+  state.headers.forEach(([name, value]) => addHeader(headers, name, value));
+  if (state.authorization) setDefaultHeader(headers, 'Authorization', state.authorization);
+
+  let url = withScheme(state.urls[0], 'http', state.warnings);
+  const request = {};
+  const hasBody = state.data.length > 0 || state.form.length > 0;
+
+  if (state.get && state.data.length > 0) {
+    url = appendQuery(url, state.data.join('&'));
+  } else if (state.data.length > 0) {
+    request.body = state.data.join(state.json ? '' : '&');
+    if (state.json) {
+      setDefaultHeader(headers, 'Content-Type', 'application/json');
+      setDefaultHeader(headers, 'Accept', 'application/json');
+    } else {
+      setDefaultHeader(headers, 'Content-Type', 'application/x-www-form-urlencoded');
+    }
+  } else if (state.form.length > 0) {
+    request.multipart = state.form;
+  }
+
+  request.method = state.method ||
+    (state.head ? 'HEAD' : state.get ? 'GET' : hasBody ? 'POST' : 'GET');
+
+  return {
+    request: finishImport(request, url, headers, state),
+    unsupported: state.unsupported,
+    ignored: state.ignored,
+    warnings: state.warnings
+  };
+};
+
+// ============================================================================
+// HTTPIE
+// ============================================================================
+
+const HTTPIE_IGNORED_FLAGS = {
+  '-v': 'output', '--verbose': 'output', '-h': 'output', '--headers': 'output',
+  '-b': 'output', '--body': 'output', '-m': 'output', '--meta': 'output',
+  '-q': 'output', '--quiet': 'output', '-S': 'output', '--stream': 'output',
+  '--all': 'output', '--offline': 'output', '-d': 'output', '--download': 'output',
+  '-c': 'output', '--continue': 'output', '--check-status': 'output',
+  '-I': 'stdin', '--ignore-stdin': 'stdin', '--chunked': 'Transfer encoding is chosen by the browser',
+  '-F': 'The browser follows redirects', '--follow': 'The browser follows redirects',
+  '--path-as-is': 'The browser normalizes the path', '--ignore-netrc': 'Credentials from .netrc are not read'
+};
+
+const HTTPIE_IGNORED_OPTIONS = {
+  '-p': 'output', '--print': 'output', '-P': 'output', '--history-print': 'output',
+  '--pretty': 'output', '-s': 'output', '--style': 'output', '--format-options': 'output',
+  '--response-charset': 'output', '--response-mime': 'output', '-o': 'output', '--output': 'output',
+  '--max-redirects': 'The browser follows redirects', '--default-scheme': 'scheme',
+  '--boundary': 'The browser picks the multipart boundary'
+};
+
+const HTTPIE_UNSUPPORTED_FLAGS = {
+  '-x': 'Request body compression is not supported', '--compress': 'Request body compression is not supported'
+};
+
+const HTTPIE_UNSUPPORTED_OPTIONS = {
+  '--session': 'Sessions are not read', '--session-read-only': 'Sessions are not read',
+  '--proxy': 'Proxies are not supported', '--cert': 'Client certificates are not supported',
+  '--cert-key': 'Client certificates are not supported', '--cert-key-pass': 'Client certificates are not supported',
+  '--ssl': 'The browser picks the TLS version', '--ciphers': 'The browser picks the TLS ciphers'
+};
+
+const HTTPIE_OPTIONS = ['-a', '--auth', '-A', '--auth-type', '--raw', '--timeout', '--verify'];
+
+const httpieTakesValue = (option) => HTTPIE_OPTIONS.includes(option) ||
+  HTTPIE_IGNORED_OPTIONS[option] !== undefined ||
+  HTTPIE_UNSUPPORTED_OPTIONS[option] !== undefined;
+
+// Separators of request items, longest first so "==" wins over "=" at the same position
+const ITEM_SEPARATORS = [':=@', '==', '=@', ':=', '@', '=', ':', ';'];
+
+// Split "name<sep>value", honouring backslash-escaped separator characters in the name
+const splitItem = (item) => {
+  let name = '';
+  for (let i = 0; i < item.length; i++) {
+    if (item[i] === '\\' && i + 1 < item.length) {
+      name += item[++i];
+      continue;
+    }
+    const separator = ITEM_SEPARATORS.find(candidate => item.startsWith(candidate, i));
+    if (separator) {
+      return { name, separator, value: item.slice(i + separator.length).replace(/\\(.)/g, '$1') };
+    }
+    name += item[i];
+  }
+  return null;
+};
+
+const parseHttpie = (words) => {
+  const state = {
+    mode: 'json',
+    auth: null,
+    authType: 'basic',
+    raw: null,
+    policy: {},
+    unsupported: [],
+    ignored: [],
+    warnings: []
+  };
+  const positional = [];
+
+  let optionsEnded = false;
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i];
+    if (optionsEnded || !word.startsWith('-') || word === '-' || /^-\d/.test(word)) {
+      positional.push(word);
+      continue;
+    }
+    if (word === '--') {
+      optionsEnded = true;
+      continue;
+    }
+
+    const equals = word.startsWith('--') ? word.indexOf('=') : -1;
+    const option = equals === -1 ? word : word.slice(0, equals);
+    let value;
+    if (httpieTakesValue(option)) {
+      if (equals !== -1) {
+        value = word.slice(equals + 1);
+      } else {
+        if (i + 1 >= words.length) throw new Error(`Option ${option} requires a value`);
+        value = words[++i];
+      }
+    }
+
+    if (option === '--json' || option === '-j') state.mode = 'json';
+    else if (option === '--form' || option === '-f') state.mode = state.mode === 'multipart' ? 'multipart' : 'form';
+    else if (option === '--multipart') state.mode = 'multipart';
+    else if (option === '-a' || option === '--auth') state.auth = value;
+    else if (option === '-A' || option === '--auth-type') state.authType = value.toLowerCase();
+    else if (option === '--raw') state.raw = value;
+    else if (option === '--timeout') {
+      if (Number(value) > 0) state.policy.timeoutSeconds = Number(value);
+      else state.warnings.push(`Ignored invalid --timeout "${value}"`);
+    } else if (option === '--verify') {
+      if (/^(no|false)$/i.test(value)) {
+        state.unsupported.push({ option: `${option} ${value}`, reason: 'TLS verification cannot be disabled in the browser' });
+      } else if (!/^(yes|true)$/i.test(value)) {
+        state.unsupported.push({ option: `${option} ${value}`, reason: 'Custom CA certificates are not supported' });
+      }
+    } else if (HTTPIE_IGNORED_FLAGS[option] || HTTPIE_IGNORED_OPTIONS[option]) {
+      const reason = HTTPIE_IGNORED_FLAGS[option] || HTTPIE_IGNORED_OPTIONS[option];
+      state.ignored.push({
+        option: value === undefined ? option : `${option} ${value}`,
+        reason: reason === 'output' ? 'Only affects HTTPie\'s output'
+          : reason === 'stdin' ? 'Standard input is not read'
+            : reason === 'scheme' ? 'URLs without a scheme use the command\'s default' : reason
+      });
+    } else if (HTTPIE_UNSUPPORTED_FLAGS[option] || HTTPIE_UNSUPPORTED_OPTIONS[option]) {
+      state.unsupported.push({
+        option: value === undefined ? option : `${option} ${value}`,
+        reason: HTTPIE_UNSUPPORTED_FLAGS[option] || HTTPIE_UNSUPPORTED_OPTIONS[option]
+      });
+    } else {
+      state.unsupported.push({ option, reason: 'Unknown HTTPie option' });
+    }
+  }
+
+  // An optional METHOD comes before the URL
+  let method = null;
+  if (positional.length > 1 && /^[a-zA-Z]+$/.test(positional[0])) {
+    method = positional.shift().toUpperCase();
+  }
+  if (positional.length === 0) throw new Error('No URL found in the HTTPie command');
+
+  const scheme = words[0].toLowerCase().endsWith('https') ? 'https' : 'http';
+  let url = positional.shift();
+  // ":3000/path" and ":/path" are shorthands for localhost
+  const localhost = url.match(/^:(\d*)(\/.*)?$/);
+  if (localhost) {
+    url = `${scheme}://localhost${localhost[1] ? `:${localhost[1]}` : ''}${localhost[2] || ''}`;
+  } else if (!/^[a-z][a-z\d+.-]*:\/\//i.test(url)) {
+    url = `${scheme}://${url}`;
+  }
+
+  const headers = {};
+  const query = [];
+  const fields = [];
+  positional.forEach(item => {
+    const parsed = splitItem(item);
+    if (!parsed) {
+      state.unsupported.push({ option: item, reason: 'Not a request item (Header:Value, name==query, field=value or field:=json)' });
+      return;
+    }
+
+    const { name, separator, value } = parsed;
+    if (separator === ':') {
+      if (value) addHeader(headers, name, value);
+      else state.ignored.push({ option: item, reason: 'Removes a header HTTPie would add itself' });
+    } else if (separator === ';') {
+      addHeader(headers, name, '');
+    } else if (separator === '==') {
+      query.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    } else if (separator === '=' || separator === ':=') {
+      let fieldValue = value;
+      if (separator === ':=') {
+        try {
+          fieldValue = JSON.parse(value);
+        } catch (e) {
+          throw new Error(`Invalid JSON in "${item}"`);
+        }
+      }
+      if (/\[.*\]/.test(name)) {
+        state.warnings.push(`Nested field "${name}" was kept as a flat key`);
+      }
+      fields.push({ name, value: fieldValue, json: separator === ':=' });
+    } else {
+      state.unsupported.push({ option: item, reason: 'Reading files is not supported' });
+    }
+  });
+
+  if (state.auth !== null) {
+    if (state.authType === 'bearer') {
+      setDefaultHeader(headers, 'Authorization', `Bearer ${state.auth}`);
+    } else if (state.authType === 'basic') {
+      if (!state.auth.includes(':')) {
+        state.warnings.push(`HTTPie would prompt for the password of "${state.auth}"; an empty password was used`);
+      }
+      setDefaultHeader(headers, 'Authorization', basicAuthorization(state.auth.includes(':') ? state.auth : `${state.auth}:`));
+    } else {
+      state.unsupported.push({ option: `--auth-type ${state.authType}`, reason: 'Only Basic and Bearer authentication can be converted' });
+    }
+  }
+
+  const request = {};
+  if (state.raw !== null) {
+    if (fields.length > 0) throw new Error('HTTPie cannot combine --raw with data fields');
+    request.body = state.raw;
+    setDefaultHeader(headers, 'Content-Type', state.mode === 'form' ? 'application/x-www-form-urlencoded; charset=utf-8' : 'application/json');
+  } else if (fields.length > 0 && state.mode === 'multipart') {
+    request.multipart = fields.map(field => ({
+      name: field.name,
+      data: typeof field.value === 'string' ? field.value : JSON.stringify(field.value)
+    }));
+  } else if (fields.length > 0 && state.mode === 'form') {
+    if (fields.some(field => field.json)) throw new Error('Raw JSON fields (:=) cannot be sent with --form');
+    request.body = fields.map(field => `${encodeURIComponent(field.name)}=${encodeURIComponent(field.value)}`).join('&');
+    setDefaultHeader(headers, 'Content-Type', 'application/x-www-form-urlencoded; charset=utf-8');
+  } else if (fields.length > 0) {
+    request.body = JSON.stringify(Object.fromEntries(fields.map(field => [field.name, field.value])));
+    setDefaultHeader(headers, 'Content-Type', 'application/json');
+    setDefaultHeader(headers, 'Accept', 'application/json, */*;q=0.5');
+  }
+
+  request.method = method || (request.body !== undefined || request.multipart ? 'POST' : 'GET');
+
+  return {
+    request: finishImport(request, appendQuery(url, query.join('&')), headers, state),
+    unsupported: state.unsupported,
+    ignored: state.ignored,
+    warnings: state.warnings
+  };
+};
+
+// Assemble the request in the `localhost:execute` field order
+const finishImport = (request, url, headers, state) => {
+  // The browser writes its own multipart boundary
+  const contentType = findHeader(headers, 'Content-Type');
+  if (request.multipart && contentType !== undefined) {
+    state.ignored.push({
+      option: `${contentType}: ${headers[contentType]}`,
+      reason: 'The browser writes the multipart Content-Type with its own boundary'
+    });
+    delete headers[contentType];
+  }
+
+  return {
+    method: request.method,
+    url,
+    headers,
+    ...(request.body !== undefined && { body: request.body }),
+    ...(request.multipart && { multipart: request.multipart }),
+    ...(Object.keys(state.policy).length > 0 && { policy: state.policy })
+  };
+};
+
+/**
+ * Convert a curl or HTTPie command line into a `localhost:execute` request. Options that cannot be
+ * represented are listed in `unsupported`, options that only affect the tool's output in `ignored`.
+ * @param {string} command - Command line, possibly spanning lines with "\" continuations
+ * @returns {{ format?: string, request?: object, unsupported?: object[], ignored?: object[], warnings?: string[], error?: string }}
+ */
+const importCommand = (command) => {
+  if (typeof command !== 'string' || !command.trim()) {
+    return { error: 'command must be a non-empty string' };
+  }
+  if (Buffer.byteLength(command) > snippetConfig.maxCommandBytes) {
+    return { error: `Command too large (max ${snippetConfig.maxCommandBytes} bytes)` };
+  }
+
+  try {
+    // A leading shell prompt is common in copied documentation
+    const { words, variables, stoppedAt } = tokenize(command.trim().replace(/^\$\s+/, ''));
+    if (words.length === 0) return { error: 'command is empty' };
+
+    const program = words[0].split(/[\\/]/).pop().replace(/\.exe$/i, '').toLowerCase();
+    let result;
+    if (program === 'curl') {
+      result = { format: 'curl', ...parseCurl(words) };
+    } else if (program === 'http' || program === 'https') {
+      result = { format: 'httpie', ...parseHttpie(words) };
+    } else {
+      return { error: `Unrecognized command "${words[0]}"; expected curl, http or https` };
+    }
+
+    if (stoppedAt) {
+      result.warnings.push(`Ignored everything after "${stoppedAt}"`);
+    }
+    if (variables.length > 0) {
+      result.warnings.push(`Shell variables were not expanded: ${variables.map(name => `$${name}`).join(', ')}; use {{name}} placeholders with an environment instead`);
+    }
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+const shellQuote = (value) => (/^[\w@%+=:,./-]+$/.test(value)
+  ? value
+  : `'${value.replace(/'/g, '\'\\\'\'')}'`);
+
+const jsString = (value) => JSON.stringify(value);
+
+// JSON text is valid Python once literals are renamed; strings use the same escapes
+const pythonLiteral = (value, indent = '') => {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'None';
+  if (typeof value === 'string') return JSON.stringify(value);
+
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${pythonLiteral(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)},`).join('\n')}\n${indent}}`;
+};
+
+const indentLines = (text, indent) => text.split('\n').join(`\n${indent}`);
+
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === 'object' && Object.keys(value).length === 0);
+
+/**
+ * Validate a request for export and settle what will be sent: the body as text or bytes,
+ * and the Content-Type the browser would have used
+ * @param {object} request - `localhost:execute` request; binary bodies as base64 with bodyEncoding "base64"
+ * @returns {{ request?: object, warnings?: string[], error?: string }}
+ */
+const normalizeForExport = (request) => {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return { error: 'request must be an object' };
+  }
+  if (typeof request.url !== 'string' || !request.url) {
+    return { error: 'request.url is required' };
+  }
+  if (request.method !== undefined && (typeof request.method !== 'string' || !/^[A-Za-z]+$/.test(request.method))) {
+    return { error: 'request.method must be an HTTP method' };
+  }
+  if (request.headers !== undefined && (!request.headers || typeof request.headers !== 'object' || Array.isArray(request.headers))) {
+    return { error: 'request.headers must be an object' };
+  }
+  if (!isEmpty(request.body) && request.multipart !== undefined) {
+    return { error: 'Use either body or multipart, not both' };
+  }
+
+  const warnings = [];
+  const headers = Object.fromEntries(Object.entries(request.headers || {}).map(([name, value]) => [name, String(value)]));
+  const normalized = { method: (request.method || 'GET').toUpperCase(), url: request.url, headers };
+
+  if (request.multipart !== undefined) {
+    if (!Array.isArray(request.multipart)) return { error: 'request.multipart must be an array of parts' };
+    const parts = [];
+    for (const part of request.multipart) {
+      if (!part || typeof part.name !== 'string' || !part.name || typeof part.data !== 'string') {
+        return { error: 'Each multipart part requires a name and string data' };
+      }
+      parts.push({
+        name: part.name,
+        ...(part.filename !== undefined && { filename: String(part.filename) }),
+        ...(part.contentType !== undefined && { contentType: String(part.contentType) }),
+        ...(part.dataEncoding === 'base64'
+          ? { bytes: Buffer.from(part.data, 'base64') }
+          : { text: part.data })
+      });
+    }
+    normalized.multipart = parts;
+
+    const contentType = findHeader(headers, 'Content-Type');
+    if (contentType !== undefined) {
+      delete headers[contentType];
+      warnings.push('Content-Type was left out so the multipart boundary is written by the client');
+    }
+  } else if (request.body !== undefined && request.body !== null) {
+    if (request.bodyEncoding === 'base64') {
+      if (typeof request.body !== 'string') return { error: 'A base64 body must be a string' };
+      normalized.bytes = Buffer.from(request.body, 'base64');
+    } else if (typeof request.body === 'string') {
+      normalized.text = request.body;
+      setDefaultHeader(headers, 'Content-Type', TEXT_CONTENT_TYPE);
+    } else {
+      normalized.json = request.body;
+      setDefaultHeader(headers, 'Content-Type', 'application/json');
+    }
+  }
+
+  if ((normalized.method === 'GET' || normalized.method === 'HEAD') &&
+    (normalized.text !== undefined || normalized.json !== undefined || normalized.bytes || normalized.multipart)) {
+    warnings.push(`fetch rejects a body on ${normalized.method} requests`);
+  }
+  if (!isEmpty(request.params)) {
+    warnings.push('params are applied by the browser client and are not part of the snippets');
+  }
+  if (!isEmpty(request.auth)) {
+    warnings.push('auth is applied by the browser client and is not part of the snippets; add an Authorization header instead');
+  }
+  if (request.environment !== undefined) {
+    warnings.push(`{{placeholders}} from environment "${request.environment}" are not resolved in the snippets`);
+  }
+
+  return { request: normalized, warnings };
+};
+
+const bodyText = (request) => (request.json !== undefined ? JSON.stringify(request.json) : request.text);
+
+const toCurl = (request, warnings) => {
+  const lines = [];
+  const bodyless = request.text === undefined && request.json === undefined && !request.bytes && !request.multipart;
+  if (request.method === 'HEAD' && bodyless) {
+    lines.push('--head');
+  } else if (!(request.method === 'GET' && bodyless) && !(request.method === 'POST' && !bodyless)) {
+    lines.push(`-X ${shellQuote(request.method)}`);
+  }
+  Object.entries(request.headers).forEach(([name, value]) => {
+    lines.push(`-H ${shellQuote(value ? `${name}: ${value}` : `${name};`)}`);
+  });
+
+  let prefix = '';
+  if (request.bytes) {
+    prefix = `printf %s ${shellQuote(request.bytes.toString('base64'))} | base64 -d | `;
+    lines.push('--data-binary @-');
+  } else if (bodyText(request) !== undefined) {
+    lines.push(`--data-raw ${shellQuote(bodyText(request))}`);
+  } else if (request.multipart) {
+    request.multipart.forEach(part => {
+      if (part.bytes) {
+        const filename = part.filename || part.name;
+        warnings.push(`curl: save the contents of part "${part.name}" as ${filename}`);
+        lines.push(`-F ${shellQuote(`${part.name}=@${filename}${part.contentType ? `;type=${part.contentType}` : ''}`)}`);
+      } else if (part.filename === undefined && part.contentType === undefined) {
+        lines.push(`--form-string ${shellQuote(`${part.name}=${part.text}`)}`);
+      } else {
+        const quoted = `"${part.text.replace(/(["\\])/g, '\\$1')}"`;
+        const attributes = `${part.contentType ? `;type=${part.contentType}` : ''}${part.filename !== undefined ? `;filename="${part.filename}"` : ''}`;
+        lines.push(`-F ${shellQuote(`${part.name}=${quoted}${attributes}`)}`);
+      }
+    });
+  }
+
+  return [`${prefix}curl ${shellQuote(request.url)}`, ...lines].join(' \\\n  ');
+};
+
+const toHttpie = (request, warnings) => {
+  const items = [];
+  Object.entries(request.headers).forEach(([name, value]) => {
+    items.push(shellQuote(value ? `${name}:${value}` : `${name};`));
+  });
+
+  let prefix = '';
+  const options = [];
+  if (request.bytes) {
+    prefix = `printf %s ${shellQuote(request.bytes.toString('base64'))} | base64 -d | `;
+  } else if (bodyText(request) !== undefined) {
+    options.push(`--raw ${shellQuote(bodyText(request))}`);
+  } else if (request.multipart) {
+    options.push('--multipart');
+    request.multipart.forEach(part => {
+      if (part.filename === undefined && part.contentType === undefined && part.text !== undefined) {
+        items.push(shellQuote(`${part.name}=${part.text}`));
+        return;
+      }
+      const filename = part.filename || part.name;
+      warnings.push(`httpie: save the contents of part "${part.name}" as ${filename}`);
+      items.push(shellQuote(`${part.name}@${filename}${part.contentType ? `;type=${part.contentType}` : ''}`));
+    });
+  }
+
+  return [`${prefix}http ${[...options, request.method, shellQuote(request.url)].join(' ')}`, ...items].join(' \\\n  ');
+};
+
+const jsBytes = (bytes) => `Uint8Array.from(atob(${jsString(bytes.toString('base64'))}), c => c.charCodeAt(0))`;
+
+const toFetch = (request) => {
+  const lines = [];
+  const options = [`  method: ${jsString(request.method)}`];
+
+  if (Object.keys(request.headers).length > 0) {
+    options.push(`  headers: ${indentLines(JSON.stringify(request.headers, null, 2), '  ')}`);
+  }
+
+  if (request.multipart) {
+    lines.push('const form = new FormData();');
+    request.multipart.forEach(part => {
+      const data = part.bytes ? jsBytes(part.bytes) : jsString(part.text);
+      if (part.filename === undefined && part.contentType === undefined && !part.bytes) {
+        lines.push(`form.append(${jsString(part.name)}, ${data});`);
+      } else {
+        const blob = `new Blob([${data}]${part.contentType ? `, { type: ${jsString(part.contentType)} }` : ''})`;
+        lines.push(`form.append(${jsString(part.name)}, ${blob}${part.filename !== undefined ? `, ${jsString(part.filename)}` : ''});`);
+      }
+    });
+    lines.push('');
+    options.push('  body: form');
+  } else if (request.bytes) {
+    options.push(`  body: ${jsBytes(request.bytes)}`);
+  } else if (request.json !== undefined) {
+    options.push(`  body: JSON.stringify(${indentLines(JSON.stringify(request.json, null, 2), '  ')})`);
+  } else if (request.text !== undefined) {
+    options.push(`  body: ${jsString(request.text)}`);
+  }
+
+  lines.push(`const response = await fetch(${jsString(request.url)}, {\n${options.join(',\n')}\n});`);
+  lines.push('console.log(response.status, await response.text());');
+  return lines.join('\n');
+};
+
+const toPython = (request) => {
+  const imports = ['import requests'];
+  const lines = [`url = ${JSON.stringify(request.url)}`];
+  const args = ['url'];
+
+  if (Object.keys(request.headers).length > 0) {
+    lines.push(`headers = ${pythonLiteral(request.headers)}`);
+    args.push('headers=headers');
+  }
+
+  if (request.multipart) {
+    const files = request.multipart.map(part => {
+      const data = part.bytes ? `base64.b64decode(${JSON.stringify(part.bytes.toString('base64'))})` : JSON.stringify(part.text);
+      const tuple = [part.filename !== undefined ? JSON.stringify(part.filename) : 'None', data];
+      if (part.contentType) tuple.push(JSON.stringify(part.contentType));
+      return `    (${JSON.stringify(part.name)}, (${tuple.join(', ')})),`;
+    });
+    if (request.multipart.some(part => part.bytes)) imports.unshift('import base64');
+    lines.push(`files = [\n${files.join('\n')}\n]`);
+    args.push('files=files');
+  } else if (request.bytes) {
+    imports.unshift('import base64');
+    lines.push(`payload = base64.b64decode(${JSON.stringify(request.bytes.toString('base64'))})`);
+    args.push('data=payload');
+  } else if (request.json !== undefined) {
+    lines.push(`payload = ${pythonLiteral(request.json)}`);
+    args.push('json=payload');
+  } else if (request.text !== undefined) {
+    lines.push(`payload = ${JSON.stringify(request.text)}`);
+    args.push('data=payload.encode("utf-8")');
+  }
+
+  return [
+    imports.join('\n'),
+    '',
+    ...lines,
+    '',
+    `response = requests.request(${JSON.stringify(request.method)}, ${args.join(', ')})`,
+    'print(response.status_code, response.text)'
+  ].join('\n');
+};
+
+const EXPORTERS = { curl: toCurl, httpie: toHttpie, fetch: toFetch, python: toPython };
+
+/**
+ * Render a request as runnable curl, HTTPie, JavaScript fetch and Python requests snippets
+ * @param {object} request - `localhost:execute` request (see normalizeForExport)
+ * @param {string[]} [formats] - Subset of EXPORT_FORMATS
+ * @returns {{ snippets?: object, warnings?: string[], error?: string }}
+ */
+const exportRequest = (request, formats = EXPORT_FORMATS) => {
+  if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !EXPORT_FORMATS.includes(format))) {
+    return { error: `formats must be a list of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const { request: normalized, warnings, error } = normalizeForExport(request);
+  if (error) return { error };
+
+  const snippets = {};
+  formats.forEach(format => {
+    snippets[format] = EXPORTERS[format](normalized, warnings);
+  });
+  return { snippets, warnings };
+};
+
+module.exports = {
+  snippetConfig,
+  EXPORT_FORMATS,
+  tokenize,
+  importCommand,
+  exportRequest
+};
@@ -0,0 +1,187 @@
+require('dotenv').config();
+
+// Streaming configuration
+const streamConfig = {
+  maxBytesPerSession: parseInt(process.env.STREAM_MAX_BYTES_PER_SESSION || String(100 * 1024 * 1024)),
+  maxChunkBytes: parseInt(process.env.STREAM_MAX_CHUNK_BYTES || String(512 * 1024)),
+  idleTimeoutMs: parseInt(process.env.STREAM_IDLE_TIMEOUT_SECONDS || '60') * 1000,
+  ackTimeoutMs: parseInt(process.env.STREAM_ACK_TIMEOUT_SECONDS || '10') * 1000
+};
+
+// Size of a chunk payload in bytes (strings are measured as UTF-8)
+const chunkSize = (data) => {
+  if (Buffer.isBuffer(data)) return data.length;
+  if (data instanceof ArrayBuffer) return data.byteLength;
+  if (ArrayBuffer.isView(data)) return data.byteLength;
+  if (typeof data === 'string') return Buffer.byteLength(data);
+  return -1;
+};
+
+// Restart the idle timer; long-lived streams only time out when the browser goes quiet
+const resetIdleTimer = (pending) => {
+  clearTimeout(pending.timeout);
+  pending.timeout = setTimeout(pending.stream.onIdle, streamConfig.idleTimeoutMs);
+};
+
+/**
+ * Switch a pending request into streaming mode after `localhost:fetchStart`
+ * @param {object} pending - Entry from pendingRequests
+ * @param {object} start - { status, statusText, headers }
+ * @param {Function} onIdle - Called when no chunk arrives within the idle timeout
+ * @returns {{ ok: boolean, error?: string }}
+ */
+const startStream = (pending, start, onIdle) => {
+  if (pending.stream) {
+    return { ok: false, error: 'Stream already started' };
+  }
+
+  pending.stream = {
+    status: start.status,
+    statusText: start.statusText,
+    headers: start.headers || {},
+    nextSeq: 0,
+    bytes: 0,
+    startedAt: Date.now(),
+    onIdle
+  };
+  resetIdleTimer(pending);
+
+  pending.sink.start({
+    requestId: pending.requestData.requestId,
+    status: start.status,
+    statusText: start.statusText,
+    headers: pending.stream.headers
+  });
+
+  return { ok: true };
+};
+
+/**
+ * Forward a `localhost:fetchChunk` to the caller, waiting for its acknowledgement
+ * @param {object} pending - Entry from pendingRequests
+ * @param {object} session - Entry from activeSessions (for the per-session byte cap)
+ * @param {object} chunk - { seq, data }
+ * @returns {Promise<{ ok: boolean, seq?: number, duplicate?: boolean, error?: string }>}
+ */
+const pushChunk = async (pending, session, chunk) => {
+  const stream = pending.stream;
+  if (!stream) {
+    return { ok: false, error: 'Stream not started' };
+  }
+
+  // Retransmitted chunks are acknowledged again but not forwarded twice
+  if (Number.isInteger(chunk.seq) && chunk.seq < stream.nextSeq) {
+    return { ok: true, seq: chunk.seq, duplicate: true };
+  }
+
+  if (chunk.seq !== stream.nextSeq) {
+    return { ok: false, error: `Out-of-order chunk: expected ${stream.nextSeq}, got ${chunk.seq}` };
+  }
+
+  const bytes = chunkSize(chunk.data);
+  if (bytes < 0) {
+    return { ok: false, error: 'Chunk data must be a string or binary' };
+  }
+
+  if (bytes > streamConfig.maxChunkBytes) {
+    return { ok: false, error: 'Chunk too large' };
+  }
+
+  if (session && (session.streamedBytes || 0) + bytes > streamConfig.maxBytesPerSession) {
+    return { ok: false, error: 'Session stream byte limit exceeded' };
+  }
+
+  stream.nextSeq++;
+  stream.bytes += bytes;
+  if (session) {
+    session.streamedBytes = (session.streamedBytes || 0) + bytes;
+  }
+  resetIdleTimer(pending);
+
+  // Hold the browser's acknowledgement until the caller has taken the chunk
+  await pending.sink.chunk({
+    requestId: pending.requestData.requestId,
+    seq: chunk.seq,
+    data: chunk.data
+  });
+
+  return { ok: true, seq: chunk.seq };
+};
+
+/**
+ * Finish a stream after `localhost:fetchEnd`
+ * @param {object} pending - Entry from pendingRequests
+ * @param {object} end - { time, trailers }
+ * @returns {object} - Summary passed to the `localhost:execute` callback
+ */
+const endStream = (pending, end) => {
+  const stream = pending.stream;
+  const summary = {
+    requestId: pending.requestData.requestId,
+    streamed: true,
+    status: stream.status,
+    statusText: stream.statusText,
+    headers: stream.headers,
+    chunks: stream.nextSeq,
+    size: stream.bytes,
+    time: end.time !== undefined ? end.time : Date.now() - stream.startedAt,
+    timestamp: new Date().toISOString()
+  };
+
+  return pending.sink.end(summary) || summary;
+};
+
+/**
+ * Notify the caller that a started stream failed
+ * @param {object} pending - Entry from pendingRequests
+ * @param {string} message - Error message
+ */
+const abortStream = (pending, message) => {
+  if (!pending.stream) return;
+  pending.sink.error({
+    requestId: pending.requestData.requestId,
+    message
+  });
+};
+
+/**
+ * Sink that delivers a stream to the Socket.IO caller of `localhost:execute`
+ * @param {import('socket.io').Socket} socket - Caller socket
+ * @returns {object} - Stream sink
+ */
+const socketSink = (socket) => ({
+  start: (meta) => socket.emit('localhost:streamStart', meta),
+  chunk: (chunk) => new Promise((resolve) => {
+    socket.timeout(streamConfig.ackTimeoutMs).emit('localhost:streamChunk', chunk, () => resolve());
+  }),
+  end: (summary) => {
+    socket.emit('localhost:streamEnd', summary);
+  },
+  error: (data) => socket.emit('localhost:streamError', data)
+});
+
+/**
+ * Sink that collects a stream into a single response body
+ * @returns {object} - Stream sink
+ */
+const bufferSink = () => {
+  const chunks = [];
+  return {
+    start: () => {},
+    chunk: async (chunk) => {
+      chunks.push(Buffer.isBuffer(chunk.data) ? chunk.data : Buffer.from(chunk.data));
+    },
+    end: (summary) => ({ ...summary, body: Buffer.concat(chunks) }),
+    error: () => {}
+  };
+};
+
+module.exports = {
+  streamConfig,
+  startStream,
+  pushChunk,
+  endStream,
+  abortStream,
+  socketSink,
+  bufferSink
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const net = require('net');
+require('dotenv').config();
+
+// Error code returned when a relay target is rejected by the policy
+const TARGET_NOT_ALLOWED = 'TARGET_NOT_ALLOWED';
+
+/*
+ * Policy format (TARGET_POLICY_FILE or TARGET_POLICY as JSON):
+ *
+ * {
+ *   "defaultAction": "deny",
+ *   "rules": [{ "name", "action": "allow"|"deny", "schemes", "hosts", "cidrs", "ports", "pathPrefixes" }],
+ *   "users": { "<userId>": { "rules": [...] } },
+ *   "teams": { "<team>": { "rules": [...] } }
+ * }
+ *
+ * Every condition a rule lists must match (a list matches if any entry does); omitted
+ * conditions match anything. User rules are checked first, then team rules, then the
+ * global rules; the first matching rule decides. WebSocket targets also match rules
+ * written for their HTTP counterpart (ws -> http, wss -> https).
+ */
+
+// Built-in policy used when no policy is configured
+const DEFAULT_POLICY = {
+  defaultAction: 'deny',
+  rules: [
+    {
+      name: 'loopback',
+      action: 'allow',
+      schemes: ['http', 'https'],
+      hosts: ['localhost', '*.localhost'],
+      cidrs: ['127.0.0.0/8', '::1/128']
+    },
+    {
+      name: 'private-ipv4',
+      action: 'allow',
+      schemes: ['http', 'https'],
+      cidrs: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16']
+    },
+    {
+      name: 'ipv6-ula',
+      action: 'allow',
+      schemes: ['http', 'https'],
+      cidrs: ['fc00::/7']
+    },
+    {
+      name: 'mdns',
+      action: 'allow',
+      schemes: ['http', 'https'],
+      hosts: ['*.local']
+    },
+    {
+      name: 'docker-host',
+      action: 'allow',
+      schemes: ['http', 'https'],
+      hosts: ['host.docker.internal', 'gateway.docker.internal']
+    }
+  ]
+};
+
+const loadPolicyConfig = () => {
+  if (process.env.TARGET_POLICY_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.TARGET_POLICY_FILE, 'utf8'));
+  }
+  if (process.env.TARGET_POLICY) {
+    return JSON.parse(process.env.TARGET_POLICY);
+  }
+  return DEFAULT_POLICY;
+};
+
+// Target policy configuration
+const policyConfig = {
+  teamClaim: process.env.TARGET_POLICY_TEAM_CLAIM || 'team'
+};
+
+// Strip IPv6 brackets and unwrap IPv4-mapped IPv6 addresses
+const normalizeHost = (hostname) => {
+  let host = hostname.toLowerCase();
+  if (host.startsWith('[') && host.endsWith(']')) {
+    host = host.slice(1, -1);
+  }
+
+  // WHATWG URL serializes ::ffff:127.0.0.1 as ::ffff:7f00:1
+  const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const high = parseInt(mapped[1], 16);
+    const low = parseInt(mapped[2], 16);
+    host = [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+  return host;
+};
+
+// "*.example" matches subdomains only, "*" matches any host, anything else is exact
+const hostMatches = (pattern, host) => {
+  const p = pattern.toLowerCase();
+  if (p === '*') return true;
+  if (p.startsWith('*.')) return host.endsWith(p.slice(1));
+  return host === p;
+};
+
+const parsePortRange = (entry) => {
+  const [from, to] = String(entry).split('-').map(part => parseInt(part.trim()));
+  if (Number.isNaN(from) || (to !== undefined && Number.isNaN(to))) {
+    throw new Error(`Invalid port range: ${entry}`);
+  }
+  return { from, to: to === undefined ? from : to };
+};
+
+// Precompile a rule: CIDRs into a BlockList, ports into ranges, schemes without the trailing colon
+const compileRule = (rule, index, source) => {
+  if (!rule || (rule.action !== 'allow' && rule.action !== 'deny')) {
+    throw new Error(`Invalid target policy rule #${index} in ${source}: action must be "allow" or "deny"`);
+  }
+
+  let cidrs = null;
+  if (rule.cidrs) {
+    cidrs = new net.BlockList();
+    rule.cidrs.forEach((cidr) => {
+      const [address, prefix] = cidr.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      cidrs.addSubnet(address, prefix === undefined ? (type === 'ipv6' ? 128 : 32) : parseInt(prefix), type);
+    });
+  }
+
+  return {
+    name: rule.name || `${source}#${index}`,
+    action: rule.action,
+    schemes: rule.schemes ? rule.schemes.map(s => s.toLowerCase().replace(/:$/, '')) : null,
+    hosts: rule.hosts || null,
+    cidrs,
+    ports: rule.ports ? rule.ports.map(parsePortRange) : null,
+    pathPrefixes: rule.pathPrefixes || null
+  };
+};
+
+const compileRules = (rules, source) => (rules || []).map((rule, index) => compileRule(rule, index, source));
+
+const compilePolicy = (config) => {
+  // Maps, so user IDs and team names such as "constructor" never reach Object.prototype
+  const scoped = (entries, kind) => new Map(
+    Object.entries(entries || {}).map(([id, entry]) => [id, compileRules(entry.rules, `${kind}:${id}`)])
+  );
+
+  return {
+    defaultAction: config.defaultAction === 'allow' ? 'allow' : 'deny',
+    rules: compileRules(config.rules, 'global'),
+    users: scoped(config.users, 'user'),
+    teams: scoped(config.teams, 'team')
+  };
+};
+
+// WebSocket schemes evaluated like the HTTP scheme they upgrade from
+const HTTP_EQUIVALENT_SCHEMES = { ws: 'http', wss: 'https' };
+
+// Loaded once at startup so an invalid policy fails fast
+const policy = compilePolicy(loadPolicyConfig());
+
+const ruleMatches = (rule, target) => {
+  if (rule.schemes && !rule.schemes.includes(target.scheme) &&
+    !rule.schemes.includes(HTTP_EQUIVALENT_SCHEMES[target.scheme])) return false;
+  if (rule.ports && !rule.ports.some(({ from, to }) => target.port >= from && target.port <= to)) return false;
+  if (rule.pathPrefixes && !rule.pathPrefixes.some(prefix => target.path.startsWith(prefix))) return false;
+
+  // A rule listing both hosts and CIDRs matches a target that satisfies either
+  if (rule.hosts || rule.cidrs) {
+    const byHost = rule.hosts && rule.hosts.some(pattern => hostMatches(pattern, target.host));
+    const byCidr = rule.cidrs && target.ipType && rule.cidrs.check(target.host, target.ipType);
+    if (!byHost && !byCidr) return false;
+  }
+  return true;
+};
+
+// Teams come from a string or array claim on the user's token
+const getTeams = (claims) => {
+  const value = claims && claims[policyConfig.teamClaim];
+  if (!value) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+/**
+ * Evaluate a target URL against the policy
+ * @param {string} url - Target URL
+ * @param {object} [subject] - { userId, claims } used for per-user and per-team overrides
+ * @returns {{ allowed: boolean, rule: string }} - Decision and the name of the deciding rule
+ */
+const evaluateTarget = (url, subject = {}) => {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return { allowed: false, rule: 'invalid-url' };
+  }
+
+  const scheme = urlObj.protocol.replace(/:$/, '');
+  const host = normalizeHost(urlObj.hostname);
+  const ipVersion = net.isIP(host);
+  const target = {
+    scheme,
+    host,
+    ipType: ipVersion === 6 ? 'ipv6' : ipVersion === 4 ? 'ipv4' : null,
+    port: urlObj.port ? parseInt(urlObj.port) : (scheme === 'https' || scheme === 'wss' ? 443 : 80),
+    path: urlObj.pathname
+  };
+
+  const candidates = [
+    ...(policy.users.get(subject.userId) || []),
+    ...getTeams(subject.claims).flatMap(team => policy.teams.get(team) || []),
+    ...policy.rules
+  ];
+
+  const match = candidates.find(rule => ruleMatches(rule, target));
+  if (match) {
+    return { allowed: match.action === 'allow', rule: match.name };
+  }
+  return { allowed: policy.defaultAction === 'allow', rule: 'default' };
+};
+
+/**
+ * Check a target URL; returns a structured rejection naming the rule, or null when allowed
+ * @param {string} url - Target URL
+ * @param {object} [subject] - { userId, claims }
+ * @returns {object|null}
+ */
+const checkTarget = (url, subject) => {
+  const { allowed, rule } = evaluateTarget(url, subject);
+  if (allowed) return null;
+
+  return {
+    error: true,
+    code: TARGET_NOT_ALLOWED,
+    rule,
+    message: `Target URL not allowed by relay policy (rule: ${rule})`
+  };
+};
+
+module.exports = {
+  TARGET_NOT_ALLOWED,
+  DEFAULT_POLICY,
+  policyConfig,
+  evaluateTarget,
+  checkTarget
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { isBinary } = require('./requestBody');
+
+// {{name}} placeholders, optional whitespace inside the braces
+const PLACEHOLDER = /\{\{\s*([\w.$-]+)\s*\}\}/g;
+
+// Request fields that may contain placeholders
+const TEMPLATED_FIELDS = ['url', 'headers', 'params', 'body', 'multipart', 'auth'];
+
+// Dynamic helpers, evaluated separately for every placeholder that uses them
+const DYNAMIC_VARIABLES = {
+  $uuid: () => crypto.randomUUID(),
+  $timestamp: () => Math.floor(Date.now() / 1000),
+  $isoTimestamp: () => new Date().toISOString(),
+  $randomInt: () => crypto.randomInt(0, 1001)
+};
+
+/**
+ * Substitute {{name}} placeholders in a string
+ * @param {string} text
+ * @param {Function} resolve - (name) => value, or undefined when unknown
+ * @param {Set<string>} unresolved - Collects names without a value
+ * @returns {string}
+ */
+const renderString = (text, resolve, unresolved) => text.replace(PLACEHOLDER, (placeholder, name) => {
+  const value = resolve(name);
+  if (value === undefined) {
+    unresolved.add(name);
+    return placeholder;
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+});
+
+// Walk strings, arrays and plain objects (keys included); binary data is left untouched
+const renderValue = (value, resolve, unresolved) => {
+  if (typeof value === 'string') return renderString(value, resolve, unresolved);
+  if (value === null || typeof value !== 'object' || isBinary(value)) return value;
+  if (Array.isArray(value)) return value.map(item => renderValue(item, resolve, unresolved));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    renderString(key, resolve, unresolved),
+    renderValue(item, resolve, unresolved)
+  ]));
+};
+
+// Variables take precedence; names they leave undefined fall back to the dynamic helpers
+const toResolver = (variables) => {
+  const lookup = typeof variables === 'function'
+    ? variables
+    : (name) => (Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined);
+  return (name) => {
+    const value = lookup(name);
+    if (value !== undefined || !Object.prototype.hasOwnProperty.call(DYNAMIC_VARIABLES, name)) return value;
+    return DYNAMIC_VARIABLES[name]();
+  };
+};
+
+/**
+ * Substitute placeholders anywhere in a value (strings, arrays, object keys and values)
+ * @param {any} value
+ * @param {Function|object} variables - Lookup function or plain object of values
+ * @returns {{ value: any, unresolved: string[] }}
+ */
+const renderTemplate = (value, variables) => {
+  const unresolved = new Set();
+  const rendered = renderValue(value, toResolver(variables), unresolved);
+  return { value: rendered, unresolved: Array.from(unresolved) };
+};
+
+/**
+ * Substitute placeholders in the templated fields of a relay request
+ * @param {object} request - Relay request
+ * @param {Function|object} variables - Lookup function or plain object of values
+ * @returns {{ request: object, unresolved: string[] }}
+ */
+const renderRequest = (request, variables) => {
+  const resolve = toResolver(variables);
+  const unresolved = new Set();
+
+  const rendered = { ...request };
+  TEMPLATED_FIELDS.forEach((field) => {
+    if (rendered[field] !== undefined) {
+      rendered[field] = renderValue(rendered[field], resolve, unresolved);
+    }
+  });
+
+  return { request: rendered, unresolved: Array.from(unresolved) };
+};
+
+module.exports = {
+  DYNAMIC_VARIABLES,
+  renderString,
+  renderTemplate,
+  renderRequest
+};
@@ -1,10 +1,11 @@
-// Simple test script to verify Redis caching is working
-const { cache, connectRedis } = require('./cache');
+// Simple test script to verify caching is working (CACHE_BACKEND=memory runs it without Redis)
+const { cache, connectRedis, getCacheStatus } = require('./cache');
 
 async function testCache() {
   try {
     // Connect to Redis
     await connectRedis();
+    console.log('Cache backend:', getCacheStatus().active);
     
     // Test setting a value
     console.log('Testing cache set...');
@@ -34,6 +35,8 @@ async function testCache() {
     console.log('Cache test completed successfully!');
   } catch (error) {
     console.error('Cache test failed:', error);
+  } finally {
+    await cache.quit();
   }
 }
 
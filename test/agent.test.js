@@ -0,0 +1,99 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { parseAllowlist, isAllowedTarget, createAgent } = require('../agent');
+const { parseRequestPolicy, executeWithPolicy } = require('../requestPolicy');
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// A port nothing listens on
+const closedPort = async () => {
+  const server = http.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+};
+
+// Minimal relay: hands the connected agent requests and resolves with its fetchError/fetchComplete
+const startRelay = async () => {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  const port = await listen(httpServer);
+  const connected = new Promise(resolve => io.on('connection', resolve));
+
+  const perform = async (request) => {
+    const socket = await connected;
+    return new Promise((resolve) => {
+      const settle = (payload, ack) => {
+        if (payload.requestId !== request.requestId) return;
+        if (typeof ack === 'function') ack({ ok: true });
+        resolve(payload);
+      };
+      socket.once('localhost:fetchError', settle);
+      socket.once('localhost:fetchComplete', settle);
+      socket.emit('localhost:performFetch', request);
+    });
+  };
+
+  const close = () => new Promise(resolve => io.close(() => resolve()));
+  return { port, perform, close };
+};
+
+test('isAllowedTarget: hosts, ports and wildcard domains', () => {
+  const allowlist = parseAllowlist('localhost:3000,*.internal,[::1]');
+  assert.equal(isAllowedTarget('http://localhost:3000/a', allowlist), true);
+  assert.equal(isAllowedTarget('http://localhost:4000/a', allowlist), false);
+  assert.equal(isAllowedTarget('https://api.internal/', allowlist), true);
+  assert.equal(isAllowedTarget('http://[::1]:8080/', allowlist), true);
+  assert.equal(isAllowedTarget('http://example.com/', allowlist), false);
+});
+
+test('agent: refused targets and connection failures reach the relay with the right codes', async (t) => {
+  const relay = await startRelay();
+  const agent = createAgent({ relayUrl: `http://127.0.0.1:${relay.port}`, name: 'test-agent', token: 'unused', allowlist: '127.0.0.1' });
+  t.after(async () => {
+    agent.stop();
+    await relay.close();
+  });
+  agent.start();
+
+  const refused = await relay.perform({ requestId: 'r1', method: 'GET', url: 'http://example.com/' });
+  assert.equal(refused.code, 'AGENT_TARGET_NOT_ALLOWED');
+
+  // A transport failure is a network error: no relay code, the system code as `cause`
+  const failed = await relay.perform({ requestId: 'r2', method: 'GET', url: `http://127.0.0.1:${await closedPort()}/` });
+  assert.equal(failed.code, undefined);
+  assert.equal(failed.cause, 'ECONNREFUSED');
+  assert.equal(agent.status().failed, 1);
+});
+
+test('executeWithPolicy: agent connection failures are retried as network errors', async (t) => {
+  const relay = await startRelay();
+  const agent = createAgent({ relayUrl: `http://127.0.0.1:${relay.port}`, name: 'retry-agent', token: 'unused', allowlist: '127.0.0.1' });
+  t.after(async () => {
+    agent.stop();
+    await relay.close();
+  });
+  agent.start();
+
+  const url = `http://127.0.0.1:${await closedPort()}/`;
+  const policy = parseRequestPolicy({ retries: 2, backoff: { initialMs: 1, jitter: false }, retryOn: { networkError: true } });
+  let attempt = 0;
+  // Rejects the way the relay settles a localhost:fetchError
+  const perform = async () => {
+    const payload = await relay.perform({ requestId: `r${++attempt}`, method: 'GET', url });
+    throw {
+      error: true,
+      message: payload.error,
+      ...(payload.code && { code: payload.code }),
+      ...(payload.cause && { cause: payload.cause })
+    };
+  };
+
+  const error = await executeWithPolicy({ method: 'GET', url }, policy, perform).catch(e => e);
+  assert.equal(error.cause, 'ECONNREFUSED');
+  assert.deepEqual(error.attempts.map(entry => entry.outcome), ['network_error', 'network_error', 'network_error']);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assertionConfig, validateAssertions, evaluateAssertions } = require('../assertions');
+
+const response = {
+  status: 201,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ id: 7, email: 'bob@example.com' })
+};
+
+test('validateAssertions: accepts valid assertions', () => {
+  assert.equal(validateAssertions(undefined), null);
+  assert.equal(validateAssertions([
+    { type: 'status', equals: 201 },
+    { type: 'header', name: 'content-type', matches: '^application/json' },
+    { type: 'jsonPath', path: '$.id', greaterThan: 0 },
+    { type: 'jsonSchema', schema: { type: 'object', required: ['id'] } }
+  ]), null);
+});
+
+test('validateAssertions: rejects malformed assertions', () => {
+  assert.ok(validateAssertions({}));
+  assert.ok(validateAssertions([{ type: 'nope' }]));
+  assert.ok(validateAssertions([null]));
+  assert.ok(validateAssertions([{ type: 'header', equals: 'x' }]));
+  assert.ok(validateAssertions([{ type: 'status' }]));
+  assert.ok(validateAssertions([{ type: 'jsonPath', path: '$.a[', exists: true }]));
+  assert.ok(validateAssertions([{ type: 'status', matches: '(' }]));
+  assert.ok(validateAssertions([{ type: 'jsonSchema', schema: 'object' }]));
+  assert.ok(validateAssertions([{ type: 'jsonSchema', schema: { type: 'nope' } }]));
+});
+
+test('validateAssertions: rejects schemas that cannot compile', () => {
+  assert.match(validateAssertions([{ type: 'jsonSchema', schema: { $ref: '#/definitions/missing' } }]), /schema/);
+  assert.match(validateAssertions([{ type: 'jsonSchema', schema: { $ref: 'https://example.com/remote.json' } }]), /schema/);
+});
+
+test('validateAssertions: rejects long and nested-quantifier patterns', () => {
+  assert.ok(validateAssertions([{ type: 'status', matches: 'a'.repeat(assertionConfig.maxRegexLength + 1) }]));
+  assert.ok(validateAssertions([{ type: 'status', matches: '^(a+)+$' }]));
+  assert.ok(validateAssertions([{ type: 'status', matches: '(\\w*)*x' }]));
+  assert.ok(validateAssertions([{ type: 'status', matches: 42 }]));
+  assert.equal(validateAssertions([{ type: 'status', matches: '^(20[01])+$' }]), null);
+});
+
+test('evaluateAssertions: reports passes and failures', () => {
+  const { passed, results } = evaluateAssertions([
+    { type: 'status', equals: 201 },
+    { type: 'header', name: 'content-type', matches: 'json' },
+    { type: 'jsonPath', path: '$.email', matches: '@' },
+    { type: 'jsonPath', path: '$.id', lessThan: 5 },
+    { type: 'latency', lessThan: 100 }
+  ], response, 20);
+  assert.equal(passed, false);
+  assert.deepEqual(results.map(result => result.passed), [true, true, true, false, true]);
+  assert.equal(results[3].actual, 7);
+});
+
+test('evaluateAssertions: schemas with $id can be used repeatedly', () => {
+  const assertions = [{ type: 'jsonSchema', schema: { $id: 'https://example.com/user.json', type: 'object', required: ['id'] } }];
+  for (let i = 0; i < 3; i++) {
+    const fresh = JSON.parse(JSON.stringify(assertions));
+    assert.equal(validateAssertions(fresh), null);
+    assert.equal(evaluateAssertions(fresh, response, 1).passed, true);
+  }
+});
+
+test('evaluateAssertions: schema failures and uncompilable schemas fail instead of throwing', () => {
+  const failing = evaluateAssertions([{ type: 'jsonSchema', schema: { required: ['name'] } }], response, 1);
+  assert.equal(failing.passed, false);
+  assert.match(failing.results[0].message, /name/);
+
+  // Not validated first, e.g. a stored suite written before validation tightened
+  const broken = evaluateAssertions([{ type: 'jsonSchema', schema: { $ref: '#/nope' } }], response, 1);
+  assert.equal(broken.passed, false);
+  assert.match(broken.results[0].message, /could not be compiled/);
+});
+
+test('evaluateAssertions: body assertions on non-JSON and streamed responses fail', () => {
+  const text = evaluateAssertions([{ type: 'jsonPath', path: '$.id', exists: true }], { ...response, body: 'plain' }, 1);
+  assert.equal(text.results[0].message, 'body is not JSON');
+  const streamed = evaluateAssertions([{ type: 'jsonSchema', schema: {} }], { ...response, streamed: true }, 1);
+  assert.equal(streamed.passed, false);
+});
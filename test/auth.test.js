@@ -0,0 +1,76 @@
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.JWT_AUDIENCE;
+delete process.env.JWT_ISSUER;
+delete process.env.JWT_USER_ID_CLAIM;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AUTH_ERRORS, authConfig, verifyToken, getHandshakeToken, authenticateRequest } = require('../auth');
+
+const sign = (claims, options = {}) => jwt.sign(claims, 'test-secret', options);
+
+const rejectsWith = (token, code) => assert.throws(() => verifyToken(token), { name: 'AuthError', code });
+
+test('verifyToken: returns the user, claims and expiry of an HS256 token', () => {
+  const { userId, claims, expiresAt } = verifyToken(sign({ sub: 42, tier: 'pro' }, { expiresIn: 60 }));
+  assert.equal(userId, '42');
+  assert.equal(claims.tier, 'pro');
+  assert.ok(expiresAt > new Date());
+});
+
+test('verifyToken: maps failures to handshake error codes', () => {
+  rejectsWith(undefined, AUTH_ERRORS.TOKEN_MISSING);
+  rejectsWith('not-a-jwt', AUTH_ERRORS.TOKEN_INVALID);
+  rejectsWith(jwt.sign({ sub: 'u1' }, 'other-secret'), AUTH_ERRORS.TOKEN_INVALID);
+  rejectsWith(sign({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 3600 }), AUTH_ERRORS.TOKEN_EXPIRED);
+  rejectsWith(sign({ sub: 'u1' }, { notBefore: 3600 }), AUTH_ERRORS.TOKEN_NOT_ACTIVE);
+  rejectsWith(sign({ name: 'no subject' }), AUTH_ERRORS.USER_CLAIM_MISSING);
+});
+
+test('verifyToken: refuses unsigned tokens and algorithms without configured keys', () => {
+  rejectsWith(jwt.sign({ sub: 'u1' }, null, { algorithm: 'none' }), AUTH_ERRORS.TOKEN_INVALID);
+
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  rejectsWith(jwt.sign({ sub: 'u1' }, privateKey, { algorithm: 'RS256' }), AUTH_ERRORS.TOKEN_INVALID);
+});
+
+test('verifyToken: RS256 tokens are checked against the JWKS file by kid', (t) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-auth-')), 'jwks.json');
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig' }] }));
+  authConfig.jwksFile = file;
+  t.after(() => {
+    authConfig.jwksFile = null;
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  assert.equal(verifyToken(jwt.sign({ sub: 'rsa-user' }, privateKey, { algorithm: 'RS256', keyid: 'k1' })).userId, 'rsa-user');
+  rejectsWith(jwt.sign({ sub: 'rsa-user' }, privateKey, { algorithm: 'RS256', keyid: 'k2' }), AUTH_ERRORS.UNKNOWN_KEY);
+});
+
+test('getHandshakeToken: auth payload first, then the Authorization header', () => {
+  assert.equal(getHandshakeToken({ auth: { token: 'a' }, headers: { authorization: 'Bearer b' } }), 'a');
+  assert.equal(getHandshakeToken({ auth: {}, headers: { authorization: 'Bearer b' } }), 'b');
+  assert.equal(getHandshakeToken({ auth: {}, headers: { authorization: 'Basic b' } }), null);
+});
+
+test('authenticateRequest: sets the user or answers 401 with the error code', () => {
+  const req = { headers: { authorization: `Bearer ${sign({ sub: 'u1' })}` } };
+  let nextCalled = false;
+  authenticateRequest(req, {}, () => { nextCalled = true; });
+  assert.equal(nextCalled, true);
+  assert.equal(req.userId, 'u1');
+
+  const reply = {};
+  const res = {
+    status: (code) => { reply.status = code; return res; },
+    json: (body) => { reply.body = body; }
+  };
+  authenticateRequest({ headers: {} }, res, () => assert.fail('should not call next'));
+  assert.deepEqual(reply, { status: 401, body: { error: 'Authentication required', code: AUTH_ERRORS.TOKEN_MISSING } });
+});
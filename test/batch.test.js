@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBatch, extractValues, runBatch } = require('../batch');
+
+const step = (extract, request = { method: 'GET', url: 'http://localhost:3000/' }) => ({ request, extract });
+
+test('parseBatch: rejects malformed JSON paths before running', () => {
+  const { error } = parseBatch({ batchId: 'b', steps: [step({ id: { from: 'json', path: '$.a[' } })] });
+  assert.match(error, /^Step 0: extract\.id\.path: /);
+});
+
+test('parseBatch: rejects long and nested-quantifier regex patterns', () => {
+  assert.match(parseBatch({ batchId: 'b', steps: [step({ id: { from: 'regex', pattern: '(a+)+$' } })] }).error,
+    /must not nest quantifiers/);
+  assert.match(parseBatch({ batchId: 'b', steps: [step({ id: { from: 'regex', pattern: 'a'.repeat(513) } })] }).error,
+    /at most 512 characters/);
+  assert.match(parseBatch({ batchId: 'b', steps: [step({ id: { from: 'regex', pattern: '(' } })] }).error,
+    /not a valid regular expression/);
+});
+
+test('parseBatch: flattens parallel groups with batch-wide indexes', () => {
+  const { groups, error } = parseBatch({
+    batchId: 'b',
+    steps: [step(), { parallel: [step(), { ...step(), name: 'named' }] }]
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(groups.map(group => group.map(entry => [entry.index, entry.name])),
+    [[[0, 'step-0']], [[1, 'step-1'], [2, 'named']]]);
+});
+
+test('extractValues: reads JSON paths, headers and regex groups', () => {
+  const response = { status: 200, headers: { 'X-Session': 's1' }, body: '{"data":{"token":"t1"},"link":"id=42"}' };
+  const { values, missing } = extractValues(response, {
+    token: { from: 'json', path: '$.data.token' },
+    session: { from: 'header', name: 'x-session' },
+    id: { from: 'regex', pattern: 'id=(\\d+)' },
+    absent: { from: 'json', path: '$.nope' }
+  });
+  assert.deepEqual(values, { token: 't1', session: 's1', id: '42' });
+  assert.deepEqual(missing, ['absent']);
+});
+
+test('runBatch: passes extracted values to later steps and stops on failure', async () => {
+  const batch = {
+    batchId: 'flow',
+    variables: { base: 'http://localhost:3000' },
+    steps: [
+      step({ token: { from: 'json', path: '$.token' } }, { method: 'POST', url: '{{base}}/login' }),
+      step({}, { method: 'GET', url: '{{base}}/me', headers: { Authorization: 'Bearer {{token}}' } }),
+      step({}, { method: 'GET', url: '{{base}}/never' })
+    ]
+  };
+  const seen = [];
+  const responses = [
+    { status: 200, headers: {}, body: '{"token":"abc"}' },
+    { status: 500, headers: {}, body: '' }
+  ];
+  const { groups } = parseBatch(batch);
+  const result = await runBatch(batch, groups, {
+    execute: async (request) => {
+      seen.push(request);
+      return responses[seen.length - 1];
+    },
+    onProgress: () => {}
+  });
+
+  assert.deepEqual(seen.map(request => request.requestId), ['flow-0', 'flow-1']);
+  assert.equal(seen[1].url, 'http://localhost:3000/me');
+  assert.equal(seen[1].headers.Authorization, 'Bearer abc');
+  assert.equal(result.success, false);
+  assert.deepEqual(result.steps.map(entry => entry.status), ['passed', 'failed', 'skipped']);
+  assert.equal(result.steps[1].error, 'HTTP 500');
+  assert.deepEqual(result.variables, { base: 'http://localhost:3000', token: 'abc' });
+});
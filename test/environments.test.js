@@ -0,0 +1,88 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.ENVIRONMENTS_SECRET_KEY = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cache } = require('../cache');
+const {
+  ENVIRONMENT_NOT_FOUND,
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  resolveEnvironment,
+  getSecretValues,
+  maskSecrets
+} = require('../environments');
+
+test.after(() => cache.quit());
+
+test('resolveEnvironment: substitutes plain and secret variables', async () => {
+  const saved = await saveEnvironment('env-user', 'dev', {
+    base: 'http://localhost:3000',
+    token: { value: 's3cret', secret: true }
+  });
+  assert.equal(saved.created, true);
+
+  const { request, unresolved, error } = await resolveEnvironment('env-user', {
+    method: 'GET',
+    url: '{{base}}/users',
+    headers: { Authorization: 'Bearer {{token}}', 'X-Missing': '{{nope}}' },
+    environment: 'dev'
+  });
+  assert.equal(error, undefined);
+  assert.equal(request.url, 'http://localhost:3000/users');
+  assert.equal(request.headers.Authorization, 'Bearer s3cret');
+  assert.deepEqual(unresolved, ['nope']);
+
+  const secrets = await getSecretValues('env-user', 'dev');
+  assert.deepEqual(maskSecrets({ auth: 'Bearer s3cret' }, secrets), { auth: 'Bearer {{token}}' });
+});
+
+test('resolveEnvironment: leaves requests without an environment alone', async () => {
+  const request = { url: '{{base}}' };
+  assert.deepEqual(await resolveEnvironment('env-user', request), { request, unresolved: [] });
+});
+
+test('resolveEnvironment: prototype member names are unknown environments, not crashes', async () => {
+  for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    const { error } = await resolveEnvironment('env-user', { url: 'http://x', environment: name });
+    assert.equal(error.code, ENVIRONMENT_NOT_FOUND, name);
+    assert.equal(await getEnvironment('env-user', name), null);
+    assert.deepEqual(await getSecretValues('env-user', name), []);
+    assert.equal(await deleteEnvironment('env-user', name), false);
+  }
+});
+
+test('saveEnvironment: environments may use prototype member names', async () => {
+  const { created } = await saveEnvironment('env-proto', 'toString', { host: 'a' });
+  assert.equal(created, true);
+  const { request } = await resolveEnvironment('env-proto', { url: 'http://{{host}}', environment: 'toString' });
+  assert.equal(request.url, 'http://a');
+  assert.equal((await saveEnvironment('env-proto', 'constructor', { x: '1' }, { merge: true })).notFound, true);
+  assert.equal(await deleteEnvironment('env-proto', 'toString'), true);
+});
+
+test('saveEnvironment: rejects invalid names and values', async () => {
+  assert.ok((await saveEnvironment('env-user', 'bad name', {})).error);
+  assert.ok((await saveEnvironment('env-user', 'dev', { '1x': 'a' })).error);
+  assert.ok((await saveEnvironment('env-user', 'dev', { a: { nested: true } })).error);
+  assert.ok((await saveEnvironment('env-user', 'dev', 'nope')).error);
+});
+
+test('saveEnvironment: concurrent changes to different environments are all kept', async () => {
+  const names = Array.from({ length: 8 }, (_, i) => `env-${i}`);
+  await Promise.all(names.map(name => saveEnvironment('env-race', name, { base: 'a' })));
+  await Promise.all([
+    ...names.slice(0, 4).map(name => saveEnvironment('env-race', name, { base: `changed-${name}` })),
+    deleteEnvironment('env-race', names[4])
+  ]);
+
+  const listed = await listEnvironments('env-race');
+  assert.deepEqual(listed.map(environment => environment.name), names.filter(name => name !== names[4]));
+  for (const name of names.slice(0, 4)) {
+    assert.equal((await getEnvironment('env-race', name)).variables.base.value, `changed-${name}`);
+  }
+  assert.equal((await getEnvironment('env-race', names[5])).variables.base.value, 'a');
+});
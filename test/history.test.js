@@ -0,0 +1,57 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cache } = require('../cache');
+const { recordExecution, listHistory, toHar } = require('../history');
+
+test.after(() => cache.quit());
+
+const record = (userId, index, overrides = {}) => recordExecution({
+  userId,
+  sessionId: 'session',
+  source: 'execute',
+  request: { requestId: `r${index}`, method: index % 2 ? 'POST' : 'GET', url: `http://localhost:3000/items/${index}`, headers: {} },
+  response: { status: index % 3 ? 200 : 500, headers: {}, body: 'ok' },
+  startedAt: Date.now() - (100 - index) * 1000,
+  durationMs: 5,
+  ...overrides
+});
+
+test('listHistory: pages newest first', async () => {
+  for (let i = 0; i < 10; i++) await record('history-user', i);
+
+  const all = await listHistory('history-user');
+  assert.equal(all.total, 10);
+  assert.equal(all.entries[0].requestId, 'r9');
+
+  const page = await listHistory('history-user', { limit: 3, offset: 2 });
+  assert.equal(page.total, 10);
+  assert.deepEqual(page.entries.map(entry => entry.requestId), ['r7', 'r6', 'r5']);
+});
+
+test('listHistory: filters on entry contents before paging', async () => {
+  const posts = await listHistory('history-user', { method: 'post', limit: 2 });
+  assert.equal(posts.total, 5);
+  assert.deepEqual(posts.entries.map(entry => entry.requestId), ['r9', 'r7']);
+
+  const errors = await listHistory('history-user', { status: '5xx' });
+  assert.deepEqual(errors.entries.map(entry => entry.requestId), ['r9', 'r6', 'r3', 'r0']);
+
+  const byUrl = await listHistory('history-user', { url: '/items/4' });
+  assert.equal(byUrl.total, 1);
+});
+
+test('toHar: exports entries whose URL is not absolute', async () => {
+  await record('har-user', 1, {
+    request: { requestId: 'masked', method: 'GET', url: '{{base}}/search?q=a%20b&page=2', headers: {} }
+  });
+  await record('har-user', 2);
+
+  const { entries } = await listHistory('har-user');
+  const har = toHar(entries);
+  assert.equal(har.log.entries.length, 2);
+  const masked = har.log.entries.find(entry => entry.request.url.startsWith('{{base}}'));
+  assert.deepEqual(masked.request.queryString, [{ name: 'q', value: 'a b' }, { name: 'page', value: '2' }]);
+});
@@ -0,0 +1,69 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cache } = require('../cache');
+const {
+  createMock,
+  updateMock,
+  deleteMock,
+  clearMocks,
+  listMocks,
+  getMock,
+  findMock,
+  renderMockResponse
+} = require('../mocks');
+
+test.after(() => cache.quit());
+
+const definition = (url, extra = {}) => ({
+  match: { method: 'GET', url },
+  response: { status: 200, body: { ok: true } },
+  ...extra
+});
+
+test('createMock: concurrent creations are all kept', async () => {
+  const results = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+    createMock('mock-user', definition(`http://localhost:3000/items/${i}`))));
+  assert.ok(results.every(result => result.mock));
+  assert.equal((await listMocks('mock-user')).length, 20);
+  assert.equal(await clearMocks('mock-user'), 20);
+  assert.deepEqual(await listMocks('mock-user'), []);
+});
+
+test('mocks: update, priority order and delete', async () => {
+  const { mock: first } = await createMock('mock-order', definition('http://localhost:3000/a'));
+  const { mock: second } = await createMock('mock-order', definition('http://localhost:3000/b', { priority: 5 }));
+  assert.deepEqual((await listMocks('mock-order')).map(mock => mock.id), [second.id, first.id]);
+
+  const { mock: updated } = await updateMock('mock-order', first.id, definition('http://localhost:3000/c'));
+  assert.equal(updated.createdAt, first.createdAt);
+  assert.equal((await getMock('mock-order', first.id)).match.url, 'http://localhost:3000/c');
+  assert.equal(await updateMock('mock-order', 'missing', definition('http://x')), null);
+
+  assert.equal(await deleteMock('mock-order', first.id), true);
+  assert.equal(await deleteMock('mock-order', first.id), false);
+  assert.deepEqual((await listMocks('mock-order')).map(mock => mock.id), [second.id]);
+});
+
+test('findMock: matches params and renders templates', async () => {
+  await createMock('mock-match', {
+    match: { method: 'GET', url: 'http://localhost:3000/users/:id', query: { expand: true } },
+    response: { status: 200, body: { id: '{{params.id}}', expand: '{{query.expand}}' } }
+  });
+
+  assert.equal(await findMock('mock-match', { method: 'GET', url: 'http://localhost:3000/users/7' }), null);
+  const matched = await findMock('mock-match', { method: 'GET', url: 'http://localhost:3000/users/7?expand=roles' });
+  assert.deepEqual(matched.params, { id: '7' });
+
+  const response = await renderMockResponse(matched, { method: 'GET', url: 'http://localhost:3000/users/7?expand=roles', headers: {} });
+  assert.equal(response.mocked, true);
+  assert.deepEqual(JSON.parse(typeof response.body === 'string' ? response.body : JSON.stringify(response.body)), { id: '7', expand: 'roles' });
+});
+
+test('createMock: rejects invalid definitions', async () => {
+  assert.ok((await createMock('mock-user', {})).error);
+  assert.ok((await createMock('mock-user', definition('http://x', { response: { status: 99 } }))).error);
+  assert.ok((await createMock('mock-user', { match: { url: '/(/' }, response: { status: 200 } })).error);
+});
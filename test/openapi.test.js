@@ -0,0 +1,143 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cache } = require('../cache');
+const { parseDocument, listSpecs, getSpec, saveSpec, deleteSpec, checkContract, getCoverage } = require('../openapi');
+
+test.after(() => cache.quit());
+
+const petstore = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets/{petId}': {
+      get: {
+        operationId: 'getPet',
+        parameters: [
+          { name: 'petId', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'fields', in: 'query', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'A pet',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['id', 'name'],
+                  properties: { id: { type: 'integer' }, name: { type: 'string' } }
+                }
+              }
+            }
+          },
+          404: { description: 'Not found' }
+        }
+      }
+    }
+  }
+};
+
+const jsonResponse = (status, body) => ({ status, headers: { 'content-type': 'application/json' }, body });
+
+test('parseDocument: accepts JSON and YAML text', () => {
+  assert.deepEqual(parseDocument(JSON.stringify(petstore)).document, petstore);
+
+  const { document } = parseDocument('openapi: 3.1.0\ninfo:\n  title: T\n  version: "1"\npaths:\n  /a: {}\n');
+  assert.equal(document.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(document.paths), ['/a']);
+});
+
+test('parseDocument: rejects invalid and unsupported documents', () => {
+  assert.match(parseDocument('{ "openapi": ').error, /not valid JSON or YAML/);
+  assert.match(parseDocument('- a\n- b\n').error, /must be an OpenAPI object/);
+  assert.match(parseDocument({ swagger: '2.0', paths: { '/a': {} } }).error, /Only OpenAPI 3\.x/);
+  assert.match(parseDocument({ openapi: '3.0.0', info: {} }).error, /no paths/);
+});
+
+test('checkContract: validates requests and responses against the bound spec', async () => {
+  const { spec, error } = await saveSpec('contract-user', { document: petstore, baseUrl: 'http://localhost:3000/api' });
+  assert.equal(error, undefined);
+
+  const valid = await checkContract('contract-user',
+    { method: 'GET', url: 'http://localhost:3000/api/pets/7?fields=name', headers: {} },
+    jsonResponse(200, '{"id":7,"name":"Rex"}'));
+  assert.equal(valid.specId, spec.id);
+  assert.deepEqual(valid.operation, { method: 'GET', path: '/pets/{petId}', operationId: 'getPet' });
+  assert.equal(valid.valid, true);
+  assert.deepEqual(valid.violations, []);
+
+  const invalid = await checkContract('contract-user',
+    { method: 'GET', url: 'http://localhost:3000/api/pets/abc', headers: {} },
+    jsonResponse(200, '{"id":"7"}'));
+  assert.equal(invalid.valid, false);
+  assert.deepEqual(invalid.violations.map(violation => violation.in).sort(), ['path', 'query', 'response.body', 'response.body']);
+
+  const undocumented = await checkContract('contract-user',
+    { method: 'GET', url: 'http://localhost:3000/api/pets/7?fields=name', headers: {} },
+    jsonResponse(500, '{}'));
+  assert.deepEqual(undocumented.violations, [{ in: 'response.status', message: 'Status 500 is not documented' }]);
+
+  const wrongMethod = await checkContract('contract-user',
+    { method: 'DELETE', url: 'http://localhost:3000/api/pets/7', headers: {} },
+    jsonResponse(204, ''));
+  assert.equal(wrongMethod.operation, null);
+  assert.match(wrongMethod.violations[0].message, /DELETE is not documented for \/pets\/\{petId\}/);
+});
+
+test('checkContract: ignores URLs without a spec and opted-out requests', async () => {
+  await saveSpec('contract-skip', { document: petstore, baseUrl: 'http://localhost:3000/api' });
+
+  assert.equal(await checkContract('contract-skip',
+    { method: 'GET', url: 'http://localhost:4000/api/pets/7', headers: {} }, jsonResponse(200, '{}')), null);
+  assert.equal(await checkContract('contract-skip',
+    { method: 'GET', url: 'http://localhost:3000/api/pets/7', headers: {}, contract: false }, jsonResponse(200, '{}')), null);
+});
+
+test('checkContract: records coverage per operation and response', async () => {
+  const { spec } = await saveSpec('contract-coverage', { document: petstore, baseUrl: 'http://localhost:3000/api' });
+
+  await checkContract('contract-coverage',
+    { method: 'GET', url: 'http://localhost:3000/api/pets/7?fields=name', headers: {} },
+    jsonResponse(404, ''));
+  // Coverage counters are written without being awaited
+  await new Promise(resolve => setImmediate(resolve));
+
+  const coverage = await getCoverage('contract-coverage', spec.id);
+  assert.deepEqual(coverage.operations[0].responses, { 200: 0, 404: 1, undocumented: 0 });
+  assert.equal(coverage.summary.coveredOperations, 1);
+  assert.equal(coverage.summary.coveredResponses, 1);
+});
+
+test('saveSpec and deleteSpec: concurrent changes to different specs are all kept', async () => {
+  const saved = await Promise.all(Array.from({ length: 8 }, (_, i) =>
+    saveSpec('spec-race', { document: petstore, baseUrl: `http://localhost:${3000 + i}/api` })));
+  assert.ok(saved.every(result => result.spec));
+  assert.equal((await listSpecs('spec-race')).length, 8);
+
+  const [first, second, ...rest] = saved.map(result => result.spec);
+  const [updated, removedFirst, removedSecond] = await Promise.all([
+    saveSpec('spec-race', { document: petstore, baseUrl: rest[0].baseUrl, name: 'renamed' }, rest[0].id),
+    deleteSpec('spec-race', first.id),
+    deleteSpec('spec-race', second.id)
+  ]);
+  assert.equal(updated.spec.name, 'renamed');
+  assert.equal(removedFirst && removedSecond, true);
+
+  const specs = await listSpecs('spec-race');
+  assert.deepEqual(specs.map(spec => spec.id).sort(), rest.map(spec => spec.id).sort());
+  assert.equal((await getSpec('spec-race', rest[0].id)).spec.name, 'renamed');
+  assert.equal(await getSpec('spec-race', first.id), null);
+  assert.equal(await deleteSpec('spec-race', first.id), false);
+});
+
+test('saveSpec: rejects a second spec on the same base URL and unknown IDs', async () => {
+  const { spec } = await saveSpec('spec-conflict', { document: petstore, baseUrl: 'http://localhost:3000/api/' });
+  assert.equal(spec.baseUrl, 'http://localhost:3000/api');
+
+  const conflict = await saveSpec('spec-conflict', { document: petstore, baseUrl: 'http://localhost:3000/api' });
+  assert.equal(conflict.conflict, true);
+  assert.deepEqual(await saveSpec('spec-conflict', { document: petstore, baseUrl: 'http://localhost:4000' }, 'missing'),
+    { notFound: true });
+});
@@ -0,0 +1,57 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+delete process.env.QUOTA_TIERS_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cache } = require('../cache');
+const { QUOTA_EXCEEDED, quotaConfig, resolveTier, assignTier, acquireExecution, getUserQuotaUsage } = require('../quotas');
+
+test.after(() => cache.quit());
+
+test('resolveTier: assignment, then claim, then the default tier', async () => {
+  assert.equal((await resolveTier('tier-default')).name, quotaConfig.defaultTier);
+  assert.equal((await resolveTier('tier-claim', { tier: 'pro' })).name, 'pro');
+
+  assert.equal(await assignTier('tier-assigned', 'unlimited'), true);
+  assert.equal((await resolveTier('tier-assigned', { tier: 'pro' })).name, 'unlimited');
+  assert.equal(await assignTier('tier-assigned', null), true);
+  assert.equal((await resolveTier('tier-assigned', { tier: 'pro' })).name, 'pro');
+});
+
+test('resolveTier and assignTier: prototype-named tiers do not exist', async () => {
+  for (const tier of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.equal(await assignTier('tier-proto', tier), false);
+
+    const resolved = await resolveTier('tier-proto', { tier });
+    assert.equal(resolved.name, quotaConfig.defaultTier);
+    assert.deepEqual(resolved.limits, quotaConfig.tiers[quotaConfig.defaultTier]);
+  }
+});
+
+test('acquireExecution: concurrency slots are taken and released', async () => {
+  const params = { userId: 'slots', ip: '10.0.0.1', limits: { concurrentPending: 1 }, requestBytes: 0 };
+  const lease = await acquireExecution(params);
+  assert.equal((await getUserQuotaUsage('slots')).usage.concurrentPending, 1);
+
+  await assert.rejects(acquireExecution(params), { code: QUOTA_EXCEEDED, quota: 'concurrentPending', scope: 'user' });
+
+  await lease.release(0);
+  assert.equal((await getUserQuotaUsage('slots')).usage.concurrentPending, 0);
+  await (await acquireExecution(params)).release(0);
+});
+
+test('acquireExecution: leaked slots expire while the user stays active', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const params = { userId: 'leaked', ip: '10.0.0.2', limits: { concurrentPending: 1 }, requestBytes: 0 };
+
+  // Never released, as when an instance dies mid-request
+  await acquireExecution(params);
+
+  t.mock.timers.tick(quotaConfig.pendingTtlSeconds * 1000 / 2);
+  await assert.rejects(acquireExecution(params), { quota: 'concurrentPending' });
+
+  t.mock.timers.tick(quotaConfig.pendingTtlSeconds * 1000 / 2 + 1000);
+  const lease = await acquireExecution(params);
+  await lease.release(0);
+});
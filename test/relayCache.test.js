@@ -0,0 +1,68 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.RELAY_CACHE_MAX_TTL_SECONDS = '60';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cache } = require('../cache');
+const { getCacheOptions, executeWithCache } = require('../relayCache');
+
+test.after(() => cache.quit());
+
+const request = (url) => ({ requestId: 'r1', method: 'GET', url, headers: {}, cache: true });
+
+const respondWith = (headers) => async () => ({ status: 200, statusText: 'OK', headers, body: 'ok' });
+
+const cacheRequest = (userId, url, headers) =>
+  executeWithCache(userId, request(url), getCacheOptions(request(url)), respondWith(headers));
+
+test('executeWithCache: serves fresh entries without executing again', async () => {
+  const first = await cacheRequest('relay-hit', 'http://localhost:3000/a', { 'cache-control': 'max-age=30' });
+  assert.deepEqual(first.cache, { hit: false, stored: true });
+
+  const second = await executeWithCache('relay-hit', request('http://localhost:3000/a'),
+    getCacheOptions(request('http://localhost:3000/a')), () => assert.fail('should not execute'));
+  assert.equal(second.cache.hit, true);
+  assert.equal(second.body, 'ok');
+});
+
+test('executeWithCache: trims expired index members on write', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+  await cacheRequest('relay-trim', 'http://localhost:3000/old', { 'cache-control': 'max-age=5' });
+  t.mock.timers.tick(10 * 1000);
+  await cacheRequest('relay-trim', 'http://localhost:3000/new', { 'cache-control': 'max-age=30' });
+
+  const members = await cache.zRangeByScore('relaycache:relay-trim:index', '-inf', '+inf');
+  assert.deepEqual(members.map(member => member.slice(member.indexOf(' ') + 1)), ['http://localhost:3000/new']);
+});
+
+test('executeWithCache: the index expires once no entry can outlive it', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+  await cacheRequest('relay-expire', 'http://localhost:3000/a', { etag: '"v1"' });
+  assert.equal(await cache.exists('relaycache:relay-expire:index'), true);
+
+  t.mock.timers.tick(61 * 1000);
+  assert.equal(await cache.exists('relaycache:relay-expire:index'), false);
+});
+
+test('executeWithCache: the browser and an agent never share entries', async () => {
+  const url = 'http://localhost:3000/x';
+  const viaAgent = { ...request(url), agent: 'dev-vm' };
+
+  await cacheRequest('relay-agent', url, { 'cache-control': 'max-age=30' });
+
+  let executed = false;
+  const response = await executeWithCache('relay-agent', viaAgent, getCacheOptions(viaAgent), async () => {
+    executed = true;
+    return { status: 200, statusText: 'OK', headers: { 'cache-control': 'max-age=30' }, body: 'from agent' };
+  });
+  assert.equal(executed, true);
+  assert.deepEqual(response.cache, { hit: false, stored: true });
+
+  const fromAgent = await executeWithCache('relay-agent', viaAgent, getCacheOptions(viaAgent), () => assert.fail('should not execute'));
+  assert.equal(fromAgent.body, 'from agent');
+  const fromBrowser = await executeWithCache('relay-agent', request(url), getCacheOptions(request(url)), () => assert.fail('should not execute'));
+  assert.equal(fromBrowser.body, 'ok');
+});
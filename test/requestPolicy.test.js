@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requestPolicyConfig, parseRequestPolicy, executeWithPolicy } = require('../requestPolicy');
+
+test('parseRequestPolicy: no policy uses the default timeout without retries', () => {
+  assert.deepEqual(parseRequestPolicy(undefined), {
+    timeoutMs: requestPolicyConfig.defaultTimeoutMs,
+    retries: 0,
+    explicit: false
+  });
+});
+
+test('parseRequestPolicy: applies defaults and caps', () => {
+  const policy = parseRequestPolicy({ timeoutSeconds: 100000, retries: 1000, backoff: { maxMs: 1e9 } });
+  assert.equal(policy.timeoutMs, requestPolicyConfig.maxTimeoutMs);
+  assert.equal(policy.retries, requestPolicyConfig.maxRetries);
+  assert.equal(policy.backoff.maxMs, requestPolicyConfig.maxBackoffMs);
+  assert.deepEqual(policy.retryOn.statuses, [502, 503, 504]);
+  assert.ok(policy.retryOn.methods.includes('GET'));
+  assert.equal(policy.explicit, true);
+});
+
+test('parseRequestPolicy: rejects null and non-object sections instead of throwing', () => {
+  for (const policy of [
+    { backoff: null },
+    { backoff: [] },
+    { backoff: 'fast' },
+    { retryOn: null },
+    { retryOn: [] },
+    { retryOn: 5 }
+  ]) {
+    const result = parseRequestPolicy(policy);
+    assert.equal(typeof result.error, 'string', JSON.stringify(policy));
+  }
+});
+
+test('parseRequestPolicy: rejects invalid values', () => {
+  assert.ok(parseRequestPolicy('x').error);
+  assert.ok(parseRequestPolicy({ timeoutSeconds: 0 }).error);
+  assert.ok(parseRequestPolicy({ retries: -1 }).error);
+  assert.ok(parseRequestPolicy({ retries: 1.5 }).error);
+  assert.ok(parseRequestPolicy({ backoff: { initialMs: -1 } }).error);
+  assert.ok(parseRequestPolicy({ retryOn: { statuses: 502 } }).error);
+  assert.ok(parseRequestPolicy({ retryOn: { methods: 'GET' } }).error);
+});
+
+// Runs the given outcomes in order: objects with `status` resolve, anything else rejects
+const attemptsOf = (outcomes) => {
+  let index = 0;
+  return async () => {
+    const outcome = outcomes[index++];
+    if (outcome.status) return outcome;
+    throw outcome;
+  };
+};
+
+const fastPolicy = (policy) => parseRequestPolicy({ backoff: { initialMs: 1, jitter: false }, ...policy });
+
+test('executeWithPolicy: retries listed statuses and network errors', async () => {
+  const response = await executeWithPolicy({ method: 'GET' }, fastPolicy({ retries: 2 }),
+    attemptsOf([{ status: 503 }, { error: true, message: 'Connection refused' }, { status: 200 }]));
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.attempts.map(attempt => attempt.outcome), ['response', 'network_error', 'response']);
+});
+
+test('executeWithPolicy: relay rejections, timeouts and non-idempotent methods are not retried by default', async () => {
+  const rejected = await executeWithPolicy({ method: 'GET' }, fastPolicy({ retries: 2 }),
+    attemptsOf([{ error: true, code: 'QUOTA_EXCEEDED', message: 'Quota exceeded' }])).catch(e => e);
+  assert.deepEqual(rejected.attempts.map(attempt => attempt.outcome), ['rejected']);
+
+  const timedOut = await executeWithPolicy({ method: 'GET' }, fastPolicy({ retries: 2 }),
+    attemptsOf([{ error: true, code: 'REQUEST_TIMEOUT', message: 'Request timeout' }])).catch(e => e);
+  assert.deepEqual(timedOut.attempts.map(attempt => attempt.outcome), ['timeout']);
+
+  const posted = await executeWithPolicy({ method: 'POST' }, fastPolicy({ retries: 2 }), attemptsOf([{ status: 503 }]));
+  assert.equal(posted.attempts.length, 1);
+});
+
+test('executeWithPolicy: cancelling stops a request waiting out its backoff', async () => {
+  const signal = { aborted: false, onAbort: null };
+  const policy = parseRequestPolicy({ retries: 1, backoff: { initialMs: 3000, maxMs: 3000, jitter: false } });
+  const pending = executeWithPolicy({ method: 'GET' }, policy, attemptsOf([{ status: 503 }]), { signal });
+
+  await new Promise(resolve => setImmediate(resolve));
+  signal.aborted = true;
+  signal.onAbort();
+  const error = await pending.catch(e => e);
+  assert.equal(error.code, 'REQUEST_CANCELLED');
+  assert.equal(error.attempts[0].retryInMs, 3000);
+});
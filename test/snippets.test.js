@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importCommand, exportRequest } = require('../snippets');
+
+test('importCommand: parses curl with headers, data and output-only options', () => {
+  const result = importCommand(
+    '$ curl -X POST \'http://localhost:3000/api/items\' \\\n  -H \'Content-Type: application/json\' -H "Authorization: Bearer $TOKEN" \\\n  -d \'{"a":1}\' --compressed -s');
+
+  assert.equal(result.format, 'curl');
+  assert.deepEqual(result.request, {
+    method: 'POST',
+    url: 'http://localhost:3000/api/items',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer $TOKEN' },
+    body: '{"a":1}'
+  });
+  assert.deepEqual(result.ignored.map(entry => entry.option), ['--compressed', '-s']);
+  assert.match(result.warnings[0], /Shell variables were not expanded: \$TOKEN/);
+});
+
+test('importCommand: turns curl basic auth into an Authorization header', () => {
+  const { request } = importCommand('curl -u user:pass http://localhost:3000/');
+  assert.equal(request.method, 'GET');
+  assert.equal(request.headers.Authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+});
+
+test('importCommand: parses HTTPie request items', () => {
+  const result = importCommand('http PUT localhost:3000/items/1 name=widget count:=3 X-Trace:abc');
+
+  assert.equal(result.format, 'httpie');
+  assert.equal(result.request.method, 'PUT');
+  assert.equal(result.request.url, 'http://localhost:3000/items/1');
+  assert.equal(result.request.headers['X-Trace'], 'abc');
+  assert.equal(result.request.headers['Content-Type'], 'application/json');
+  assert.deepEqual(JSON.parse(result.request.body), { name: 'widget', count: 3 });
+});
+
+test('importCommand: rejects empty and unrecognized commands', () => {
+  assert.equal(importCommand('  ').error, 'command must be a non-empty string');
+  assert.equal(importCommand({}).error, 'command must be a non-empty string');
+  assert.match(importCommand('wget http://localhost:3000/').error, /Unrecognized command "wget"/);
+});
+
+test('exportRequest: curl and HTTPie snippets import back to the same request', () => {
+  const request = {
+    method: 'POST',
+    url: 'http://localhost:3000/api/items',
+    headers: { Accept: 'application/json' },
+    body: { a: 1, b: 'it\'s' }
+  };
+  const { snippets, warnings } = exportRequest(request, ['curl', 'httpie']);
+  assert.deepEqual(Object.keys(snippets), ['curl', 'httpie']);
+  assert.deepEqual(warnings, []);
+
+  const expected = {
+    method: 'POST',
+    url: 'http://localhost:3000/api/items',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(request.body)
+  };
+  assert.deepEqual(importCommand(snippets.curl).request, expected);
+  assert.deepEqual(importCommand(snippets.httpie).request, expected);
+});
+
+test('exportRequest: renders every format by default', () => {
+  const { snippets } = exportRequest({ url: 'http://localhost:3000/health' });
+  assert.deepEqual(Object.keys(snippets), ['curl', 'httpie', 'fetch', 'python']);
+  assert.equal(snippets.curl, 'curl http://localhost:3000/health');
+  assert.match(snippets.fetch, /fetch\("http:\/\/localhost:3000\/health"/);
+});
+
+test('exportRequest: warns about what the snippets leave out', () => {
+  const { warnings } = exportRequest({ method: 'GET', url: 'http://localhost:3000/', body: 'hi', environment: 'dev' }, ['curl']);
+  assert.deepEqual(warnings, [
+    'fetch rejects a body on GET requests',
+    '{{placeholders}} from environment "dev" are not resolved in the snippets'
+  ]);
+});
+
+test('exportRequest: rejects invalid requests and formats', () => {
+  assert.match(exportRequest({ url: 'http://localhost:3000/' }, ['wget']).error, /formats must be a list of/);
+  assert.equal(exportRequest(null).error, 'request must be an object');
+  assert.equal(exportRequest({ method: 'GET' }).error, 'request.url is required');
+  assert.equal(exportRequest({ url: 'http://localhost:3000/', body: 'x', multipart: [] }).error, 'Use either body or multipart, not both');
+});
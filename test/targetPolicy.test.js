@@ -0,0 +1,42 @@
+process.env.TARGET_POLICY = JSON.stringify({
+  defaultAction: 'deny',
+  rules: [{ name: 'loopback', action: 'allow', hosts: ['localhost'], cidrs: ['127.0.0.0/8'] }],
+  users: { alice: { rules: [{ name: 'alice-staging', action: 'allow', hosts: ['staging.internal'] }] } },
+  teams: { qa: { rules: [{ name: 'qa-no-admin', action: 'deny', hosts: ['localhost'], pathPrefixes: ['/admin'] }] } }
+});
+delete process.env.TARGET_POLICY_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TARGET_NOT_ALLOWED, evaluateTarget, checkTarget } = require('../targetPolicy');
+
+test('evaluateTarget: global rules and the default action', () => {
+  assert.deepEqual(evaluateTarget('http://localhost:3000/'), { allowed: true, rule: 'loopback' });
+  assert.deepEqual(evaluateTarget('http://127.0.0.1:8080/'), { allowed: true, rule: 'loopback' });
+  assert.deepEqual(evaluateTarget('https://example.com/'), { allowed: false, rule: 'default' });
+  assert.deepEqual(evaluateTarget('not a url'), { allowed: false, rule: 'invalid-url' });
+});
+
+test('evaluateTarget: user and team rules come before global rules', () => {
+  assert.equal(evaluateTarget('http://staging.internal/', { userId: 'alice' }).rule, 'alice-staging');
+  assert.equal(evaluateTarget('http://staging.internal/', { userId: 'bob' }).rule, 'default');
+  assert.deepEqual(evaluateTarget('http://localhost/admin/users', { userId: 'bob', claims: { team: ['qa'] } }),
+    { allowed: false, rule: 'qa-no-admin' });
+});
+
+test('evaluateTarget: prototype-named users and teams have no rules', () => {
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach((name) => {
+    assert.deepEqual(evaluateTarget('http://localhost:3000/', { userId: name, claims: { team: name } }),
+      { allowed: true, rule: 'loopback' });
+  });
+});
+
+test('checkTarget: returns a structured rejection naming the rule', () => {
+  assert.equal(checkTarget('http://localhost:3000/', { userId: 'constructor' }), null);
+  assert.deepEqual(checkTarget('https://example.com/'), {
+    error: true,
+    code: TARGET_NOT_ALLOWED,
+    rule: 'default',
+    message: 'Target URL not allowed by relay policy (rule: default)'
+  });
+});
@@ -0,0 +1,92 @@
+// Build test reports from a batch result whose steps carry assertion results
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+// A step errored if the relay failed; it failed if it got a response that did not satisfy the checks
+const classifyStep = (step) => {
+  if (step.status === 'skipped') return 'skipped';
+  if (step.status === 'passed') return 'passed';
+  return step.response && !step.response.error ? 'failed' : 'error';
+};
+
+/**
+ * Summarize a suite run as a JSON report
+ * @param {string} name - Suite name
+ * @param {object} result - Result of runBatch()
+ * @param {Date} startedAt
+ * @returns {object}
+ */
+const toJsonReport = (name, result, startedAt) => {
+  const tests = result.steps.map((step) => ({
+    name: step.name,
+    requestId: step.requestId,
+    outcome: classifyStep(step),
+    durationMs: step.durationMs || 0,
+    ...(step.response && !step.response.error && { status: step.response.status }),
+    ...(step.error && { error: step.error }),
+    ...(step.response && step.response.assertions && { assertions: step.response.assertions.results }),
+    ...(step.unresolved && { unresolved: step.unresolved })
+  }));
+
+  const count = (outcome) => tests.filter(test => test.outcome === outcome).length;
+
+  return {
+    name,
+    timestamp: startedAt.toISOString(),
+    durationMs: tests.reduce((sum, test) => sum + test.durationMs, 0),
+    success: result.success,
+    summary: {
+      tests: tests.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      errors: count('error'),
+      skipped: count('skipped')
+    },
+    tests
+  };
+};
+
+/**
+ * Render a JSON report as JUnit XML
+ * @param {object} report - Result of toJsonReport()
+ * @returns {string}
+ */
+const toJUnitXml = (report) => {
+  const cases = report.tests.map((test) => {
+    const open = `    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(report.name)}" time="${seconds(test.durationMs)}"`;
+
+    if (test.outcome === 'passed') return `${open}/>`;
+    if (test.outcome === 'skipped') return `${open}>\n      <skipped/>\n    </testcase>`;
+
+    const failedAssertions = (test.assertions || []).filter(a => !a.passed);
+    const details = failedAssertions.length > 0
+      ? failedAssertions.map(a => `${a.description}: ${a.message}`).join('\n')
+      : test.error || '';
+    const tag = test.outcome === 'error' ? 'error' : 'failure';
+
+    return `${open}>\n      <${tag} message="${escapeXml(test.error || 'Assertions failed')}">${escapeXml(details)}</${tag}>\n    </testcase>`;
+  });
+
+  const { summary } = report;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.name)}" tests="${summary.tests}" failures="${summary.failed}" errors="${summary.errors}" skipped="${summary.skipped}" time="${seconds(report.durationMs)}">`,
+    `  <testsuite name="${escapeXml(report.name)}" tests="${summary.tests}" failures="${summary.failed}" errors="${summary.errors}" skipped="${summary.skipped}" time="${seconds(report.durationMs)}" timestamp="${report.timestamp}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  toJsonReport,
+  toJUnitXml
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Tunnel configuration
+const tunnelConfig = {
+  maxPerSession: parseInt(process.env.TUNNEL_MAX_PER_SESSION || '5'),
+  rateLimitPerMinute: parseInt(process.env.TUNNEL_RATE_LIMIT_PER_MINUTE || '60'),
+  logSize: parseInt(process.env.TUNNEL_LOG_SIZE || '100'),
+  publicUrl: (process.env.PUBLIC_URL || '').replace(/\/$/, '')
+};
+
+// Active tunnels on this instance, keyed by tunnelId
+const tunnels = new Map();
+
+/**
+ * Register a tunnel for a session
+ * @param {object} session - Entry from activeSessions
+ * @param {string} targetBaseUrl - Localhost base URL requests are mapped onto
+ * @returns {object} - Tunnel entry
+ */
+const createTunnel = (session, targetBaseUrl) => {
+  // 192 random bits, URL-safe
+  const tunnelId = crypto.randomBytes(24).toString('base64url');
+
+  const tunnel = {
+    tunnelId,
+    sessionId: session.sessionId,
+    userId: session.userId,
+    targetBaseUrl: targetBaseUrl.replace(/\/+$/, ''),
+    createdAt: new Date(),
+    requestCount: 0,
+    logs: []
+  };
+
+  tunnels.set(tunnelId, tunnel);
+  return tunnel;
+};
+
+/**
+ * Get a tunnel by ID
+ * @param {string} tunnelId - Tunnel ID
+ * @returns {object|null}
+ */
+const getTunnel = (tunnelId) => tunnels.get(tunnelId) || null;
+
+/**
+ * List the tunnels owned by a session
+ * @param {string} sessionId - Session ID
+ * @returns {object[]}
+ */
+const getSessionTunnels = (sessionId) => Array.from(tunnels.values())
+  .filter(tunnel => tunnel.sessionId === sessionId);
+
+/**
+ * Remove a single tunnel
+ * @param {string} tunnelId - Tunnel ID
+ * @returns {boolean} - Whether a tunnel was removed
+ */
+const removeTunnel = (tunnelId) => tunnels.delete(tunnelId);
+
+/**
+ * Remove every tunnel owned by a session (tunnels expire with their session)
+ * @param {string} sessionId - Session ID
+ * @returns {number} - Number of tunnels removed
+ */
+const removeSessionTunnels = (sessionId) => {
+  let removed = 0;
+  tunnels.forEach((tunnel, tunnelId) => {
+    if (tunnel.sessionId === sessionId) {
+      tunnels.delete(tunnelId);
+      removed++;
+    }
+  });
+  return removed;
+};
+
+/**
+ * Map an incoming tunnel path and query string onto the tunnel's target
+ * @param {object} tunnel - Tunnel entry
+ * @param {string} path - Path after /tunnel/:tunnelId
+ * @param {string} search - Raw query string including "?" (may be empty)
+ * @returns {string}
+ */
+const buildTargetUrl = (tunnel, path, search) => {
+  const cleanPath = (path || '').replace(/^\/+/, '');
+  return `${tunnel.targetBaseUrl}/${cleanPath}${search || ''}`;
+};
+
+/**
+ * Append an entry to a tunnel's request log, keeping only the most recent entries
+ * @param {object} tunnel - Tunnel entry
+ * @param {object} entry - Log entry
+ */
+const recordTunnelRequest = (tunnel, entry) => {
+  tunnel.requestCount++;
+  tunnel.logs.push({ ...entry, timestamp: new Date().toISOString() });
+  if (tunnel.logs.length > tunnelConfig.logSize) {
+    tunnel.logs.splice(0, tunnel.logs.length - tunnelConfig.logSize);
+  }
+};
+
+/**
+ * Public description of a tunnel (safe to send to its owner)
+ * @param {object} tunnel - Tunnel entry
+ * @returns {object}
+ */
+const describeTunnel = (tunnel) => ({
+  tunnelId: tunnel.tunnelId,
+  url: `${tunnelConfig.publicUrl}/tunnel/${tunnel.tunnelId}/`,
+  targetBaseUrl: tunnel.targetBaseUrl,
+  createdAt: tunnel.createdAt,
+  requestCount: tunnel.requestCount
+});
+
+module.exports = {
+  tunnelConfig,
+  createTunnel,
+  getTunnel,
+  getSessionTunnels,
+  removeTunnel,
+  removeSessionTunnels,
+  buildTargetUrl,
+  recordTunnelRequest,
+  describeTunnel
+};
@@ -0,0 +1,120 @@
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+require('dotenv').config();
+
+/*
+ * WebSocket tunnel protocol (public client <-> relay <-> browser <-> localhost):
+ *
+ *   relay -> browser   localhost:wsOpen    { channelId, url, protocols }   ack: { success, protocol } | { error, message }
+ *   both directions    localhost:wsMessage { channelId, data, binary }     data is a string or binary
+ *   both directions    localhost:wsClose   { channelId, code, reason }
+ *   browser -> relay   localhost:wsError   { channelId, error }
+ *
+ * Relay -> browser messages are sent to the localhost WebSocket; browser -> relay messages
+ * were received from it and are forwarded to the public client.
+ */
+
+// WebSocket tunnel configuration
+const wsConfig = {
+  maxChannelsPerSession: parseInt(process.env.WS_MAX_CHANNELS_PER_SESSION || '10'),
+  maxMessageBytes: parseInt(process.env.WS_MAX_MESSAGE_BYTES || '1048576'),
+  openTimeoutMs: parseInt(process.env.WS_OPEN_TIMEOUT_SECONDS || '10') * 1000
+};
+
+// Close codes the relay sends on its own behalf
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011
+};
+
+// Close frames carry at most 123 bytes of reason; leave room for a split multi-byte character
+const MAX_CLOSE_REASON_BYTES = 120;
+
+/**
+ * Create the server that completes upgrades for tunnel WebSocket clients
+ * The sub-protocol the browser negotiated with localhost is passed on via req.relayProtocol
+ * @returns {WebSocketServer}
+ */
+const createWsIngress = () => new WebSocketServer({
+  noServer: true,
+  maxPayload: wsConfig.maxMessageBytes,
+  handleProtocols: (protocols, req) => (req.relayProtocol && protocols.has(req.relayProtocol) ? req.relayProtocol : false)
+});
+
+/**
+ * Map an http(s) tunnel target onto the matching ws(s) URL
+ * @param {string} url - http:// or https:// URL
+ * @returns {string}
+ */
+const toWebSocketUrl = (url) => url.replace(/^http(s?):/i, 'ws$1:');
+
+/**
+ * Sub-protocols requested by a client upgrade
+ * @param {object} req - Upgrade request
+ * @returns {string[]}
+ */
+const parseProtocols = (req) => (req.headers['sec-websocket-protocol'] || '')
+  .split(',')
+  .map(protocol => protocol.trim())
+  .filter(Boolean);
+
+/**
+ * Answer an upgrade request with a plain HTTP error and drop the connection
+ * @param {object} socket - Raw socket from the `upgrade` event
+ * @param {number} status - HTTP status
+ * @param {object} body - JSON body
+ */
+const rejectUpgrade = (socket, status, body) => {
+  if (!socket.writable) {
+    socket.destroy();
+    return;
+  }
+
+  const payload = JSON.stringify(body);
+  socket.end([
+    `HTTP/1.1 ${status} ${STATUS_CODES[status] || 'Error'}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    'Connection: close',
+    '',
+    payload
+  ].join('\r\n'));
+};
+
+/**
+ * Close code safe to send to the other side (1005, 1006 and 1015 only describe local events)
+ * @param {number} code - Code reported by the browser or client
+ * @returns {number}
+ */
+const sendableCloseCode = (code) => {
+  const valid = Number.isInteger(code) && (
+    (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+    (code >= 3000 && code <= 4999)
+  );
+  return valid ? code : CLOSE_CODES.NORMAL;
+};
+
+/**
+ * Close reason trimmed to what fits in a close frame
+ * @param {any} reason
+ * @returns {string}
+ */
+const sendableCloseReason = (reason) => {
+  const text = typeof reason === 'string' ? reason : '';
+  return Buffer.byteLength(text) <= MAX_CLOSE_REASON_BYTES
+    ? text
+    : Buffer.from(text).subarray(0, MAX_CLOSE_REASON_BYTES).toString('utf8');
+};
+
+module.exports = {
+  wsConfig,
+  CLOSE_CODES,
+  createWsIngress,
+  toWebSocketUrl,
+  parseProtocols,
+  rejectUpgrade,
+  sendableCloseCode,
+  sendableCloseReason
+};